@@ -1,3 +1,5 @@
+using System.Security.Cryptography;
+
 namespace ParentheseDoree.Managely.App.Models;
 
 /// <summary>
@@ -23,11 +25,75 @@ public class CarteCadeau
     /// <summary>Description de l'origine (ex: "Fidélité 10 passages")</summary>
     public string Origine { get; set; } = string.Empty;
 
+    /// <summary>
+    /// Règle de fidélité qui a généré le bon et occurrence récompensée ("identifiant:occurrence"),
+    /// vide pour une carte achetée.
+    /// </summary>
+    public string RegleFidelite { get; set; } = string.Empty;
+
+    /// <summary>Identifiant de la règle de fidélité à l'origine du bon.</summary>
+    public string RegleId => RegleFidelite.Split(':')[0];
+
+    /// <summary>
+    /// Code imprimé sur le bon (ex: "7KQM-3XA9"), saisi ou scanné en caisse.
+    /// Vide pour les cartes créées avant les codes, jusqu'à la première impression.
+    /// </summary>
+    public string Code { get; set; } = string.Empty;
+
     // Champ d'affichage
     public string ClientNom { get; set; } = string.Empty;
 
     public void GenererGuid() => Guid = System.Guid.NewGuid().ToString();
 
+    // Sans 0/O, 1/I/L : caractères lisibles sans ambiguïté sur un bon imprimé
+    private const string AlphabetCode = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+    private const int LongueurCode = 8;
+
+    /// <summary>
+    /// Génère un code aléatoire de 7 caractères suivis d'une clé de contrôle, qui détecte
+    /// toute faute de frappe sur un caractère et toute inversion de deux caractères.
+    /// </summary>
+    public static string GenererCode()
+    {
+        var chiffres = new int[LongueurCode];
+        for (var i = 0; i < LongueurCode - 1; i++)
+            chiffres[i] = RandomNumberGenerator.GetInt32(AlphabetCode.Length);
+        chiffres[^1] = CleControle(chiffres.AsSpan(0, LongueurCode - 1));
+        return Formater(chiffres);
+    }
+
+    /// <summary>
+    /// Code saisi ou scanné remis au format "XXXX-XXXX" (casse, espaces et tirets ignorés),
+    /// ou null s'il est mal formé ou que sa clé de contrôle est fausse.
+    /// </summary>
+    public static string? NormaliserCode(string? saisie)
+    {
+        if (string.IsNullOrWhiteSpace(saisie)) return null;
+        var caracteres = saisie.ToUpperInvariant().Where(c => !char.IsWhiteSpace(c) && c != '-').ToArray();
+        if (caracteres.Length != LongueurCode) return null;
+
+        var chiffres = caracteres.Select(c => AlphabetCode.IndexOf(c)).ToArray();
+        if (chiffres.Any(c => c < 0)) return null;
+        if (CleControle(chiffres.AsSpan(0, LongueurCode - 1)) != chiffres[^1]) return null;
+        return Formater(chiffres);
+    }
+
+    // Somme pondérée (poids 2 à 8) modulo 31, nombre premier : une erreur sur un caractère
+    // ou l'inversion de deux caractères change toujours la somme
+    private static int CleControle(ReadOnlySpan<int> chiffres)
+    {
+        var somme = 0;
+        for (var i = 0; i < chiffres.Length; i++)
+            somme += chiffres[i] * (i + 2);
+        return (AlphabetCode.Length - somme % AlphabetCode.Length) % AlphabetCode.Length;
+    }
+
+    private static string Formater(int[] chiffres)
+    {
+        var code = new string(chiffres.Select(c => AlphabetCode[c]).ToArray());
+        return $"{code[..4]}-{code[4..]}";
+    }
+
     /// <summary>Calcule le statut réel de la carte.</summary>
     public string StatutCalcule
     {
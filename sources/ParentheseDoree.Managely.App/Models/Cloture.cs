@@ -0,0 +1,83 @@
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Clôture de caisse d'une journée (rapport Z), enregistrée dans la feuille "Clotures".
+/// Les paiements par carte cadeau / bon sont des utilisations d'avoirs, comptés à part
+/// des encaissements réels. Une clôture n'est jamais modifiée : son hachage d'intégrité
+/// couvre toutes ses valeurs.
+/// </summary>
+public class Cloture
+{
+    public int RowIndex { get; set; }
+    public string Guid { get; set; } = string.Empty;
+
+    /// <summary>Journée clôturée (dd/MM/yyyy).</summary>
+    public string Date { get; set; } = string.Empty;
+
+    public DateTime Horodatage { get; set; }
+    public string Utilisateur { get; set; } = string.Empty;
+    public string Email { get; set; } = string.Empty;
+
+    public int NombrePassages { get; set; }
+
+    // ---- Totaux par mode de paiement ----
+    public decimal TotalCB { get; set; }
+    public decimal TotalEspeces { get; set; }
+    public decimal TotalCheque { get; set; }
+    public decimal TotalVirement { get; set; }
+
+    /// <summary>Paiements sans mode reconnu (anciens passages).</summary>
+    public decimal TotalAutres { get; set; }
+
+    /// <summary>Utilisations de cartes cadeaux et bons : ce n'est pas un encaissement.</summary>
+    public decimal TotalCartes { get; set; }
+
+    public decimal TotalEncaisse => TotalCB + TotalEspeces + TotalCheque + TotalVirement + TotalAutres;
+
+    // ---- Comptage ----
+    public decimal FondDeCaisse { get; set; }
+    public decimal EspecesComptees { get; set; }
+    public decimal TerminalCB { get; set; }
+
+    /// <summary>Espèces comptées, fond de caisse déduit, moins les espèces attendues.</summary>
+    public decimal EcartEspeces => EspecesComptees - FondDeCaisse - TotalEspeces;
+
+    /// <summary>Total du terminal de paiement moins les paiements CB attendus.</summary>
+    public decimal EcartCB => TerminalCB - TotalCB;
+
+    public string Commentaire { get; set; } = string.Empty;
+
+    /// <summary>Empreinte des passages de la journée au moment de la clôture.</summary>
+    public string EmpreintePassages { get; set; } = string.Empty;
+
+    /// <summary>Hachage d'intégrité de la clôture.</summary>
+    public string HachageIntegrite { get; set; } = string.Empty;
+
+    public bool EstEnregistree => !string.IsNullOrEmpty(Guid);
+
+    public void GenererGuid() => Guid = System.Guid.NewGuid().ToString();
+
+    /// <summary>Calcule le hachage d'intégrité.</summary>
+    public string CalculerHachage()
+    {
+        var montants = string.Join("|", new[]
+        {
+            TotalCB, TotalEspeces, TotalCheque, TotalVirement, TotalAutres, TotalCartes,
+            FondDeCaisse, EspecesComptees, TerminalCB
+        }.Select(m => m.ToString(CultureInfo.InvariantCulture)));
+        var data = $"{Guid}|{Date}|{Horodatage:o}|{Email}|{NombrePassages}|{montants}|{Commentaire}|{EmpreintePassages}";
+        var bytes = SHA256.HashData(Encoding.UTF8.GetBytes(data));
+        return Convert.ToHexString(bytes)[..16];
+    }
+
+    public void MettreAJourIntegrite()
+    {
+        HachageIntegrite = CalculerHachage();
+    }
+
+    public bool VerifierIntegrite() => CalculerHachage() == HachageIntegrite;
+}
@@ -0,0 +1,50 @@
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Données d'un client rassemblées pour une demande d'accès (RGPD) :
+/// lignes de chaque feuille qui le concernent et entrées du journal associées.
+/// </summary>
+public class DossierRgpd
+{
+    public string ClientGuid { get; set; } = string.Empty;
+    public DateTime DateExport { get; set; }
+    public string ExportePar { get; set; } = string.Empty;
+
+    /// <summary>Lignes par feuille (archives comprises), indexées par en-tête.</summary>
+    public Dictionary<string, List<Dictionary<string, string>>> Feuilles { get; set; } = [];
+
+    public List<EntreeJournal> Journal { get; set; } = [];
+
+    /// <summary>Lignes d'une feuille et de ses archives annuelles.</summary>
+    public List<Dictionary<string, string>> Lignes(string feuille) => Feuilles
+        .Where(f => f.Key == feuille || f.Key.StartsWith($"{feuille}_Archive_"))
+        .SelectMany(f => f.Value)
+        .ToList();
+}
+
+/// <summary>
+/// Preuve d'effacement des données personnelles d'un client (feuille "Effacements").
+/// Ne contient aucune donnée personnelle : seulement le GUID du client, l'auteur et les volumes traités.
+/// </summary>
+public class PreuveEffacement
+{
+    public string Guid { get; set; } = string.Empty;
+    public string ClientGuid { get; set; } = string.Empty;
+    public DateTime Date { get; set; }
+    public string Utilisateur { get; set; } = string.Empty;
+    public string Email { get; set; } = string.Empty;
+
+    /// <summary>Lignes modifiées par feuille.</summary>
+    public Dictionary<string, int> LignesModifiees { get; set; } = [];
+
+    /// <summary>Entrées du journal expurgées.</summary>
+    public int EntreesJournal { get; set; }
+
+    /// <summary>Données volontairement conservées et leur motif (conservation légale).</summary>
+    public string DonneesConservees { get; set; } = string.Empty;
+
+    public string HachageIntegrite { get; set; } = string.Empty;
+
+    /// <summary>Indique si la preuve a bien été ajoutée à la feuille Effacements.</summary>
+    public bool Enregistree { get; set; }
+}
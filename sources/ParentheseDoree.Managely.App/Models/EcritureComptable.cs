@@ -0,0 +1,91 @@
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Plan de comptes et taux de TVA de l'export comptable, stockés en JSON dans la feuille
+/// "Parametres" (clé "compta.parametres"). Les prix de vente sont TTC, les coûts d'achat HT.
+/// </summary>
+public sealed class ParametresComptables
+{
+    /// <summary>SIREN du salon : préfixe du nom du fichier FEC.</summary>
+    public string Siren { get; set; } = string.Empty;
+
+    public string JournalVentes { get; set; } = "VE";
+    public string JournalAchats { get; set; } = "AC";
+
+    public string CompteVentesPrestations { get; set; } = "706000";
+    public string CompteVentesProduits { get; set; } = "707000";
+    public string CompteTvaCollectee { get; set; } = "445710";
+    public string CompteTvaDeductible { get; set; } = "445660";
+    public string CompteAchats { get; set; } = "607000";
+    public string CompteFournisseurs { get; set; } = "401000";
+
+    /// <summary>Cartes cadeaux vendues et non encore utilisées (dette envers les clients).</summary>
+    public string CompteCartesCadeaux { get; set; } = "419100";
+
+    /// <summary>Encaissement des cartes cadeaux vendues (le mode de paiement n'est pas saisi).</summary>
+    public string CompteEncaissementCartes { get; set; } = "471000";
+
+    /// <summary>Paiements au mode inconnu et écarts à régulariser.</summary>
+    public string CompteAttente { get; set; } = "471000";
+
+    /// <summary>Compte de trésorerie de chaque mode de paiement.</summary>
+    public Dictionary<string, string> ComptesPaiement { get; set; } = new()
+    {
+        ["CB"] = "511200",
+        ["Espèces"] = "530000",
+        ["Chèque"] = "511100",
+        ["Virement"] = "512000"
+    };
+
+    /// <summary>Taux de TVA en pourcentage (0 = franchise en base).</summary>
+    public decimal TauxTvaPrestations { get; set; } = 20;
+    public decimal TauxTvaProduits { get; set; } = 20;
+}
+
+/// <summary>
+/// Écriture comptable équilibrée (une pièce d'un journal).
+/// </summary>
+public sealed class EcritureComptable
+{
+    public string Journal { get; set; } = string.Empty;
+    public string JournalLibelle { get; set; } = string.Empty;
+
+    /// <summary>Numéro séquentiel dans le journal, par ordre chronologique.</summary>
+    public int Numero { get; set; }
+
+    public DateTime Date { get; set; }
+
+    /// <summary>Référence de la pièce (passage, carte ou mouvement de stock).</summary>
+    public string Piece { get; set; } = string.Empty;
+
+    public string Libelle { get; set; } = string.Empty;
+    public List<LigneEcriture> Lignes { get; set; } = [];
+
+    public decimal TotalDebit => Lignes.Sum(l => l.Debit);
+    public decimal TotalCredit => Lignes.Sum(l => l.Credit);
+}
+
+public sealed class LigneEcriture
+{
+    public string Compte { get; set; } = string.Empty;
+    public string CompteLibelle { get; set; } = string.Empty;
+    public decimal Debit { get; set; }
+    public decimal Credit { get; set; }
+}
+
+/// <summary>
+/// Écritures d'une période, prêtes à exporter au format FEC ou CSV.
+/// </summary>
+public sealed class ExportComptable
+{
+    public DateTime Du { get; set; }
+    public DateTime Au { get; set; }
+    public List<EcritureComptable> Ecritures { get; set; } = [];
+
+    /// <summary>Données incohérentes rencontrées (écarts passés en compte d'attente, cartes inconnues...).</summary>
+    public List<string> Avertissements { get; set; } = [];
+
+    public decimal TotalDebit => Ecritures.Sum(e => e.TotalDebit);
+    public decimal TotalCredit => Ecritures.Sum(e => e.TotalCredit);
+    public bool Equilibre => Ecritures.All(e => e.TotalDebit == e.TotalCredit);
+}
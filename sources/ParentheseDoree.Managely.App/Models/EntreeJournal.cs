@@ -0,0 +1,55 @@
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Entrée du journal des modifications (feuille masquée "Journal") :
+/// qui a ajouté, modifié, supprimé, rétabli ou archivé une ligne, et quand.
+/// </summary>
+public class EntreeJournal
+{
+    public string Id { get; set; } = string.Empty;
+    public DateTime Horodatage { get; set; }
+    public string Utilisateur { get; set; } = string.Empty;
+    public string Email { get; set; } = string.Empty;
+    public string Feuille { get; set; } = string.Empty;
+    public string Guid { get; set; } = string.Empty;
+
+    /// <summary>"append", "update", "delete", "restore", "archive" ou "erase"</summary>
+    public string Operation { get; set; } = string.Empty;
+
+    /// <summary>Valeurs de la ligne avant l'écriture, par en-tête (null pour un ajout).</summary>
+    public Dictionary<string, string>? Avant { get; set; }
+
+    /// <summary>Valeurs de la ligne après l'écriture, par en-tête (null pour une suppression).</summary>
+    public Dictionary<string, string>? Apres { get; set; }
+
+    // Colonnes techniques, modifiées à chaque écriture
+    private static readonly HashSet<string> ChampsTechniques = ["hachage_integrite", "date_modification"];
+
+    public string OperationLibelle => Operation switch
+    {
+        "append" => "Création",
+        "update" => "Modification",
+        "delete" => "Suppression",
+        "restore" => "Rétablissement",
+        "archive" => "Archivage",
+        "erase" => "Effacement RGPD",
+        _ => Operation
+    };
+
+    public string Auteur => string.IsNullOrWhiteSpace(Utilisateur) ? Email : Utilisateur;
+
+    /// <summary>
+    /// Champs dont la valeur a changé (hors colonnes techniques).
+    /// </summary>
+    public List<(string Champ, string Avant, string Apres)> Changements()
+    {
+        var champs = (Avant?.Keys ?? Enumerable.Empty<string>())
+            .Union(Apres?.Keys ?? Enumerable.Empty<string>())
+            .Where(c => !ChampsTechniques.Contains(c));
+
+        return champs
+            .Select(c => (Champ: c, Avant: Avant?.GetValueOrDefault(c) ?? "", Apres: Apres?.GetValueOrDefault(c) ?? ""))
+            .Where(c => c.Avant != c.Apres)
+            .ToList();
+    }
+}
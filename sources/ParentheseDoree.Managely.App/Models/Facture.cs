@@ -0,0 +1,98 @@
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Facture ou reçu émis pour un passage, enregistré dans la feuille "Factures".
+/// Le contenu est figé à l'émission : une réimpression reproduit le document d'origine,
+/// marqué "DUPLICATA", même si le passage a été modifié depuis.
+/// </summary>
+public sealed class Facture
+{
+    public int RowIndex { get; set; }
+
+    /// <summary>Numéro séquentiel par type et par année (ex: "F2026-00012", "R2026-00003").</summary>
+    public string Numero { get; set; } = string.Empty;
+
+    /// <summary>"facture" ou "recu"</summary>
+    public string Type { get; set; } = "facture";
+
+    public string PassageGuid { get; set; } = string.Empty;
+    public string ClientGuid { get; set; } = string.Empty;
+
+    /// <summary>Date d'émission (dd/MM/yyyy).</summary>
+    public string DateEmission { get; set; } = string.Empty;
+
+    /// <summary>Heure d'émission (UTC).</summary>
+    public DateTime Horodatage { get; set; }
+
+    public string Utilisateur { get; set; } = string.Empty;
+    public decimal TotalTtc { get; set; }
+    public DocumentVente Contenu { get; set; } = new();
+
+    /// <summary>JSON du contenu tel qu'enregistré, couvert par le hachage d'intégrité.</summary>
+    public string ContenuJson { get; set; } = string.Empty;
+
+    public string HachageIntegrite { get; set; } = string.Empty;
+
+    public bool EstFacture => Type == "facture";
+    public string TypeLibelle => EstFacture ? "Facture" : "Reçu";
+
+    public string CalculerHachage()
+    {
+        var data = $"{Numero}|{Type}|{PassageGuid}|{ClientGuid}|{DateEmission}|" +
+                   $"{TotalTtc.ToString(CultureInfo.InvariantCulture)}|{ContenuJson}";
+        var bytes = SHA256.HashData(Encoding.UTF8.GetBytes(data));
+        return Convert.ToHexString(bytes)[..16];
+    }
+
+    public void MettreAJourIntegrite() => HachageIntegrite = CalculerHachage();
+
+    public bool VerifierIntegrite() => HachageIntegrite == CalculerHachage();
+}
+
+/// <summary>
+/// Contenu imprimé d'une facture ou d'un reçu : émetteur, client, lignes TTC,
+/// remises fidélité, ventilation de la TVA et paiements.
+/// </summary>
+public sealed class DocumentVente
+{
+    public InfosSalon Salon { get; set; } = new();
+    public string ClientNom { get; set; } = string.Empty;
+    public string ClientAdresse { get; set; } = string.Empty;
+    public string ClientEmail { get; set; } = string.Empty;
+    public string DatePassage { get; set; } = string.Empty;
+    public List<LigneDocument> Lignes { get; set; } = [];
+
+    /// <summary>Bons fidélité utilisés : des remises, qui réduisent la base de TVA.</summary>
+    public List<PaiementDocument> Remises { get; set; } = [];
+
+    public List<LigneTva> Tva { get; set; } = [];
+    public List<PaiementDocument> Paiements { get; set; } = [];
+
+    public decimal TotalTtc => Lignes.Sum(l => l.TotalTtc);
+    public decimal NetAPayer => TotalTtc - Remises.Sum(r => r.Montant);
+}
+
+public sealed class LigneDocument
+{
+    public string Designation { get; set; } = string.Empty;
+    public int Quantite { get; set; } = 1;
+    public decimal PrixUnitaireTtc { get; set; }
+    public decimal TotalTtc { get; set; }
+}
+
+public sealed class LigneTva
+{
+    public decimal Taux { get; set; }
+    public decimal BaseHt { get; set; }
+    public decimal Montant { get; set; }
+}
+
+public sealed class PaiementDocument
+{
+    public string Libelle { get; set; } = string.Empty;
+    public decimal Montant { get; set; }
+}
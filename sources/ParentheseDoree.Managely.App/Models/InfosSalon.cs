@@ -0,0 +1,41 @@
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Coordonnées et mentions légales du salon, imprimées sur les factures, reçus et bons cadeaux.
+/// Stockées dans la feuille "Parametres" (clés "salon.*").
+/// </summary>
+public sealed class InfosSalon
+{
+    public const string NomParDefaut = "Centre Esthétique Parenthèse Dorée";
+
+    public string Nom { get; set; } = string.Empty;
+
+    /// <summary>Adresse postale sur une ligne (ex: "12 rue des Lilas, 75011 Paris").</summary>
+    public string Adresse { get; set; } = string.Empty;
+
+    public string Telephone { get; set; } = string.Empty;
+    public string Email { get; set; } = string.Empty;
+    public string Siret { get; set; } = string.Empty;
+
+    /// <summary>Numéro de TVA intracommunautaire, vide en franchise en base.</summary>
+    public string NumeroTva { get; set; } = string.Empty;
+
+    /// <summary>Mentions libres en pied de facture (forme juridique, capital, RCS...).</summary>
+    public string Mentions { get; set; } = string.Empty;
+
+    public string NomAffiche => string.IsNullOrWhiteSpace(Nom) ? NomParDefaut : Nom;
+
+    /// <summary>Lignes d'en-tête des documents : nom, adresse, contact, identifiants légaux.</summary>
+    public List<string> LignesEntete()
+    {
+        var contact = string.Join(" — ", new[] { Telephone, Email }.Where(v => !string.IsNullOrWhiteSpace(v)));
+        return new[]
+            {
+                NomAffiche, Adresse, contact,
+                string.IsNullOrWhiteSpace(Siret) ? "" : $"SIRET {Siret}",
+                string.IsNullOrWhiteSpace(NumeroTva) ? "" : $"TVA intracommunautaire {NumeroTva}"
+            }
+            .Where(l => !string.IsNullOrWhiteSpace(l))
+            .ToList();
+    }
+}
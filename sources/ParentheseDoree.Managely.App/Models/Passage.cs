@@ -25,6 +25,10 @@ public class Passage
     public List<PassageProduitConseille> ProduitsConseilles { get; set; } = [];
 
     public string NoteInterne { get; set; } = string.Empty;
+
+    /// <summary>La note est restée chiffrée : le chiffrement n'est pas déverrouillé dans ce navigateur.</summary>
+    public bool NoteChiffree => NoteInterne.StartsWith("enc:");
+
     public decimal Total { get; set; }
 
     /// <summary>Détail des paiements (sérialisé en JSON pour multi-paiement).</summary>
@@ -67,23 +71,27 @@ public class Passage
         }
     }
 
-    /// <summary>Calcule le hachage d'intégrité.</summary>
-    public string CalculerHachage()
+    /// <summary>
+    /// Calcule le hachage d'intégrité. La note interne, colonne chiffrable, n'y entre que par son
+    /// empreinte (voir <see cref="Services.GoogleSheetsService.ValueFingerprintAsync"/>) :
+    /// le hachage est stocké en clair à côté d'elle.
+    /// </summary>
+    public string CalculerHachage(string empreinteNote)
     {
-        var data = $"{ClientGuid}|{Date}|{Total}|{ModePaiement}|{NoteInterne}";
+        var data = $"{ClientGuid}|{Date}|{Total}|{ModePaiement}|{empreinteNote}";
         var bytes = SHA256.HashData(Encoding.UTF8.GetBytes(data));
         return Convert.ToHexString(bytes)[..16];
     }
 
-    public void MettreAJourIntegrite()
+    public void MettreAJourIntegrite(string empreinteNote)
     {
-        HachageIntegrite = CalculerHachage();
+        HachageIntegrite = CalculerHachage(empreinteNote);
     }
 
-    public bool VerifierIntegrite()
+    public bool VerifierIntegrite(string empreinteNote)
     {
         if (string.IsNullOrEmpty(HachageIntegrite)) return true;
-        return CalculerHachage() == HachageIntegrite;
+        return CalculerHachage(empreinteNote) == HachageIntegrite;
     }
 }
 
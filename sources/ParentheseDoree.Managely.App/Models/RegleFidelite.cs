@@ -0,0 +1,93 @@
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Règle de fidélité, stockée en JSON dans la feuille "Parametres" (clé "fidelite.regle.{Id}").
+/// Un déclencheur, une récompense (un bon généré pour le client), une validité et des conditions.
+/// Seules les PRESTATIONS comptent dans les montants (pas les produits vendus).
+/// </summary>
+public sealed class RegleFidelite
+{
+    public string Id { get; set; } = System.Guid.NewGuid().ToString("N")[..8];
+    public string Nom { get; set; } = string.Empty;
+    public bool Active { get; set; } = true;
+
+    // ---- Déclencheur ----
+
+    /// <summary>
+    /// "passages" (tous les N passages), "anniversaire" (mois d'anniversaire),
+    /// "depense" (chaque tranche de prestations cumulées), "categorie" (passage avec une
+    /// prestation de la catégorie) ou "periode" (premier passage dans la période).
+    /// </summary>
+    public string Declencheur { get; set; } = "passages";
+
+    /// <summary>Déclencheur "passages" : un bon tous les N passages.</summary>
+    public int NombrePassages { get; set; } = 10;
+
+    /// <summary>Déclencheur "depense" : un bon à chaque tranche de ce montant de prestations cumulées.</summary>
+    public decimal SeuilDepense { get; set; }
+
+    /// <summary>Déclencheur "categorie" : catégorie de prestation (catalogue).</summary>
+    public string Categorie { get; set; } = string.Empty;
+
+    /// <summary>Période d'application (dd/MM/yyyy, vide = sans limite) ; requise pour "periode".</summary>
+    public string DateDebut { get; set; } = string.Empty;
+    public string DateFin { get; set; } = string.Empty;
+
+    // ---- Récompense ----
+
+    /// <summary>
+    /// "pourcentage" (de l'assiette du déclencheur), "montant" (fixe) ou
+    /// "prestation" (prestation offerte, au prix du catalogue).
+    /// </summary>
+    public string Recompense { get; set; } = "montant";
+
+    /// <summary>Pourcentage ou montant en euros.</summary>
+    public decimal Valeur { get; set; }
+
+    /// <summary>Récompense "prestation" : prestation offerte.</summary>
+    public string PrestationGuid { get; set; } = string.Empty;
+
+    /// <summary>"fidelite" ou "bon_fidelite".</summary>
+    public string TypeCarte { get; set; } = "bon_fidelite";
+
+    // ---- Validité et conditions ----
+
+    /// <summary>Durée de validité du bon en jours (ignorée si ExpireFinDeMois).</summary>
+    public int ValiditeJours { get; set; } = 365;
+
+    /// <summary>Le bon expire à la fin du mois de sa création.</summary>
+    public bool ExpireFinDeMois { get; set; }
+
+    /// <summary>Éligibilité : nombre minimal de passages du client.</summary>
+    public int PassagesMinimum { get; set; }
+
+    /// <summary>Le bon n'est utilisable que sur un passage dont les prestations atteignent ce montant.</summary>
+    public decimal PrestationsMinimum { get; set; }
+
+    public string DeclencheurLibelle => Declencheur switch
+    {
+        "passages" => $"Tous les {NombrePassages} passages",
+        "anniversaire" => "Mois d'anniversaire",
+        "depense" => $"Chaque tranche de {SeuilDepense:N2} € de prestations",
+        "categorie" => $"Prestation « {Categorie} »",
+        "periode" => $"Passage du {DateDebut} au {DateFin}",
+        _ => Declencheur
+    };
+
+    public string RecompenseLibelle => Recompense switch
+    {
+        "pourcentage" => $"{Valeur:0.##} % des prestations",
+        "montant" => $"Bon de {Valeur:N2} €",
+        "prestation" => "Prestation offerte",
+        _ => Recompense
+    };
+}
+
+/// <summary>
+/// Bon qu'une règle accorderait à un client (simulation ou génération).
+/// </summary>
+public sealed class RecompenseFidelite
+{
+    public Client Client { get; set; } = new();
+    public CarteCadeau Carte { get; set; } = new();
+}
@@ -0,0 +1,34 @@
+namespace ParentheseDoree.Managely.App.Models;
+
+/// <summary>
+/// Réglages du verrouillage automatique de l'écran, propres à l'appareil.
+/// </summary>
+public sealed class ParametresVerrouillage
+{
+    /// <summary>Un code PIN est défini : le verrouillage automatique est actif.</summary>
+    public bool PinDefined { get; set; }
+
+    /// <summary>Durée d'inactivité avant verrouillage.</summary>
+    public int TimeoutMinutes { get; set; } = 5;
+
+    /// <summary>Verrouiller dès que l'onglet est masqué (changement d'application, mise en veille).</summary>
+    public bool LockOnHide { get; set; }
+
+    /// <summary>L'écran est actuellement verrouillé.</summary>
+    public bool Locked { get; set; }
+
+    public int MaxAttempts { get; set; }
+    public int AttemptsLeft { get; set; }
+}
+
+/// <summary>
+/// Résultat d'une saisie du code PIN.
+/// </summary>
+public sealed class ResultatDeverrouillage
+{
+    public bool Success { get; set; }
+    public int AttemptsLeft { get; set; }
+
+    /// <summary>Trop d'essais infructueux : la session Google a été fermée.</summary>
+    public bool SignedOut { get; set; }
+}
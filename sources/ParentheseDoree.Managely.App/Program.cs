@@ -14,7 +14,8 @@ public static class Program
         "openid",
         "email",
         "profile",
-        "https://www.googleapis.com/auth/spreadsheets"
+        "https://www.googleapis.com/auth/spreadsheets",
+        "https://www.googleapis.com/auth/drive.metadata.readonly"
     ];
 
     public static async Task Main(string[] args)
@@ -46,17 +47,27 @@ public static class Program
                 SPREADSHEET_ID,
                 GOOGLE_SCOPES));
 
+        // Verrouillage de l'écran
+        builder.Services.AddScoped<VerrouillageService>();
+
         // Service Sheets générique
         builder.Services.AddScoped<GoogleSheetsService>();
 
         // Services métier
+        builder.Services.AddScoped<ParametresService>();
         builder.Services.AddScoped<ClientService>();
+        builder.Services.AddScoped<ClientImportService>();
         builder.Services.AddScoped<PrestationService>();
         builder.Services.AddScoped<ProduitService>();
+        builder.Services.AddScoped<ClotureService>();
         builder.Services.AddScoped<PassageService>();
         builder.Services.AddScoped<CarteCadeauService>();
         builder.Services.AddScoped<FideliteService>();
+        builder.Services.AddScoped<JournalService>();
+        builder.Services.AddScoped<RgpdService>();
         builder.Services.AddScoped<MouvementStockService>();
+        builder.Services.AddScoped<ComptabiliteService>();
+        builder.Services.AddScoped<FactureService>();
 
         await builder.Build().RunAsync();
     }
@@ -24,6 +24,18 @@ public enum LogLevel
     ERROR = 4
 }
 
+/// <summary>
+/// Entrée du journal de diagnostic (données déjà expurgées côté JS).
+/// </summary>
+public sealed class LogEntry
+{
+    public string Timestamp { get; set; } = string.Empty;
+    public string Level { get; set; } = string.Empty;
+    public string Category { get; set; } = string.Empty;
+    public string Message { get; set; } = string.Empty;
+    public System.Text.Json.JsonElement? Data { get; set; }
+}
+
 /// <summary>
 /// Service de logging qui utilise le logger JavaScript du navigateur.
 /// </summary>
@@ -100,6 +112,69 @@ public sealed class BrowserLoggerService(IJSRuntime jsRuntime, ILogger<BrowserLo
         }
     }
 
+    /// <summary>
+    /// Lit le journal de diagnostic persisté (entrées de niveau INFO et plus).
+    /// </summary>
+    /// <param name="minLevel">Niveau minimum (optionnel)</param>
+    /// <param name="category">Catégorie (optionnel)</param>
+    /// <param name="limit">Nombre maximum d'entrées, les plus récentes (optionnel)</param>
+    public async Task<List<LogEntry>> GetEntriesAsync(LogLevel? minLevel = null, string? category = null, int? limit = null)
+    {
+        if (!await EnsureInitializedAsync())
+            return [];
+
+        try
+        {
+            return await jsRuntime.InvokeAsync<List<LogEntry>>(
+                "window.browserLogger.getEntries",
+                new { level = (int?)minLevel, category, limit });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Erreur lors de la lecture du journal de diagnostic");
+            return [];
+        }
+    }
+
+    /// <summary>
+    /// Télécharge le journal de diagnostic (JSON, ou texte si asText=true).
+    /// </summary>
+    public async Task<bool> DownloadDiagnosticsAsync(bool asText = false)
+    {
+        if (!await EnsureInitializedAsync())
+            return false;
+
+        try
+        {
+            return await jsRuntime.InvokeAsync<bool>(
+                "window.browserLogger.downloadDiagnostics",
+                asText ? "text" : "json");
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Erreur lors de l'export du journal de diagnostic");
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Vide le journal de diagnostic.
+    /// </summary>
+    public async Task ClearDiagnosticsAsync()
+    {
+        if (!await EnsureInitializedAsync())
+            return;
+
+        try
+        {
+            await jsRuntime.InvokeAsync<bool>("window.browserLogger.clear");
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Erreur lors de la suppression du journal de diagnostic");
+        }
+    }
+
     /// <summary>
     /// Log de niveau DEBUG (0) - Informations de débogage détaillées.
     /// </summary>
@@ -1,30 +1,38 @@
 using System.Globalization;
+using Microsoft.JSInterop;
 using ParentheseDoree.Managely.App.Models;
 
 namespace ParentheseDoree.Managely.App.Services;
 
 /// <summary>
-/// Service de gestion des cartes cadeaux.
+/// Service de gestion des cartes cadeaux. Chaque carte porte un code à clé de contrôle,
+/// imprimé avec un QR code sur un bon A6 et saisi ou scanné en caisse.
 /// </summary>
 public sealed class CarteCadeauService
 {
     private readonly GoogleSheetsService _sheets;
     private readonly CacheService _cache;
+    private readonly ParametresService _parametres;
+    private readonly IJSRuntime _jsRuntime;
     private readonly BrowserLoggerService _logger;
 
     private const string SheetName = "CartesCadeaux";
-    private const string Range = "A:I";
+    private const string Range = "A:K";
     private const string CacheKey = "cartes_all";
 
     private static readonly string[] Headers =
         ["guid", "client_guid", "type", "montant_initial", "solde_restant",
-         "date_creation", "date_expiration", "statut", "origine"];
+         "date_creation", "date_expiration", "statut", "origine", "regle_fidelite", "code", "supprime", "date_suppression"];
 
-    public CarteCadeauService(GoogleSheetsService sheets, CacheService cache, BrowserLoggerService logger)
+    public CarteCadeauService(GoogleSheetsService sheets, CacheService cache, ParametresService parametres,
+        IJSRuntime jsRuntime, BrowserLoggerService logger)
     {
         _sheets = sheets;
         _cache = cache;
+        _parametres = parametres;
+        _jsRuntime = jsRuntime;
         _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
     }
 
     public async Task<List<CarteCadeau>> GetAllAsync(bool forceRefresh = false)
@@ -54,11 +62,33 @@ public sealed class CarteCadeauService
         return all.Where(c => c.EstUtilisable).ToList();
     }
 
+    /// <summary>
+    /// Carte correspondant à un code saisi ou scanné, si elle peut encore servir en paiement.
+    /// Sinon, Erreur explique le refus (code mal saisi, inconnu, carte épuisée ou expirée).
+    /// </summary>
+    public async Task<(CarteCadeau? Carte, string Erreur)> GetByCodeAsync(string? saisie)
+    {
+        var code = CarteCadeau.NormaliserCode(saisie);
+        if (code == null) return (null, "Code invalide : vérifiez la saisie.");
+
+        // Relecture : la carte a pu être utilisée entre-temps sur un autre poste
+        var carte = (await GetAllAsync(true)).FirstOrDefault(c => c.Code == code);
+        if (carte == null) return (null, $"Aucune carte ne correspond au code {code}.");
+        return carte.StatutCalcule switch
+        {
+            "utilisee" => (null, $"La carte {code} a déjà été utilisée."),
+            "expiree" => (null, $"La carte {code} a expiré le {carte.DateExpiration}."),
+            _ => (carte, "")
+        };
+    }
+
     public async Task<string> AddAsync(CarteCadeau carte)
     {
         carte.GenererGuid();
         if (string.IsNullOrEmpty(carte.DateCreation))
             carte.DateCreation = DateTime.Now.ToString("dd/MM/yyyy");
+        if (string.IsNullOrEmpty(carte.Code))
+            carte.Code = await GenererCodeUniqueAsync();
         carte.Statut = carte.StatutCalcule;
 
         await _sheets.EnsureSheetAsync(SheetName, Headers);
@@ -71,32 +101,111 @@ public sealed class CarteCadeauService
     public async Task UpdateAsync(CarteCadeau carte)
     {
         carte.Statut = carte.StatutCalcule;
-        var success = await _sheets.UpdateRowAsync(SheetName, carte.RowIndex, Range, MapToRow(carte));
-        if (!success) throw new InvalidOperationException("Échec de la mise à jour");
+        var result = await _sheets.UpdateRowByGuidAsync(SheetName, carte.Guid, Range, MapToRow(carte));
+        if (!result.Success) throw new InvalidOperationException("Échec de la mise à jour");
         _cache.Invalidate(CacheKey);
     }
 
-    public async Task DeleteAsync(int rowIndex)
+    public async Task DeleteAsync(string guid)
     {
-        var success = await _sheets.DeleteRowAsync(SheetName, rowIndex);
-        if (!success) throw new InvalidOperationException("Échec de la suppression");
+        var result = await _sheets.DeleteRowByGuidAsync(SheetName, guid, Range);
+        if (!result.Success && !result.NotFound) throw new InvalidOperationException("Échec de la suppression");
         _cache.Invalidate(CacheKey);
     }
 
     /// <summary>
-    /// Utilise un montant sur une carte cadeau. Retourne le montant réellement déduit.
+    /// Imprime le bon A6 d'une carte (marque du salon, montant, expiration, QR code du code).
+    /// Une carte créée avant les codes reçoit le sien à cette occasion.
     /// </summary>
-    public async Task<decimal> UtiliserAsync(string carteGuid, decimal montant)
+    public async Task<bool> ImprimerBonAsync(CarteCadeau carte, string clientNom)
     {
+        if (string.IsNullOrEmpty(carte.Code))
+        {
+            carte.Code = await GenererCodeUniqueAsync();
+            await UpdateAsync(carte);
+            await _logger.InfoAsync(LogCategory.APP, "Code attribué à une carte existante", new { guid = carte.Guid });
+        }
+
+        var salon = await _parametres.GetInfosSalonAsync();
+        var dejaEntamee = carte.SoldeRestant < carte.MontantInitial;
+        return await _jsRuntime.InvokeAsync<bool>("printDocument.printVoucher", new
+        {
+            brand = salon.NomAffiche,
+            tagline = salon.Adresse,
+            title = carte.Type == "achat" ? "Carte cadeau" : "Bon fidélité",
+            amount = $"{(dejaEntamee ? carte.SoldeRestant : carte.MontantInitial):N2} €",
+            beneficiary = string.IsNullOrEmpty(clientNom) ? "" : $"Pour {clientNom}",
+            message = dejaEntamee ? $"Solde restant sur {carte.MontantInitial:N2} €" : carte.Origine,
+            code = carte.Code,
+            expiry = string.IsNullOrEmpty(carte.DateExpiration)
+                ? "Sans date d'expiration"
+                : $"Valable jusqu'au {carte.DateExpiration}",
+            conditions = "Utilisable en une ou plusieurs fois. Ni remboursable, ni échangeable contre des espèces."
+        });
+    }
+
+    /// <summary>
+    /// Prépare le débit des cartes utilisées en paiement pour un lot d'écritures
+    /// (un débit cumulé par carte). Les cartes sont relues : une carte introuvable, expirée,
+    /// épuisée ou au solde insuffisant depuis sa sélection (autre poste) lève une
+    /// InvalidOperationException, et rien n'est enregistré.
+    /// </summary>
+    public async Task<List<SheetWriteOperation>> PreparerUtilisationsAsync(
+        IEnumerable<(string CarteGuid, decimal Montant)> debits)
+    {
+        var operations = new List<SheetWriteOperation>();
+        var parCarte = debits
+            .Where(d => !string.IsNullOrEmpty(d.CarteGuid) && d.Montant > 0)
+            .GroupBy(d => d.CarteGuid)
+            .ToList();
+        if (parCarte.Count == 0) return operations;
+
         var all = await GetAllAsync(true);
-        var carte = all.FirstOrDefault(c => c.Guid == carteGuid);
-        if (carte == null || !carte.EstUtilisable) return 0;
+        var erreurs = new List<string>();
+        foreach (var debit in parCarte)
+        {
+            var carte = all.FirstOrDefault(c => c.Guid == debit.Key);
+            var montant = debit.Sum(d => d.Montant);
+            if (carte == null)
+            {
+                erreurs.Add("Carte cadeau introuvable (supprimée entre-temps).");
+                continue;
+            }
+            var libelle = string.IsNullOrEmpty(carte.Code) ? $"« {carte.Origine} »" : carte.Code;
+            if (!carte.EstUtilisable)
+            {
+                erreurs.Add($"La carte {libelle} n'est plus utilisable ({(carte.StatutCalcule == "expiree" ? "expirée" : "déjà utilisée")}).");
+                continue;
+            }
+            if (montant > carte.SoldeRestant)
+            {
+                erreurs.Add($"Le solde de la carte {libelle} ({carte.SoldeRestant:N2} €) ne couvre plus {montant:N2} €.");
+                continue;
+            }
+
+            carte.SoldeRestant -= montant;
+            carte.Statut = carte.StatutCalcule;
+            operations.Add(SheetWriteOperation.Update(SheetName, carte.Guid, Range, MapToRow(carte)));
+        }
 
-        var montantDeduit = Math.Min(montant, carte.SoldeRestant);
-        carte.SoldeRestant -= montantDeduit;
-        carte.Statut = carte.StatutCalcule;
-        await UpdateAsync(carte);
-        return montantDeduit;
+        if (erreurs.Count > 0)
+        {
+            // Les cartes ont été modifiées en mémoire : le cache est relu au prochain accès
+            _cache.Invalidate(CacheKey);
+            await _logger.WarnAsync(LogCategory.APP, "Paiement par carte cadeau refusé", new { erreurs });
+            throw new InvalidOperationException(string.Join(" ", erreurs));
+        }
+        return operations;
+    }
+
+    public void InvaliderCache() => _cache.Invalidate(CacheKey);
+
+    private async Task<string> GenererCodeUniqueAsync()
+    {
+        var existants = (await GetAllAsync()).Select(c => c.Code).ToHashSet();
+        string code;
+        do { code = CarteCadeau.GenererCode(); } while (existants.Contains(code));
+        return code;
     }
 
     private static CarteCadeau MapFromRow(string[] row, int rowIndex)
@@ -112,7 +221,9 @@ public sealed class CarteCadeauService
             DateCreation = row.ElementAtOrDefault(5) ?? "",
             DateExpiration = row.ElementAtOrDefault(6) ?? "",
             Statut = row.ElementAtOrDefault(7) ?? "active",
-            Origine = row.ElementAtOrDefault(8) ?? ""
+            Origine = row.ElementAtOrDefault(8) ?? "",
+            RegleFidelite = row.ElementAtOrDefault(9) ?? "",
+            Code = row.ElementAtOrDefault(10) ?? ""
         };
     }
 
@@ -121,6 +232,6 @@ public sealed class CarteCadeauService
         return [c.Guid, c.ClientGuid, c.Type,
                 c.MontantInitial.ToString(CultureInfo.InvariantCulture),
                 c.SoldeRestant.ToString(CultureInfo.InvariantCulture),
-                c.DateCreation, c.DateExpiration, c.Statut, c.Origine];
+                c.DateCreation, c.DateExpiration, c.Statut, c.Origine, c.RegleFidelite, c.Code];
     }
 }
@@ -0,0 +1,421 @@
+using System.Globalization;
+using System.Text;
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Statut d'une ligne analysée lors d'un import de clients.
+/// </summary>
+public enum StatutImportClient
+{
+    Valide,
+    Doublon,
+    Invalide
+}
+
+/// <summary>
+/// Ligne d'un fichier d'import, après formatage et détection des doublons.
+/// </summary>
+public sealed class ClientImportLigne
+{
+    /// <summary>Numéro de ligne (CSV) ou de fiche (vCard) dans le fichier.</summary>
+    public int Numero { get; init; }
+    public Client Client { get; init; } = new();
+    public StatutImportClient Statut { get; set; }
+
+    /// <summary>Raison du rejet, ou client existant ressemblant pour un doublon.</summary>
+    public string Motif { get; set; } = string.Empty;
+
+    /// <summary>La ligne sera importée (les doublons peuvent être forcés).</summary>
+    public bool Accepte { get; set; }
+}
+
+/// <summary>
+/// Import en masse de clients depuis un export CSV (séparateur ;) ou des fiches vCard (.vcf).
+/// Les clients sont formatés comme dans ClientForm et comparés aux clients existants
+/// (nom sans accents et téléphone) avant d'être ajoutés en une seule écriture groupée.
+/// </summary>
+public sealed class ClientImportService
+{
+    private readonly ClientService _clients;
+    private readonly BrowserLoggerService _logger;
+
+    private static readonly CultureInfo Fr = new("fr-FR");
+
+    private static readonly string[] MoisNoms =
+        ["Janvier", "Février", "Mars", "Avril", "Mai", "Juin",
+         "Juillet", "Août", "Septembre", "Octobre", "Novembre", "Décembre"];
+
+    // En-têtes CSV reconnus (sans accents, ni espaces, ni ponctuation) par champ
+    private static readonly Dictionary<string, string[]> Colonnes = new()
+    {
+        ["nom"] = ["nom", "nomdefamille", "lastname"],
+        ["prenom"] = ["prenom", "firstname"],
+        ["telephone"] = ["telephone", "tel", "portable", "mobile", "numerotelephone", "numerodetelephone", "phone"],
+        ["email"] = ["email", "mail", "courriel", "adresseemail"],
+        ["adresse"] = ["adresse", "adressepostale", "rue"],
+        ["codepostal"] = ["codepostal", "cp"],
+        ["ville"] = ["ville", "commune"],
+        ["naissance"] = ["datedenaissance", "datenaissance", "naissance", "anniversaire", "dateanniversaire"],
+        ["mois"] = ["moisanniversaire", "moisdanniversaire", "mois"],
+        ["creation"] = ["datecreation", "datedecreation", "clientdepuis", "creele"]
+    };
+
+    public ClientImportService(ClientService clients, BrowserLoggerService logger)
+    {
+        _clients = clients;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Analyse un fichier .csv ou .vcf : formatage, validation et détection des doublons
+    /// (parmi les clients existants et les lignes précédentes du fichier).
+    /// </summary>
+    public async Task<List<ClientImportLigne>> AnalyserAsync(string nomFichier, string contenu)
+    {
+        contenu = contenu.TrimStart('\uFEFF');
+        var estVCard = nomFichier.EndsWith(".vcf", StringComparison.OrdinalIgnoreCase)
+                       || contenu.TrimStart().StartsWith("BEGIN:VCARD", StringComparison.OrdinalIgnoreCase);
+
+        var lignes = estVCard ? LireVCard(contenu) : LireCsv(contenu);
+        var existants = await _clients.GetAllAsync();
+
+        var parNom = new Dictionary<string, string>();
+        var parTelephone = new Dictionary<string, string>();
+        foreach (var c in existants)
+        {
+            parNom.TryAdd(CleNom(c), c.NomComplet);
+            var tel = CleTelephone(c.NumeroTelephone);
+            if (tel != null) parTelephone.TryAdd(tel, c.NomComplet);
+        }
+
+        foreach (var ligne in lignes)
+        {
+            var c = ligne.Client;
+            c.AppliquerFormatage();
+
+            if (string.IsNullOrWhiteSpace(c.Nom) || string.IsNullOrWhiteSpace(c.Prenom))
+            {
+                ligne.Statut = StatutImportClient.Invalide;
+                ligne.Motif = "Nom et prénom obligatoires";
+                continue;
+            }
+
+            var cleNom = CleNom(c);
+            var cleTel = CleTelephone(c.NumeroTelephone);
+            if (parNom.TryGetValue(cleNom, out var homonyme))
+            {
+                ligne.Statut = StatutImportClient.Doublon;
+                ligne.Motif = $"Même nom que {homonyme}";
+            }
+            else if (cleTel != null && parTelephone.TryGetValue(cleTel, out var memeNumero))
+            {
+                ligne.Statut = StatutImportClient.Doublon;
+                ligne.Motif = $"Même téléphone que {memeNumero}";
+            }
+            else
+            {
+                ligne.Statut = StatutImportClient.Valide;
+            }
+            ligne.Accepte = ligne.Statut == StatutImportClient.Valide;
+
+            // Les lignes suivantes du fichier sont aussi comparées à celle-ci
+            var source = $"{c.NomComplet} (ligne {ligne.Numero})";
+            parNom.TryAdd(cleNom, source);
+            if (cleTel != null) parTelephone.TryAdd(cleTel, source);
+        }
+
+        await _logger.InfoAsync(LogCategory.APP, "Fichier d'import clients analysé", new
+        {
+            format = estVCard ? "vcf" : "csv",
+            lignes = lignes.Count,
+            doublons = lignes.Count(l => l.Statut == StatutImportClient.Doublon),
+            invalides = lignes.Count(l => l.Statut == StatutImportClient.Invalide)
+        });
+        return lignes;
+    }
+
+    /// <summary>
+    /// Ajoute les lignes acceptées en une seule écriture groupée.
+    /// Retourne le nombre de clients importés.
+    /// </summary>
+    public async Task<int> ImporterAsync(IEnumerable<ClientImportLigne> lignes)
+    {
+        var clients = lignes
+            .Where(l => l.Accepte && l.Statut != StatutImportClient.Invalide)
+            .Select(l => l.Client)
+            .ToList();
+        if (clients.Count == 0) return 0;
+
+        var result = await _clients.AddRangeAsync(clients);
+        if (!result.Success)
+            throw new InvalidOperationException(result.Error ?? "Échec de l'import des clients");
+        return clients.Count;
+    }
+
+    /// <summary>NOM + prénom sans accents ni séparateurs, en majuscules.</summary>
+    private static string CleNom(Client c) =>
+        new(Client.SupprimerAccents($"{c.Nom}{c.Prenom}").ToUpperInvariant().Where(char.IsLetterOrDigit).ToArray());
+
+    /// <summary>Chiffres du téléphone (+33 ramené à 0), null s'il est trop court pour comparer.</summary>
+    private static string? CleTelephone(string telephone)
+    {
+        var digits = new string((telephone ?? "").Where(char.IsDigit).ToArray());
+        if (digits.StartsWith("33") && digits.Length == 11) digits = "0" + digits[2..];
+        return digits.Length >= 9 ? digits : null;
+    }
+
+    private static List<ClientImportLigne> LireCsv(string contenu)
+    {
+        var enregistrements = DecouperCsv(contenu);
+        if (enregistrements.Count == 0) return [];
+
+        // Index de colonne par champ, d'après la ligne d'en-tête
+        var entetes = enregistrements[0].Valeurs.Select(NormaliserEntete).ToList();
+        var index = Colonnes.ToDictionary(
+            kvp => kvp.Key,
+            kvp => entetes.FindIndex(e => kvp.Value.Contains(e)));
+
+        string Champ(string[] valeurs, string champ) =>
+            index[champ] >= 0 && index[champ] < valeurs.Length ? valeurs[index[champ]].Trim() : "";
+
+        return enregistrements.Skip(1)
+            .Where(e => e.Valeurs.Any(v => !string.IsNullOrWhiteSpace(v)))
+            .Select(e =>
+            {
+                var v = e.Valeurs;
+                var ville = string.Join(" ", new[] { Champ(v, "codepostal"), Champ(v, "ville") }.Where(s => s != ""));
+                return new ClientImportLigne
+                {
+                    Numero = e.Numero,
+                    Client = new Client
+                    {
+                        Nom = Champ(v, "nom"),
+                        Prenom = Champ(v, "prenom"),
+                        NumeroTelephone = Champ(v, "telephone"),
+                        Email = Champ(v, "email"),
+                        Adresse = string.Join(", ", new[] { Champ(v, "adresse"), ville }.Where(s => s != "")),
+                        MoisAnniversaire = MoisDepuisDate(Champ(v, "naissance")) ?? MoisDepuisTexte(Champ(v, "mois")),
+                        DateCreation = DateCreationDepuisTexte(Champ(v, "creation"))
+                    }
+                };
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// Découpe un CSV en enregistrements (champs entre guillemets, retours à la ligne inclus).
+    /// Le séparateur est ; sauf si la ligne d'en-tête ne contient que des virgules.
+    /// </summary>
+    private static List<(int Numero, string[] Valeurs)> DecouperCsv(string contenu)
+    {
+        var premiereLigne = contenu.Split('\n')[0];
+        var separateur = !premiereLigne.Contains(';') && premiereLigne.Contains(',') ? ',' : ';';
+
+        var enregistrements = new List<(int, string[])>();
+        var champs = new List<string>();
+        var champ = new StringBuilder();
+        var entreGuillemets = false;
+        int ligne = 1, debut = 1;
+
+        void FinChamp()
+        {
+            champs.Add(champ.ToString());
+            champ.Clear();
+        }
+
+        void FinEnregistrement()
+        {
+            FinChamp();
+            enregistrements.Add((debut, champs.ToArray()));
+            champs.Clear();
+            debut = ligne;
+        }
+
+        for (var i = 0; i < contenu.Length; i++)
+        {
+            var ch = contenu[i];
+            if (entreGuillemets)
+            {
+                if (ch == '"' && i + 1 < contenu.Length && contenu[i + 1] == '"') { champ.Append('"'); i++; }
+                else if (ch == '"') entreGuillemets = false;
+                else
+                {
+                    if (ch == '\n') ligne++;
+                    champ.Append(ch);
+                }
+            }
+            else if (ch == '"') entreGuillemets = true;
+            else if (ch == separateur) FinChamp();
+            else if (ch == '\n') { ligne++; FinEnregistrement(); }
+            else if (ch != '\r') champ.Append(ch);
+        }
+        if (champ.Length > 0 || champs.Count > 0) FinEnregistrement();
+
+        return enregistrements;
+    }
+
+    private static string NormaliserEntete(string entete) =>
+        new(Client.SupprimerAccents(entete).ToLowerInvariant().Where(char.IsLetterOrDigit).ToArray());
+
+    private static List<ClientImportLigne> LireVCard(string contenu)
+    {
+        // Déplier les lignes continuées (commençant par un espace ou une tabulation)
+        var lignes = new List<string>();
+        foreach (var brute in contenu.Replace("\r\n", "\n").Split('\n'))
+        {
+            if (lignes.Count > 0 && brute.Length > 0 && (brute[0] == ' ' || brute[0] == '\t'))
+                lignes[^1] += brute[1..];
+            else if (lignes.Count > 0 && lignes[^1].EndsWith('=') && lignes[^1].Contains("QUOTED-PRINTABLE", StringComparison.OrdinalIgnoreCase))
+                lignes[^1] = lignes[^1][..^1] + brute;
+            else
+                lignes.Add(brute);
+        }
+
+        var resultat = new List<ClientImportLigne>();
+        Client? courant = null;
+        string? telephone = null;
+        var fiche = 0;
+
+        foreach (var ligne in lignes)
+        {
+            var separateur = ligne.IndexOf(':');
+            if (separateur < 0) continue;
+
+            var parametres = ligne[..separateur].Split(';');
+            var propriete = parametres[0].ToUpperInvariant();
+            propriete = propriete[(propriete.IndexOf('.') + 1)..]; // item1.TEL → TEL
+            var valeur = DecoderValeur(ligne[(separateur + 1)..], parametres);
+
+            switch (propriete)
+            {
+                case "BEGIN" when valeur.Equals("VCARD", StringComparison.OrdinalIgnoreCase):
+                    courant = new Client();
+                    telephone = null;
+                    fiche++;
+                    break;
+                case "END" when courant != null:
+                    courant.NumeroTelephone = telephone ?? "";
+                    resultat.Add(new ClientImportLigne { Numero = fiche, Client = courant });
+                    courant = null;
+                    break;
+                case "N" when courant != null:
+                    var n = DecouperVCard(valeur);
+                    courant.Nom = n.ElementAtOrDefault(0) ?? "";
+                    courant.Prenom = n.ElementAtOrDefault(1) ?? "";
+                    break;
+                case "FN" when courant != null && string.IsNullOrWhiteSpace(courant.Nom):
+                    // Sans champ N : le dernier mot est le nom
+                    var mots = Echapper(valeur).Split(' ', StringSplitOptions.RemoveEmptyEntries);
+                    if (mots.Length > 0)
+                    {
+                        courant.Nom = mots[^1];
+                        courant.Prenom = string.Join(" ", mots[..^1]);
+                    }
+                    break;
+                case "TEL" when courant != null:
+                    // Le portable est préféré aux autres numéros
+                    var portable = parametres.Any(p => p.Contains("CELL", StringComparison.OrdinalIgnoreCase));
+                    if (telephone == null || portable) telephone = valeur.Trim();
+                    break;
+                case "EMAIL" when courant != null && courant.Email == "":
+                    courant.Email = valeur.Trim();
+                    break;
+                case "ADR" when courant != null && courant.Adresse == "":
+                    // ;;rue;ville;région;code postal;pays
+                    var adr = DecouperVCard(valeur);
+                    var ville = string.Join(" ", new[] { adr.ElementAtOrDefault(5), adr.ElementAtOrDefault(3) }
+                        .Where(s => !string.IsNullOrWhiteSpace(s)));
+                    courant.Adresse = string.Join(", ", new[] { adr.ElementAtOrDefault(2), ville }
+                        .Where(s => !string.IsNullOrWhiteSpace(s)));
+                    break;
+                case "BDAY" when courant != null:
+                    courant.MoisAnniversaire = MoisDepuisDate(valeur.Trim()) ?? "";
+                    break;
+            }
+        }
+
+        return resultat;
+    }
+
+    /// <summary>Découpe une valeur structurée (N, ADR) sur les ; non échappés.</summary>
+    private static string[] DecouperVCard(string valeur)
+    {
+        var parties = new List<string>();
+        var partie = new StringBuilder();
+        for (var i = 0; i < valeur.Length; i++)
+        {
+            if (valeur[i] == '\\' && i + 1 < valeur.Length) { partie.Append(valeur[i]).Append(valeur[++i]); continue; }
+            if (valeur[i] == ';') { parties.Add(Echapper(partie.ToString())); partie.Clear(); continue; }
+            partie.Append(valeur[i]);
+        }
+        parties.Add(Echapper(partie.ToString()));
+        return parties.Select(p => p.Trim()).ToArray();
+    }
+
+    private static string Echapper(string valeur) => valeur
+        .Replace("\\n", " ").Replace("\\N", " ")
+        .Replace("\\,", ",").Replace("\\;", ";").Replace("\\\\", "\\");
+
+    /// <summary>Décode les valeurs QUOTED-PRINTABLE des vCard 2.1 (exports de téléphones).</summary>
+    private static string DecoderValeur(string valeur, string[] parametres)
+    {
+        if (!parametres.Any(p => p.Contains("QUOTED-PRINTABLE", StringComparison.OrdinalIgnoreCase)))
+            return valeur;
+
+        var octets = new List<byte>();
+        for (var i = 0; i < valeur.Length; i++)
+        {
+            if (valeur[i] == '=' && i + 2 < valeur.Length
+                && byte.TryParse(valeur.AsSpan(i + 1, 2), NumberStyles.HexNumber, null, out var octet))
+            {
+                octets.Add(octet);
+                i += 2;
+            }
+            else
+            {
+                octets.AddRange(Encoding.UTF8.GetBytes(valeur[i].ToString()));
+            }
+        }
+        return Encoding.UTF8.GetString(octets.ToArray());
+    }
+
+    /// <summary>
+    /// Mois (Janvier…) d'une date de naissance : 12/04/1985, 12/04, 1985-04-12, 19850412, --04-12.
+    /// </summary>
+    private static string? MoisDepuisDate(string texte)
+    {
+        if (string.IsNullOrWhiteSpace(texte)) return null;
+        texte = texte.Trim();
+
+        string[] formats = ["dd/MM/yyyy", "d/M/yyyy", "dd/MM/yy", "dd/MM", "d/M", "dd-MM-yyyy", "dd.MM.yyyy", "yyyy-MM-dd", "yyyyMMdd"];
+        if (DateTime.TryParseExact(texte, formats, Fr, DateTimeStyles.None, out var date))
+            return MoisNoms[date.Month - 1];
+
+        // Date sans année des vCard : --MM-DD ou --MMDD
+        if (texte.StartsWith("--") && texte.Length >= 6 && int.TryParse(texte.AsSpan(2, 2), out var mois) && mois is >= 1 and <= 12)
+            return MoisNoms[mois - 1];
+
+        return null;
+    }
+
+    /// <summary>Mois donné en toutes lettres (avec ou sans accent) ou par son numéro.</summary>
+    private static string MoisDepuisTexte(string texte)
+    {
+        if (string.IsNullOrWhiteSpace(texte)) return "";
+        if (int.TryParse(texte, out var numero) && numero is >= 1 and <= 12) return MoisNoms[numero - 1];
+
+        var cle = Client.SupprimerAccents(texte.Trim()).ToLowerInvariant();
+        return MoisNoms.FirstOrDefault(m => Client.SupprimerAccents(m).ToLowerInvariant() == cle) ?? "";
+    }
+
+    /// <summary>Date de création au format stocké (ISO), vide si absente ou illisible.</summary>
+    private static string DateCreationDepuisTexte(string texte)
+    {
+        string[] formats = ["dd/MM/yyyy", "d/M/yyyy", "dd/MM/yyyy HH:mm", "dd/MM/yyyy HH:mm:ss", "yyyy-MM-dd"];
+        return DateTime.TryParseExact(texte.Trim(), formats, Fr, DateTimeStyles.AssumeLocal, out var date)
+            ? date.ToUniversalTime().ToString("o")
+            : "";
+    }
+}
@@ -23,6 +23,7 @@ public sealed class ClientService
         _sheets = sheets;
         _cache = cache;
         _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
     }
 
     public async Task<List<Client>> GetAllAsync(bool forceRefresh = false)
@@ -59,45 +60,81 @@ public sealed class ClientService
         if (!success) throw new InvalidOperationException("Échec de l'ajout du client");
 
         _cache.Invalidate(CacheKey);
-        await _logger.SuccessAsync(LogCategory.API, $"Client ajouté: {client.NomComplet}");
+        await _logger.SuccessAsync(LogCategory.API, "Client ajouté", new { guid = client.Guid });
         return client.Guid;
     }
 
     /// <summary>
-    /// Met à jour un client avec détection de conflit.
-    /// Retourne false si un conflit est détecté (sauf si forceWrite=true).
+    /// Ajoute plusieurs clients en une seule écriture groupée (import).
+    /// Une date de création déjà renseignée est conservée.
     /// </summary>
-    public async Task<bool> UpdateAsync(Client client, bool forceWrite = false)
+    public async Task<BatchWriteResult> AddRangeAsync(IReadOnlyList<Client> clients)
     {
-        if (!forceWrite)
+        var now = DateTime.UtcNow.ToString("o");
+        var operations = clients.Select(client =>
         {
-            // Recharger depuis le serveur pour vérifier l'intégrité
-            var current = await GetByGuidAsync(client.Guid);
-            if (current != null && !string.IsNullOrEmpty(current.HachageIntegrite)
-                && current.HachageIntegrite != client.HachageIntegrite)
-            {
-                await _logger.WarnAsync(LogCategory.APP, "Conflit détecté sur le client",
-                    new { guid = client.Guid, nom = client.NomComplet });
-                return false; // Conflit
-            }
-        }
+            client.GenererGuid();
+            if (string.IsNullOrEmpty(client.DateCreation)) client.DateCreation = now;
+            client.MettreAJourIntegrite();
+            return SheetWriteOperation.Append(SheetName, Range, MapToRow(client));
+        }).ToList();
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var result = await _sheets.BatchWriteAsync(operations);
 
+        _cache.Invalidate(CacheKey);
+        if (result.Success)
+            await _logger.SuccessAsync(LogCategory.API, "Clients importés", new { count = clients.Count, queued = result.Queued });
+        return result;
+    }
+
+    /// <summary>
+    /// Met à jour un client avec détection de conflit.
+    /// La ligne est retrouvée par son GUID et son hachage d'intégrité comparé à celui
+    /// chargé par l'utilisateur. Retourne false si un conflit est détecté (sauf si forceWrite=true).
+    /// </summary>
+    public async Task<bool> UpdateAsync(Client client, bool forceWrite = false)
+    {
+        var hachageLu = client.HachageIntegrite;
         client.MettreAJourIntegrite();
         var values = MapToRow(client);
-        var success = await _sheets.UpdateRowAsync(SheetName, client.RowIndex, Range, values);
-        if (!success) throw new InvalidOperationException("Échec de la mise à jour du client");
+        var result = await _sheets.UpdateRowByGuidAsync(SheetName, client.Guid, Range, values,
+            forceWrite ? null : hachageLu);
+
+        if (result.Conflict)
+        {
+            client.HachageIntegrite = hachageLu;
+            _cache.Invalidate(CacheKey);
+            await _logger.WarnAsync(LogCategory.APP, "Conflit détecté sur le client",
+                new { guid = client.Guid, nom = client.NomComplet });
+            return false; // Conflit
+        }
+        if (result.NotFound)
+        {
+            _cache.Invalidate(CacheKey);
+            throw new InvalidOperationException("Ce client a été supprimé par un autre utilisateur");
+        }
+        if (!result.Success) throw new InvalidOperationException("Échec de la mise à jour du client");
 
         _cache.Invalidate(CacheKey);
-        await _logger.SuccessAsync(LogCategory.API, $"Client modifié: {client.NomComplet}");
+        await _logger.SuccessAsync(LogCategory.API, "Client modifié", new { guid = client.Guid });
         return true;
     }
 
-    public async Task DeleteAsync(int rowIndex)
+    /// <summary>
+    /// Supprime un client. La suppression est refusée si le client a été modifié
+    /// par un autre utilisateur depuis sa lecture.
+    /// </summary>
+    public async Task DeleteAsync(Client client)
     {
-        var success = await _sheets.DeleteRowAsync(SheetName, rowIndex);
-        if (!success) throw new InvalidOperationException("Échec de la suppression du client");
-
+        var result = await _sheets.DeleteRowByGuidAsync(SheetName, client.Guid, Range, client.HachageIntegrite);
         _cache.Invalidate(CacheKey);
+
+        if (result.Conflict)
+            throw new InvalidOperationException("Ce client a été modifié par un autre utilisateur. Rechargez la liste avant de le supprimer.");
+        if (!result.Success && !result.NotFound)
+            throw new InvalidOperationException("Échec de la suppression du client");
+
         await _logger.SuccessAsync(LogCategory.API, "Client supprimé");
     }
 
@@ -0,0 +1,271 @@
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.JSInterop;
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Clôture de caisse journalière (rapport Z) : totaux des passages par mode de paiement,
+/// rapprochement avec les espèces comptées et le terminal CB, puis ajout d'une ligne
+/// verrouillée dans la feuille "Clotures". Les passages d'une journée clôturée ne sont plus modifiables.
+/// </summary>
+public sealed class ClotureService
+{
+    private readonly GoogleSheetsService _sheets;
+    private readonly CacheService _cache;
+    private readonly GoogleAuthService _auth;
+    private readonly IJSRuntime _jsRuntime;
+    private readonly BrowserLoggerService _logger;
+
+    private const string SheetName = "Clotures";
+    private const string Range = "A:T";
+    private const string CacheKey = "clotures_all";
+
+    private static readonly string[] Headers =
+        ["guid", "date", "horodatage", "utilisateur", "email", "nb_passages",
+         "total_cb", "total_especes", "total_cheque", "total_virement", "total_autres", "total_cartes",
+         "fond_caisse", "especes_comptees", "terminal_cb", "ecart_especes", "ecart_cb",
+         "commentaire", "empreinte_passages", "hachage_integrite"];
+
+    public ClotureService(GoogleSheetsService sheets, CacheService cache, GoogleAuthService auth,
+        IJSRuntime jsRuntime, BrowserLoggerService logger)
+    {
+        _sheets = sheets;
+        _cache = cache;
+        _auth = auth;
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
+    }
+
+    public async Task<List<Cloture>> GetAllAsync(bool forceRefresh = false)
+    {
+        if (!forceRefresh)
+        {
+            var cached = _cache.Get<List<Cloture>>(CacheKey);
+            if (cached != null) return cached;
+        }
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var rows = await _sheets.ReadSheetAsync(SheetName, Range);
+        var list = rows.Select((r, i) => MapFromRow(r, i + 2))
+            .Where(c => !string.IsNullOrEmpty(c.Guid))
+            .ToList();
+        _cache.Set(CacheKey, list);
+        return list;
+    }
+
+    /// <summary>Clôture d'une journée (dd/MM/yyyy), ou null si la journée est ouverte.</summary>
+    public async Task<Cloture?> GetParDateAsync(string date, bool forceRefresh = false)
+    {
+        var all = await GetAllAsync(forceRefresh);
+        return all.FirstOrDefault(c => c.Date == date);
+    }
+
+    public async Task<bool> EstClotureeAsync(string date) => await GetParDateAsync(date) != null;
+
+    /// <summary>
+    /// Calcule le rapport Z d'une journée à partir de ses passages (sans comptage).
+    /// </summary>
+    public static Cloture Calculer(string date, IEnumerable<Passage> passages)
+    {
+        var duJour = passages.Where(p => p.Date == date).ToList();
+        var cloture = new Cloture
+        {
+            Date = date,
+            NombrePassages = duJour.Count,
+            EmpreintePassages = Empreinte(duJour)
+        };
+
+        foreach (var passage in duJour)
+        {
+            if (passage.Paiements.Count > 0)
+            {
+                foreach (var paiement in passage.Paiements)
+                    Ajouter(cloture, paiement.Mode, paiement.Montant);
+            }
+            else if (passage.ModePaiement == "Carte cadeau")
+            {
+                // Ancien passage : la carte ne couvre que MontantCarteUtilisee
+                Ajouter(cloture, "Carte cadeau", passage.MontantCarteUtilisee);
+                Ajouter(cloture, "", Math.Max(0, passage.Total - passage.MontantCarteUtilisee));
+            }
+            else
+            {
+                Ajouter(cloture, passage.ModePaiement, passage.Total);
+            }
+        }
+        return cloture;
+    }
+
+    /// <summary>
+    /// Les passages de la journée ont-ils changé depuis la clôture
+    /// (modification directe dans la feuille, restauration depuis le journal...) ?
+    /// </summary>
+    public static bool PassagesModifies(Cloture cloture, IEnumerable<Passage> passages) =>
+        Empreinte(passages.Where(p => p.Date == cloture.Date)) != cloture.EmpreintePassages;
+
+    /// <summary>
+    /// Enregistre la clôture d'une journée. Refusé si la journée est déjà clôturée
+    /// (y compris depuis un autre appareil).
+    /// </summary>
+    public async Task CloturerAsync(Cloture cloture)
+    {
+        if (await GetParDateAsync(cloture.Date, true) != null)
+            throw new InvalidOperationException($"La journée du {cloture.Date} est déjà clôturée.");
+
+        cloture.GenererGuid();
+        cloture.Horodatage = DateTime.UtcNow;
+        cloture.Utilisateur = _auth.CurrentUser?.Name ?? "";
+        cloture.Email = _auth.CurrentUser?.Email ?? "";
+        cloture.MettreAJourIntegrite();
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var success = await _sheets.AppendRowAsync(SheetName, Range, MapToRow(cloture));
+        _cache.Invalidate(CacheKey);
+        if (!success)
+        {
+            cloture.Guid = "";
+            throw new InvalidOperationException("Échec de l'enregistrement de la clôture");
+        }
+
+        await _logger.SuccessAsync(LogCategory.APP, "Journée clôturée", new
+        {
+            date = cloture.Date,
+            encaisse = cloture.TotalEncaisse,
+            ecartEspeces = cloture.EcartEspeces,
+            ecartCB = cloture.EcartCB
+        });
+    }
+
+    /// <summary>Imprime le rapport Z (ou l'enregistre en PDF depuis la boîte d'impression).</summary>
+    public async Task ImprimerAsync(Cloture cloture, bool passagesModifies)
+    {
+        var alertes = new List<string>();
+        if (!cloture.VerifierIntegrite()) alertes.Add("La ligne de clôture a été modifiée dans la feuille.");
+        if (passagesModifies) alertes.Add("Des passages de la journée ont changé depuis la clôture.");
+
+        var sections = new List<object>
+        {
+            new
+            {
+                title = "Encaissements",
+                table = new
+                {
+                    headers = new[] { "Mode de paiement", "Montant" },
+                    rows = new[]
+                    {
+                        new[] { "Carte bancaire", Euros(cloture.TotalCB) },
+                        new[] { "Espèces", Euros(cloture.TotalEspeces) },
+                        new[] { "Chèque", Euros(cloture.TotalCheque) },
+                        new[] { "Virement", Euros(cloture.TotalVirement) },
+                        new[] { "Autres", Euros(cloture.TotalAutres) },
+                        new[] { "Total encaissé", Euros(cloture.TotalEncaisse) }
+                    }
+                }
+            },
+            new
+            {
+                title = "Avoirs utilisés (hors encaissements)",
+                fields = new string[][] { ["Cartes cadeaux et bons", Euros(cloture.TotalCartes)] }
+            },
+            new
+            {
+                title = "Rapprochement",
+                fields = new string[][]
+                {
+                    ["Fond de caisse", Euros(cloture.FondDeCaisse)],
+                    ["Espèces comptées", Euros(cloture.EspecesComptees)],
+                    ["Écart espèces", Euros(cloture.EcartEspeces)],
+                    ["Total terminal CB", Euros(cloture.TerminalCB)],
+                    ["Écart CB", Euros(cloture.EcartCB)],
+                    ["Commentaire", cloture.Commentaire]
+                }
+            }
+        };
+        if (alertes.Count > 0)
+            sections.Add(new { title = "Alertes", text = string.Join(" ", alertes) });
+
+        await _jsRuntime.InvokeAsync<bool>("printDocument.print", new
+        {
+            title = $"Rapport Z du {cloture.Date}",
+            subtitle = $"{cloture.NombrePassages} passage(s) — clôturé le {cloture.Horodatage.ToLocalTime():dd/MM/yyyy à HH:mm}" +
+                       $" par {(string.IsNullOrEmpty(cloture.Utilisateur) ? cloture.Email : cloture.Utilisateur)}",
+            sections,
+            footer = $"Clôture {cloture.Guid} — empreinte {cloture.HachageIntegrite}"
+        });
+    }
+
+    private static void Ajouter(Cloture cloture, string mode, decimal montant)
+    {
+        switch (mode)
+        {
+            case "CB": cloture.TotalCB += montant; break;
+            case "Espèces": cloture.TotalEspeces += montant; break;
+            case "Chèque": cloture.TotalCheque += montant; break;
+            case "Virement": cloture.TotalVirement += montant; break;
+            case "Carte cadeau": cloture.TotalCartes += montant; break;
+            default: cloture.TotalAutres += montant; break;
+        }
+    }
+
+    // Montants et paiements des passages : le hachage d'intégrité du passage ne couvre pas
+    // les paiements fractionnés, et il est vidé par un effacement RGPD
+    private static string Empreinte(IEnumerable<Passage> passages)
+    {
+        var data = string.Join("\n", passages
+            .OrderBy(p => p.Guid, StringComparer.Ordinal)
+            .Select(p => $"{p.Guid}|{p.Total.ToString(CultureInfo.InvariantCulture)}|{p.ModePaiement}|" +
+                         $"{p.MontantCarteUtilisee.ToString(CultureInfo.InvariantCulture)}|" +
+                         string.Join(";", p.Paiements.Select(x => $"{x.Mode}:{x.Montant.ToString(CultureInfo.InvariantCulture)}"))));
+        var bytes = SHA256.HashData(Encoding.UTF8.GetBytes(data));
+        return Convert.ToHexString(bytes)[..16];
+    }
+
+    private static string Euros(decimal montant) => $"{montant:N2} €";
+
+    private static decimal ParseDecimal(string? value) =>
+        decimal.TryParse(value, NumberStyles.Any, CultureInfo.InvariantCulture, out var d) ? d : 0;
+
+    private static string Format(decimal value) => value.ToString(CultureInfo.InvariantCulture);
+
+    private static Cloture MapFromRow(string[] row, int rowIndex)
+    {
+        return new Cloture
+        {
+            RowIndex = rowIndex,
+            Guid = row.ElementAtOrDefault(0) ?? "",
+            Date = row.ElementAtOrDefault(1) ?? "",
+            Horodatage = DateTime.TryParse(row.ElementAtOrDefault(2), CultureInfo.InvariantCulture,
+                DateTimeStyles.RoundtripKind, out var h) ? h : default,
+            Utilisateur = row.ElementAtOrDefault(3) ?? "",
+            Email = row.ElementAtOrDefault(4) ?? "",
+            NombrePassages = int.TryParse(row.ElementAtOrDefault(5), out var n) ? n : 0,
+            TotalCB = ParseDecimal(row.ElementAtOrDefault(6)),
+            TotalEspeces = ParseDecimal(row.ElementAtOrDefault(7)),
+            TotalCheque = ParseDecimal(row.ElementAtOrDefault(8)),
+            TotalVirement = ParseDecimal(row.ElementAtOrDefault(9)),
+            TotalAutres = ParseDecimal(row.ElementAtOrDefault(10)),
+            TotalCartes = ParseDecimal(row.ElementAtOrDefault(11)),
+            FondDeCaisse = ParseDecimal(row.ElementAtOrDefault(12)),
+            EspecesComptees = ParseDecimal(row.ElementAtOrDefault(13)),
+            TerminalCB = ParseDecimal(row.ElementAtOrDefault(14)),
+            // 15 et 16 : écarts, recalculés à partir des montants
+            Commentaire = row.ElementAtOrDefault(17) ?? "",
+            EmpreintePassages = row.ElementAtOrDefault(18) ?? "",
+            HachageIntegrite = row.ElementAtOrDefault(19) ?? ""
+        };
+    }
+
+    private static string[] MapToRow(Cloture c)
+    {
+        return [c.Guid, c.Date, c.Horodatage.ToString("o"), c.Utilisateur, c.Email, c.NombrePassages.ToString(),
+                Format(c.TotalCB), Format(c.TotalEspeces), Format(c.TotalCheque), Format(c.TotalVirement),
+                Format(c.TotalAutres), Format(c.TotalCartes),
+                Format(c.FondDeCaisse), Format(c.EspecesComptees), Format(c.TerminalCB),
+                Format(c.EcartEspeces), Format(c.EcartCB),
+                c.Commentaire, c.EmpreintePassages, c.HachageIntegrite];
+    }
+}
@@ -0,0 +1,330 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Json;
+using Microsoft.JSInterop;
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Export comptable d'une période : passages, ventes de cartes cadeaux et réapprovisionnements
+/// transformés en écritures équilibrées, au format FEC (fichier des écritures comptables) ou CSV.
+///
+/// - Passage : ventes de prestations et de produits HT au crédit, TVA collectée, et au débit
+///   le compte de chaque mode de paiement. Une carte cadeau utilisée solde la dette 4191 ;
+///   un bon fidélité est une remise : il réduit le chiffre d'affaires et la TVA.
+/// - Carte cadeau vendue : dette envers le client (pas de TVA avant l'utilisation).
+/// - Réapprovisionnement : achat HT, TVA déductible et dette fournisseur.
+/// </summary>
+public sealed class ComptabiliteService
+{
+    private readonly PassageService _passages;
+    private readonly CarteCadeauService _cartes;
+    private readonly MouvementStockService _mouvements;
+    private readonly ProduitService _produits;
+    private readonly ParametresService _parametres;
+    private readonly IJSRuntime _jsRuntime;
+    private readonly BrowserLoggerService _logger;
+
+    private const string CleParametres = "compta.parametres";
+
+    private static readonly CultureInfo Fr = CultureInfo.GetCultureInfo("fr-FR");
+
+    private static readonly JsonSerializerOptions JsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    private static readonly string[] FecEntetes =
+        ["JournalCode", "JournalLib", "EcritureNum", "EcritureDate", "CompteNum", "CompteLib",
+         "CompAuxNum", "CompAuxLib", "PieceRef", "PieceDate", "EcritureLib", "Debit", "Credit",
+         "EcritureLet", "DateLet", "ValidDate", "Montantdevise", "Idevise"];
+
+    public ComptabiliteService(PassageService passages, CarteCadeauService cartes, MouvementStockService mouvements,
+        ProduitService produits, ParametresService parametres, IJSRuntime jsRuntime, BrowserLoggerService logger)
+    {
+        _passages = passages;
+        _cartes = cartes;
+        _mouvements = mouvements;
+        _produits = produits;
+        _parametres = parametres;
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    public async Task<ParametresComptables> GetParametresAsync()
+    {
+        var json = await _parametres.GetValeurAsync(CleParametres);
+        if (string.IsNullOrWhiteSpace(json)) return new ParametresComptables();
+        try { return JsonSerializer.Deserialize<ParametresComptables>(json, JsonOpts) ?? new ParametresComptables(); }
+        catch (JsonException) { return new ParametresComptables(); }
+    }
+
+    public async Task EnregistrerParametresAsync(ParametresComptables parametres)
+    {
+        await _parametres.SetValeurAsync(CleParametres, JsonSerializer.Serialize(parametres, JsonOpts));
+    }
+
+    /// <summary>
+    /// Génère les écritures de la période (bornes incluses), passages archivés compris.
+    /// </summary>
+    public async Task<ExportComptable> GenererAsync(DateTime du, DateTime au)
+    {
+        var parametres = await GetParametresAsync();
+        var export = new ExportComptable { Du = du.Date, Au = au.Date };
+        bool DansPeriode(string texte, out DateTime date) =>
+            DateTime.TryParseExact(texte, "dd/MM/yyyy", CultureInfo.InvariantCulture, DateTimeStyles.None, out date)
+            && date >= export.Du && date <= export.Au;
+
+        var passages = await _passages.GetAllAsync(true);
+        var annees = Enumerable.Range(du.Year, au.Year - du.Year + 1);
+        passages = [.. passages, .. await _passages.GetArchivesAsync(annees)];
+        var cartes = (await _cartes.GetAllAsync(true)).ToDictionary(c => c.Guid);
+        var mouvements = await _mouvements.GetAllAsync(true);
+        var produits = (await _produits.GetAllAsync()).ToDictionary(p => p.Guid);
+
+        var ventes = new List<EcritureComptable>();
+        foreach (var passage in passages)
+        {
+            if (!DansPeriode(passage.Date, out var date)) continue;
+            var ecriture = EcriturePassage(passage, date, cartes, parametres, export.Avertissements);
+            if (ecriture != null) ventes.Add(ecriture);
+        }
+
+        foreach (var carte in cartes.Values.Where(c => c.Type == "achat" && c.MontantInitial > 0))
+        {
+            if (!DansPeriode(carte.DateCreation, out var date)) continue;
+            var ecriture = new EcritureComptable
+            {
+                Date = date,
+                Piece = $"CC-{Court(carte.Guid)}",
+                Libelle = "Vente carte cadeau"
+            };
+            Debiter(ecriture, parametres.CompteEncaissementCartes, "Encaissements cartes cadeaux", carte.MontantInitial);
+            Crediter(ecriture, parametres.CompteCartesCadeaux, "Cartes cadeaux à utiliser", carte.MontantInitial);
+            ventes.Add(ecriture);
+        }
+
+        var achats = new List<EcritureComptable>();
+        foreach (var mouvement in mouvements.Where(m => m.Type == "entree" && m.Motif == "reapprovisionnement"))
+        {
+            if (!DansPeriode(mouvement.Date, out var date) || mouvement.MontantTotal <= 0) continue;
+            var ht = Arrondi(mouvement.MontantTotal);
+            var tva = Arrondi(ht * parametres.TauxTvaProduits / 100);
+            var nom = produits.TryGetValue(mouvement.ProduitGuid, out var produit) ? produit.Nom : "produit";
+            var ecriture = new EcritureComptable
+            {
+                Date = date,
+                Piece = $"ST-{Court(mouvement.Guid)}",
+                Libelle = Tronquer($"Réapprovisionnement {mouvement.Quantite} x {nom}")
+            };
+            Debiter(ecriture, parametres.CompteAchats, "Achats de marchandises", ht);
+            Debiter(ecriture, parametres.CompteTvaDeductible, "TVA déductible", tva);
+            Crediter(ecriture, parametres.CompteFournisseurs, "Fournisseurs", ht + tva);
+            achats.Add(ecriture);
+        }
+
+        Numeroter(ventes, parametres.JournalVentes, "Ventes");
+        Numeroter(achats, parametres.JournalAchats, "Achats");
+        export.Ecritures = [.. ventes, .. achats];
+
+        await _logger.InfoAsync(LogCategory.APP, "Écritures comptables générées", new
+        {
+            du = export.Du.ToString("dd/MM/yyyy"),
+            au = export.Au.ToString("dd/MM/yyyy"),
+            ecritures = export.Ecritures.Count,
+            avertissements = export.Avertissements.Count
+        });
+        return export;
+    }
+
+    /// <summary>
+    /// Télécharge le FEC : texte tabulé, montants à virgule, nommé "{SIREN}FEC{date de fin}.txt".
+    /// </summary>
+    public async Task TelechargerFecAsync(ExportComptable export)
+    {
+        var parametres = await GetParametresAsync();
+        var siren = new string(parametres.Siren.Where(char.IsDigit).ToArray());
+        // À défaut, le SIREN est le début du SIRET des coordonnées du salon
+        if (siren.Length < 9) siren = new string((await _parametres.GetInfosSalonAsync()).Siret.Where(char.IsDigit).ToArray());
+        if (siren.Length >= 9) siren = siren[..9];
+        else siren = "000000000";
+
+        var sb = new StringBuilder();
+        sb.Append(string.Join('\t', FecEntetes)).Append("\r\n");
+        foreach (var ecriture in export.Ecritures)
+        {
+            var date = ecriture.Date.ToString("yyyyMMdd");
+            foreach (var ligne in ecriture.Lignes)
+            {
+                sb.Append(string.Join('\t',
+                    ecriture.Journal, ecriture.JournalLibelle, ecriture.Numero.ToString(), date,
+                    ligne.Compte, Fec(ligne.CompteLibelle), "", "", ecriture.Piece, date, Fec(ecriture.Libelle),
+                    ligne.Debit.ToString("0.00", Fr), ligne.Credit.ToString("0.00", Fr),
+                    "", "", date, "", "")).Append("\r\n");
+            }
+        }
+
+        await _jsRuntime.InvokeVoidAsync("printDocument.download",
+            $"{siren}FEC{export.Au:yyyyMMdd}.txt", sb.ToString(), "text/plain;charset=utf-8");
+    }
+
+    /// <summary>
+    /// Télécharge le journal au format CSV (séparateur point-virgule, lisible par un tableur).
+    /// </summary>
+    public async Task TelechargerCsvAsync(ExportComptable export)
+    {
+        var sb = new StringBuilder("\uFEFF");
+        sb.Append("Journal;Numéro;Date;Pièce;Compte;Libellé compte;Libellé;Débit;Crédit\r\n");
+        foreach (var ecriture in export.Ecritures)
+        {
+            foreach (var ligne in ecriture.Lignes)
+            {
+                sb.Append(string.Join(';',
+                    Csv(ecriture.Journal), ecriture.Numero.ToString(), ecriture.Date.ToString("dd/MM/yyyy"),
+                    Csv(ecriture.Piece), Csv(ligne.Compte), Csv(ligne.CompteLibelle), Csv(ecriture.Libelle),
+                    ligne.Debit.ToString("0.00", Fr), ligne.Credit.ToString("0.00", Fr))).Append("\r\n");
+            }
+        }
+
+        await _jsRuntime.InvokeVoidAsync("printDocument.download",
+            $"managely-ecritures-{export.Du:yyyy-MM-dd}-{export.Au:yyyy-MM-dd}.csv", sb.ToString(), "text/csv;charset=utf-8");
+    }
+
+    /// <summary>
+    /// Écriture d'un passage. Les bons fidélité réduisent le chiffre d'affaires (répartis au prorata
+    /// entre prestations et produits) ; un écart entre paiements et total passe en compte d'attente.
+    /// </summary>
+    private static EcritureComptable? EcriturePassage(Passage passage, DateTime date,
+        Dictionary<string, CarteCadeau> cartes, ParametresComptables parametres, List<string> avertissements)
+    {
+        var piece = $"P-{Court(passage.Guid)}";
+        var prestations = passage.Prestations.Sum(p => p.Prix);
+        var produits = passage.ProduitsVendus.Sum(p => p.Total);
+        var total = prestations + produits;
+
+        // Anciens passages : un seul mode, la carte ne couvrant que MontantCarteUtilisee
+        List<(string Mode, decimal Montant, string CarteGuid)> paiements;
+        if (passage.Paiements.Count > 0)
+            paiements = passage.Paiements.Select(p => (p.Mode, p.Montant, p.CarteCadeauGuid)).ToList();
+        else if (passage.ModePaiement == "Carte cadeau")
+            paiements = [("Carte cadeau", passage.MontantCarteUtilisee, passage.CarteCadeauGuid),
+                         ("", total - passage.MontantCarteUtilisee, "")];
+        else
+            paiements = [(passage.ModePaiement, total, "")];
+        paiements = paiements.Where(p => p.Montant != 0).ToList();
+        if (total == 0 && paiements.Count == 0) return null;
+
+        var ecriture = new EcritureComptable
+        {
+            Date = date,
+            Piece = piece,
+            Libelle = Tronquer($"Passage — {passage.ResumePrestations}")
+        };
+
+        decimal remises = 0;
+        foreach (var (mode, montant, carteGuid) in paiements)
+        {
+            if (mode == "Carte cadeau")
+            {
+                if (cartes.TryGetValue(carteGuid, out var carte) && carte.Type != "achat")
+                {
+                    remises += montant;
+                    continue;
+                }
+                if (carte == null)
+                    avertissements.Add($"{piece} du {passage.Date} : carte {carteGuid} introuvable, traitée comme une carte cadeau vendue.");
+                Debiter(ecriture, parametres.CompteCartesCadeaux, "Cartes cadeaux à utiliser", montant);
+            }
+            else if (parametres.ComptesPaiement.TryGetValue(mode, out var compte) && !string.IsNullOrWhiteSpace(compte))
+            {
+                Debiter(ecriture, compte, $"Encaissements {mode}", montant);
+            }
+            else
+            {
+                avertissements.Add(string.IsNullOrEmpty(mode)
+                    ? $"{piece} du {passage.Date} : mode de paiement non renseigné, montant passé en compte d'attente."
+                    : $"{piece} du {passage.Date} : mode de paiement « {mode} » sans compte, passé en compte d'attente.");
+                Debiter(ecriture, parametres.CompteAttente, "Compte d'attente", montant);
+            }
+        }
+
+        // Chiffre d'affaires net des remises fidélité, réparti au prorata
+        var net = total - remises;
+        var netPrestations = total == 0 ? 0 : Arrondi(net * prestations / total);
+        var netProduits = net - netPrestations;
+        Vente(ecriture, parametres.CompteVentesPrestations, "Prestations de services", netPrestations, parametres.TauxTvaPrestations, parametres);
+        Vente(ecriture, parametres.CompteVentesProduits, "Ventes de marchandises", netProduits, parametres.TauxTvaProduits, parametres);
+
+        var ecart = ecriture.TotalCredit - ecriture.TotalDebit;
+        if (ecart != 0)
+        {
+            avertissements.Add($"{piece} du {passage.Date} : paiements différents du total ({ecart:N2} €), écart passé en compte d'attente.");
+            if (ecart > 0) Debiter(ecriture, parametres.CompteAttente, "Compte d'attente", ecart);
+            else Crediter(ecriture, parametres.CompteAttente, "Compte d'attente", -ecart);
+        }
+        return ecriture;
+    }
+
+    private static void Vente(EcritureComptable ecriture, string compte, string libelle, decimal ttc, decimal taux,
+        ParametresComptables parametres)
+    {
+        if (ttc == 0) return;
+        var ht = Arrondi(ttc / (1 + taux / 100));
+        Crediter(ecriture, compte, libelle, ht);
+        Crediter(ecriture, parametres.CompteTvaCollectee, $"TVA collectée {taux:0.##} %", ttc - ht);
+    }
+
+    // Une ligne par compte et sens : les montants d'un même compte sont cumulés
+    private static void Debiter(EcritureComptable ecriture, string compte, string libelle, decimal montant) =>
+        Ajouter(ecriture, compte, libelle, montant, debit: true);
+
+    private static void Crediter(EcritureComptable ecriture, string compte, string libelle, decimal montant) =>
+        Ajouter(ecriture, compte, libelle, montant, debit: false);
+
+    private static void Ajouter(EcritureComptable ecriture, string compte, string libelle, decimal montant, bool debit)
+    {
+        if (montant == 0) return;
+        if (montant < 0)
+        {
+            // Montant négatif (avoir) : passé dans l'autre sens
+            montant = -montant;
+            debit = !debit;
+        }
+        var ligne = ecriture.Lignes.FirstOrDefault(l => l.Compte == compte && l.CompteLibelle == libelle
+                                                       && (debit ? l.Debit > 0 : l.Credit > 0));
+        if (ligne == null)
+        {
+            ligne = new LigneEcriture { Compte = compte, CompteLibelle = libelle };
+            ecriture.Lignes.Add(ligne);
+        }
+        if (debit) ligne.Debit += montant;
+        else ligne.Credit += montant;
+    }
+
+    private static void Numeroter(List<EcritureComptable> ecritures, string journal, string libelle)
+    {
+        var numero = 0;
+        foreach (var ecriture in ecritures.OrderBy(e => e.Date).ThenBy(e => e.Piece, StringComparer.Ordinal))
+        {
+            ecriture.Journal = journal;
+            ecriture.JournalLibelle = libelle;
+            ecriture.Numero = ++numero;
+        }
+        ecritures.Sort((a, b) => a.Numero.CompareTo(b.Numero));
+    }
+
+    private static decimal Arrondi(decimal montant) => Math.Round(montant, 2, MidpointRounding.AwayFromZero);
+
+    private static string Court(string guid) => guid.Length > 8 ? guid[..8] : guid;
+
+    private static string Tronquer(string texte) => texte.Length > 100 ? texte[..100] : texte;
+
+    // Le FEC est tabulé : tabulations et retours à la ligne sont remplacés par des espaces
+    private static string Fec(string texte) =>
+        texte.Replace('\t', ' ').Replace('\r', ' ').Replace('\n', ' ');
+
+    private static string Csv(string texte) =>
+        texte.IndexOfAny([';', '"', '\n', '\r']) >= 0 ? $"\"{texte.Replace("\"", "\"\"")}\"" : texte;
+}
@@ -0,0 +1,357 @@
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.JSInterop;
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Reçus et factures des passages, imprimés dans le navigateur (enregistrables en PDF).
+/// La première impression attribue le numéro suivant de la série (par type et par année)
+/// et fige le document dans la feuille "Factures" ; les suivantes sont des duplicatas.
+/// Les montants suivent l'export comptable : un bon fidélité est une remise, une carte cadeau un paiement.
+/// </summary>
+public sealed class FactureService
+{
+    private readonly GoogleSheetsService _sheets;
+    private readonly CacheService _cache;
+    private readonly ParametresService _parametres;
+    private readonly ComptabiliteService _comptabilite;
+    private readonly ClientService _clients;
+    private readonly CarteCadeauService _cartes;
+    private readonly GoogleAuthService _auth;
+    private readonly IJSRuntime _jsRuntime;
+    private readonly BrowserLoggerService _logger;
+
+    private const string SheetName = "Factures";
+    private const string Range = "A:J";
+    private const string CacheKey = "factures_all";
+
+    private static readonly string[] Headers =
+        ["numero", "type", "passage_guid", "client_guid", "date_emission", "horodatage", "utilisateur",
+         "total_ttc", "contenu_json", "hachage_integrite"];
+
+    private static readonly JsonSerializerOptions JsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    public FactureService(GoogleSheetsService sheets, CacheService cache, ParametresService parametres,
+        ComptabiliteService comptabilite, ClientService clients, CarteCadeauService cartes,
+        GoogleAuthService auth, IJSRuntime jsRuntime, BrowserLoggerService logger)
+    {
+        _sheets = sheets;
+        _cache = cache;
+        _parametres = parametres;
+        _comptabilite = comptabilite;
+        _clients = clients;
+        _cartes = cartes;
+        _auth = auth;
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
+    }
+
+    public async Task<List<Facture>> GetAllAsync(bool forceRefresh = false)
+    {
+        if (!forceRefresh)
+        {
+            var cached = _cache.Get<List<Facture>>(CacheKey);
+            if (cached != null) return cached;
+        }
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var rows = await _sheets.ReadSheetAsync(SheetName, Range);
+        var list = rows.Select((r, i) => MapFromRow(r, i + 2))
+            .Where(f => !string.IsNullOrEmpty(f.Numero))
+            .ToList();
+        _cache.Set(CacheKey, list);
+        return list;
+    }
+
+    /// <summary>Reçu et facture déjà émis pour un passage.</summary>
+    public async Task<List<Facture>> GetParPassageAsync(string passageGuid, bool forceRefresh = false)
+    {
+        var all = await GetAllAsync(forceRefresh);
+        return all.Where(f => f.PassageGuid == passageGuid).ToList();
+    }
+
+    /// <summary>
+    /// Imprime le reçu ou la facture ("recu" / "facture") d'un passage : émission à la première
+    /// impression, duplicata de l'original ensuite. Un duplicata est refusé si la ligne du
+    /// document a été modifiée dans la feuille.
+    /// </summary>
+    public async Task<Facture> ImprimerAsync(Passage passage, string type)
+    {
+        var existante = (await GetParPassageAsync(passage.Guid, true)).FirstOrDefault(f => f.Type == type);
+        if (existante != null)
+        {
+            if (!existante.VerifierIntegrite())
+                throw new InvalidOperationException(
+                    $"Le document {existante.Numero} a été modifié dans la feuille : duplicata impossible.");
+            await ImprimerDocumentAsync(existante, duplicata: true);
+            await _logger.InfoAsync(LogCategory.APP, "Duplicata imprimé", new { numero = existante.Numero });
+            return existante;
+        }
+
+        var facture = await EmettreAsync(passage, type);
+        await ImprimerDocumentAsync(facture, duplicata: false);
+        return facture;
+    }
+
+    private async Task<Facture> EmettreAsync(Passage passage, string type)
+    {
+        if (passage.Prestations.Count == 0 && passage.ProduitsVendus.Count == 0)
+            throw new InvalidOperationException("Ce passage ne comporte ni prestation ni produit vendu.");
+
+        var contenu = await ComposerAsync(passage);
+        var facture = new Facture
+        {
+            Type = type,
+            PassageGuid = passage.Guid,
+            ClientGuid = passage.ClientGuid,
+            DateEmission = DateTime.Now.ToString("dd/MM/yyyy"),
+            Horodatage = DateTime.UtcNow,
+            Utilisateur = _auth.CurrentUser?.Name ?? "",
+            TotalTtc = contenu.TotalTtc,
+            Contenu = contenu,
+            ContenuJson = JsonSerializer.Serialize(contenu, JsonOpts)
+        };
+
+        var all = await GetAllAsync(true);
+        facture.Numero = ProchainNumero(all, facture);
+        facture.MettreAJourIntegrite();
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var success = await _sheets.AppendRowAsync(SheetName, Range, MapToRow(facture));
+        _cache.Invalidate(CacheKey);
+        if (!success) throw new InvalidOperationException("Échec de l'enregistrement du document");
+
+        // Deux appareils peuvent attribuer le même numéro au même moment : le document
+        // enregistré en second, pas encore imprimé, prend le numéro suivant
+        for (var essai = 0; essai < 3; essai++)
+        {
+            all = await GetAllAsync(true);
+            var memeNumero = all.Where(f => f.Numero == facture.Numero).ToList();
+            var ligne = memeNumero.FirstOrDefault(f => f.PassageGuid == facture.PassageGuid
+                                                       && f.Horodatage == facture.Horodatage);
+            if (ligne == null || memeNumero[0] == ligne) break;
+
+            // La ligne est retrouvée par son numéro et son hachage, pas par sa position
+            var numero = ligne.Numero;
+            var hachage = ligne.HachageIntegrite;
+            facture.Numero = ProchainNumero(all, facture);
+            facture.MettreAJourIntegrite();
+            var result = await _sheets.UpdateRowByGuidAsync(SheetName, numero, Range, MapToRow(facture), hachage);
+            _cache.Invalidate(CacheKey);
+            if (!result.Success)
+                throw new InvalidOperationException(result.Conflict || result.NotFound
+                    ? $"Le document {numero} a été modifié dans la feuille : renumérotation impossible."
+                    : "Échec de la renumérotation du document");
+        }
+
+        await _logger.SuccessAsync(LogCategory.APP, "Document de vente émis", new
+        {
+            numero = facture.Numero,
+            passage = facture.PassageGuid,
+            total = facture.TotalTtc
+        });
+        return facture;
+    }
+
+    /// <summary>Fige le contenu du document à partir du passage, du client et des paramètres.</summary>
+    private async Task<DocumentVente> ComposerAsync(Passage passage)
+    {
+        var client = await _clients.GetByGuidAsync(passage.ClientGuid);
+        var compta = await _comptabilite.GetParametresAsync();
+        var cartes = (await _cartes.GetAllAsync()).ToDictionary(c => c.Guid);
+
+        var document = new DocumentVente
+        {
+            Salon = await _parametres.GetInfosSalonAsync(),
+            ClientNom = client?.NomComplet ?? "",
+            ClientAdresse = client?.Adresse ?? "",
+            ClientEmail = client?.Email ?? "",
+            DatePassage = passage.Date,
+            Lignes =
+            [
+                .. passage.Prestations.Select(p => new LigneDocument
+                    { Designation = p.Nom, Quantite = 1, PrixUnitaireTtc = p.Prix, TotalTtc = p.Prix }),
+                .. passage.ProduitsVendus.Select(p => new LigneDocument
+                    { Designation = p.Nom, Quantite = p.Quantite, PrixUnitaireTtc = p.PrixUnitaire, TotalTtc = p.Total })
+            ]
+        };
+
+        foreach (var (mode, montant, carteGuid) in Paiements(passage))
+        {
+            if (montant == 0) continue;
+            if (mode != "Carte cadeau")
+            {
+                document.Paiements.Add(new PaiementDocument
+                    { Libelle = string.IsNullOrEmpty(mode) ? "Non précisé" : mode, Montant = montant });
+                continue;
+            }
+
+            cartes.TryGetValue(carteGuid, out var carte);
+            var code = carte is { Code.Length: > 0 } ? $" {carte.Code}" : "";
+            if (carte != null && carte.Type != "achat")
+                document.Remises.Add(new PaiementDocument { Libelle = $"Bon fidélité{code}", Montant = montant });
+            else
+                document.Paiements.Add(new PaiementDocument { Libelle = $"Carte cadeau{code}", Montant = montant });
+        }
+
+        // TVA sur le net des remises, réparti au prorata entre prestations et produits
+        var prestations = passage.Prestations.Sum(p => p.Prix);
+        var total = document.TotalTtc;
+        var net = document.NetAPayer;
+        var netPrestations = total == 0 ? 0 : Arrondi(net * prestations / total);
+        var ventilation = new List<(decimal Taux, decimal Ttc)>
+        {
+            (compta.TauxTvaPrestations, netPrestations),
+            (compta.TauxTvaProduits, net - netPrestations)
+        };
+        document.Tva = ventilation
+            .Where(v => v.Ttc != 0)
+            .Select(v => (v.Taux, v.Ttc, Ht: Arrondi(v.Ttc / (1 + v.Taux / 100))))
+            .GroupBy(v => v.Taux)
+            .OrderBy(g => g.Key)
+            .Select(g => new LigneTva { Taux = g.Key, BaseHt = g.Sum(v => v.Ht), Montant = g.Sum(v => v.Ttc - v.Ht) })
+            .ToList();
+        return document;
+    }
+
+    private async Task ImprimerDocumentAsync(Facture facture, bool duplicata)
+    {
+        var d = facture.Contenu;
+        var client = new List<string[]> { new[] { "Nom", d.ClientNom } };
+        if (facture.EstFacture)
+        {
+            if (!string.IsNullOrWhiteSpace(d.ClientAdresse)) client.Add(["Adresse", d.ClientAdresse]);
+            if (!string.IsNullOrWhiteSpace(d.ClientEmail)) client.Add(["Email", d.ClientEmail]);
+        }
+
+        var totaux = new List<string[]> { new[] { "Total TTC", Euros(d.TotalTtc) } };
+        totaux.AddRange(d.Remises.Select(r => new[] { $"Remise — {r.Libelle}", Euros(-r.Montant) }));
+        if (d.Remises.Count > 0) totaux.Add(["Net à payer TTC", Euros(d.NetAPayer)]);
+
+        var sections = new List<object>
+        {
+            new { title = "Client", fields = client },
+            new
+            {
+                title = "Détail",
+                table = new
+                {
+                    headers = new[] { "Désignation", "Qté", "Prix unitaire TTC", "Total TTC" },
+                    rows = d.Lignes.Select(l => new[] { l.Designation, l.Quantite.ToString(), Euros(l.PrixUnitaireTtc), Euros(l.TotalTtc) }),
+                    align = new[] { "left", "right", "right", "right" }
+                }
+            },
+            new { title = "Total", fields = totaux }
+        };
+
+        if (d.Tva.Any(t => t.Taux > 0))
+        {
+            sections.Add(new
+            {
+                title = "TVA",
+                table = new
+                {
+                    headers = new[] { "Taux", "Base HT", "Montant TVA" },
+                    rows = d.Tva.Select(t => new[] { $"{t.Taux:0.##} %", Euros(t.BaseHt), Euros(t.Montant) })
+                        .Append(new[] { "Total", Euros(d.Tva.Sum(t => t.BaseHt)), Euros(d.Tva.Sum(t => t.Montant)) }),
+                    align = new[] { "left", "right", "right" }
+                }
+            });
+        }
+        else
+        {
+            sections.Add(new { title = "TVA", text = "TVA non applicable, article 293 B du CGI." });
+        }
+
+        sections.Add(new
+        {
+            title = facture.EstFacture ? $"Paiements — facture acquittée le {d.DatePassage}" : "Paiements",
+            table = new
+            {
+                headers = new[] { "Mode de paiement", "Montant" },
+                rows = d.Paiements.Select(p => new[] { p.Libelle, Euros(p.Montant) }),
+                align = new[] { "left", "right" },
+                emptyText = "Aucun paiement enregistré"
+            }
+        });
+
+        var pied = new List<string>();
+        if (!string.IsNullOrWhiteSpace(d.Salon.Mentions)) pied.Add(d.Salon.Mentions);
+        if (duplicata) pied.Add($"Duplicata imprimé le {DateTime.Now:dd/MM/yyyy à HH:mm}.");
+        pied.Add($"Empreinte {facture.HachageIntegrite}");
+
+        await _jsRuntime.InvokeAsync<bool>("printDocument.print", new
+        {
+            title = $"{facture.TypeLibelle} n° {facture.Numero}",
+            subtitle = $"Date d'émission : {facture.DateEmission} — passage du {d.DatePassage}",
+            issuer = d.Salon.LignesEntete(),
+            stamp = duplicata ? "DUPLICATA" : "",
+            sections,
+            footer = string.Join(" ", pied)
+        });
+    }
+
+    /// <summary>Numéro suivant de la série du type et de l'année d'émission (ex: "F2026-00013").</summary>
+    private static string ProchainNumero(IEnumerable<Facture> factures, Facture facture)
+    {
+        var prefixe = $"{(facture.EstFacture ? "F" : "R")}{facture.DateEmission[^4..]}-";
+        var dernier = factures
+            .Where(f => f.Numero.StartsWith(prefixe, StringComparison.Ordinal))
+            .Select(f => int.TryParse(f.Numero[prefixe.Length..], out var n) ? n : 0)
+            .DefaultIfEmpty(0)
+            .Max();
+        return $"{prefixe}{dernier + 1:D5}";
+    }
+
+    // Anciens passages : un seul mode, la carte ne couvrant que MontantCarteUtilisee
+    private static List<(string Mode, decimal Montant, string CarteGuid)> Paiements(Passage passage)
+    {
+        if (passage.Paiements.Count > 0)
+            return passage.Paiements.Select(p => (p.Mode, p.Montant, p.CarteCadeauGuid)).ToList();
+        if (passage.ModePaiement == "Carte cadeau")
+            return [("Carte cadeau", passage.MontantCarteUtilisee, passage.CarteCadeauGuid),
+                    ("", passage.Total - passage.MontantCarteUtilisee, "")];
+        return [(passage.ModePaiement, passage.Total, "")];
+    }
+
+    private static decimal Arrondi(decimal montant) => Math.Round(montant, 2, MidpointRounding.AwayFromZero);
+
+    private static string Euros(decimal montant) => $"{montant:N2} €";
+
+    private static Facture MapFromRow(string[] row, int rowIndex)
+    {
+        var contenuJson = row.ElementAtOrDefault(8) ?? "";
+        DocumentVente? contenu = null;
+        try { contenu = string.IsNullOrWhiteSpace(contenuJson) ? null : JsonSerializer.Deserialize<DocumentVente>(contenuJson, JsonOpts); }
+        catch (JsonException) { }
+
+        return new Facture
+        {
+            RowIndex = rowIndex,
+            Numero = row.ElementAtOrDefault(0) ?? "",
+            Type = row.ElementAtOrDefault(1) ?? "facture",
+            PassageGuid = row.ElementAtOrDefault(2) ?? "",
+            ClientGuid = row.ElementAtOrDefault(3) ?? "",
+            DateEmission = row.ElementAtOrDefault(4) ?? "",
+            Horodatage = DateTime.TryParse(row.ElementAtOrDefault(5), CultureInfo.InvariantCulture,
+                DateTimeStyles.RoundtripKind, out var h) ? h : default,
+            Utilisateur = row.ElementAtOrDefault(6) ?? "",
+            TotalTtc = decimal.TryParse(row.ElementAtOrDefault(7), NumberStyles.Any, CultureInfo.InvariantCulture, out var t) ? t : 0,
+            ContenuJson = contenuJson,
+            Contenu = contenu ?? new DocumentVente(),
+            HachageIntegrite = row.ElementAtOrDefault(9) ?? ""
+        };
+    }
+
+    private static string[] MapToRow(Facture f)
+    {
+        return [f.Numero, f.Type, f.PassageGuid, f.ClientGuid, f.DateEmission, f.Horodatage.ToString("o"),
+                f.Utilisateur, f.TotalTtc.ToString(CultureInfo.InvariantCulture), f.ContenuJson, f.HachageIntegrite];
+    }
+}
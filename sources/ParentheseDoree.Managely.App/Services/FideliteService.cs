@@ -1,166 +1,340 @@
+using System.Globalization;
+using System.Text.Json;
 using ParentheseDoree.Managely.App.Models;
 
 namespace ParentheseDoree.Managely.App.Services;
 
 /// <summary>
-/// Logique de fidélité :
-/// 1) Tous les 10 passages → carte fidélité automatique (10% des PRESTATIONS des 10 derniers passages)
-/// 2) Mois d'anniversaire → bon fidélité de 15€ si >60€ de prestations cabine dans le mois
-/// 
+/// Moteur de règles de fidélité. Les règles sont stockées dans la feuille "Parametres" ;
+/// sans règle enregistrée, le jeu par défaut s'applique :
+/// 1) Tous les 10 passages → carte fidélité (10% des PRESTATIONS des 10 derniers passages)
+/// 2) Mois d'anniversaire → bon fidélité de 15€, utilisable si les prestations du passage atteignent 60€
+///
 /// IMPORTANT : Seules les PRESTATIONS comptent (pas les produits vendus).
-/// Les bons fidélité sont de type "bon_fidelite" (distincts des cartes cadeaux "achat" et des cartes "fidelite").
+/// Les passages archivés (Passages_Archive_AAAA) comptent comme les autres.
+/// Chaque bon généré porte la règle et l'occurrence récompensée (CarteCadeau.RegleFidelite) :
+/// une même occurrence n'est jamais récompensée deux fois.
 /// </summary>
 public sealed class FideliteService
 {
     private readonly PassageService _passages;
     private readonly CarteCadeauService _cartes;
     private readonly ClientService _clients;
+    private readonly PrestationService _prestations;
+    private readonly ParametresService _parametres;
     private readonly BrowserLoggerService _logger;
 
-    public FideliteService(PassageService passages, CarteCadeauService cartes,
-        ClientService clients, BrowserLoggerService logger)
+    private const string PrefixeRegle = "fidelite.regle.";
+
+    private static readonly JsonSerializerOptions JsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    public FideliteService(PassageService passages, CarteCadeauService cartes, ClientService clients,
+        PrestationService prestations, ParametresService parametres, BrowserLoggerService logger)
     {
         _passages = passages;
         _cartes = cartes;
         _clients = clients;
+        _prestations = prestations;
+        _parametres = parametres;
         _logger = logger;
     }
 
     /// <summary>
-    /// Vérifie si un client a atteint un palier de fidélité après un passage.
-    /// Règle : tous les 10 passages → 10% du total des PRESTATIONS (pas produits) des 10 derniers passages.
-    /// Retourne la carte créée ou null.
+    /// Jeu de règles par défaut (les deux règles historiques du salon).
     /// </summary>
-    public async Task<CarteCadeau?> VerifierEtGenererAsync(string clientGuid)
-    {
-        var passagesClient = await _passages.GetByClientAsync(clientGuid);
-        var nbPassages = passagesClient.Count;
-
-        // Vérifier si on est sur un multiple de 10
-        if (nbPassages == 0 || nbPassages % 10 != 0)
-            return null;
-
-        // Vérifier qu'on n'a pas déjà généré une carte pour ce palier
-        var cartes = await _cartes.GetByClientAsync(clientGuid);
-        var dejaGenere = cartes.Any(c =>
-            c.Type == "fidelite" && c.Origine.Contains($"{nbPassages} passages"));
-        if (dejaGenere)
-            return null;
-
-        // Calculer la valeur : 10% du total des PRESTATIONS (pas produits) des 10 derniers passages
-        var derniers10 = passagesClient
-            .OrderByDescending(p => p.Date)
-            .Take(10)
-            .ToList();
-
-        var totalPrestationsDerniers = derniers10.Sum(p => p.Prestations.Sum(pr => pr.Prix));
-        var valeurCarte = Math.Round(totalPrestationsDerniers * 0.10m, 2);
+    public static List<RegleFidelite> ReglesParDefaut() =>
+    [
+        new()
+        {
+            Id = "passages-10",
+            Nom = "Fidélité",
+            Declencheur = "passages",
+            NombrePassages = 10,
+            Recompense = "pourcentage",
+            Valeur = 10m,
+            TypeCarte = "fidelite",
+            ValiditeJours = 365
+        },
+        new()
+        {
+            Id = "anniversaire",
+            Nom = "Anniversaire",
+            Declencheur = "anniversaire",
+            Recompense = "montant",
+            Valeur = 15m,
+            TypeCarte = "bon_fidelite",
+            ExpireFinDeMois = true,
+            PrestationsMinimum = 60m
+        }
+    ];
 
-        if (valeurCarte <= 0)
-            return null;
+    /// <summary>
+    /// Règles enregistrées, ou le jeu par défaut si aucune ne l'est.
+    /// </summary>
+    public async Task<List<RegleFidelite>> GetReglesAsync()
+    {
+        var lignes = await _parametres.GetParPrefixeAsync(PrefixeRegle);
+        if (lignes.Count == 0) return ReglesParDefaut();
 
-        var carte = new CarteCadeau
+        var regles = new List<RegleFidelite>();
+        foreach (var ligne in lignes)
         {
-            ClientGuid = clientGuid,
-            Type = "fidelite",
-            MontantInitial = valeurCarte,
-            SoldeRestant = valeurCarte,
-            DateCreation = DateTime.Now.ToString("dd/MM/yyyy"),
-            DateExpiration = DateTime.Now.AddYears(1).ToString("dd/MM/yyyy"),
-            Statut = "active",
-            Origine = $"Fidélité {nbPassages} passages — 10% de {totalPrestationsDerniers:N2}€ de prestations"
-        };
+            try
+            {
+                var regle = JsonSerializer.Deserialize<RegleFidelite>(ligne.Valeur, JsonOpts);
+                if (regle == null) continue;
+                regle.Id = ligne.Cle[PrefixeRegle.Length..];
+                regles.Add(regle);
+            }
+            catch (JsonException ex)
+            {
+                await _logger.WarnAsync(LogCategory.APP, $"Règle de fidélité illisible : {ligne.Cle}", new { error = ex.Message });
+            }
+        }
+        return regles;
+    }
 
-        await _cartes.AddAsync(carte);
-        await _logger.SuccessAsync(LogCategory.APP,
-            $"Carte fidélité générée: {valeurCarte:N2}€ pour {nbPassages} passages");
+    /// <summary>
+    /// Enregistre une règle. À la première modification, le jeu par défaut est d'abord enregistré
+    /// pour que les autres règles par défaut restent en vigueur.
+    /// </summary>
+    public async Task EnregistrerRegleAsync(RegleFidelite regle)
+    {
+        if (string.IsNullOrWhiteSpace(regle.Nom))
+            throw new ArgumentException("La règle doit avoir un nom");
 
-        return carte;
+        if ((await _parametres.GetParPrefixeAsync(PrefixeRegle)).Count == 0)
+        {
+            foreach (var defaut in ReglesParDefaut().Where(r => r.Id != regle.Id))
+                await _parametres.SetValeurAsync(PrefixeRegle + defaut.Id, JsonSerializer.Serialize(defaut, JsonOpts));
+        }
+        await _parametres.SetValeurAsync(PrefixeRegle + regle.Id, JsonSerializer.Serialize(regle, JsonOpts));
+        await _logger.SuccessAsync(LogCategory.APP, $"Règle de fidélité enregistrée : {regle.Nom}");
     }
 
     /// <summary>
-    /// Vérifie le droit au bon fidélité anniversaire.
-    /// Règle : pendant le mois d'anniversaire, le client reçoit automatiquement un bon de 15€.
-    /// Ce bon est utilisable uniquement sur un passage dont les prestations cabine dépassent 60€.
-    /// Il expire à la fin du mois d'anniversaire.
-    /// Génération automatique dès le premier passage du mois d'anniversaire.
+    /// Applique les règles actives à un client et génère les bons obtenus.
+    /// Le passage qui vient d'être enregistré sert aux déclencheurs "categorie" et "periode" ;
+    /// sans passage (sélection du client), seuls les autres déclencheurs sont évalués.
     /// </summary>
-    public async Task<CarteCadeau?> VerifierBonAnniversaireAsync(string clientGuid)
+    public async Task<List<CarteCadeau>> AppliquerReglesAsync(string clientGuid, Passage? passage = null)
     {
         var client = await _clients.GetByGuidAsync(clientGuid);
-        if (client == null || string.IsNullOrEmpty(client.MoisAnniversaire))
-            return null;
+        if (client == null) return [];
 
-        // Vérifier que c'est bien le mois d'anniversaire
-        var moisActuel = DateTime.Now.Month;
-        if (!EstMoisAnniv(client.MoisAnniversaire, moisActuel))
-            return null;
-
-        // Vérifier qu'on n'a pas déjà généré un bon anniversaire ce mois/année
+        var regles = await GetReglesAsync();
+        var passages = Chronologique(await _passages.GetHistoriqueByClientAsync(clientGuid));
         var cartes = await _cartes.GetByClientAsync(clientGuid);
-        var moisStr = DateTime.Now.ToString("MM/yyyy");
-        var anneeStr = DateTime.Now.Year.ToString();
-        var dejaGenere = cartes.Any(c =>
-            c.Type == "bon_fidelite"
-            && (c.Origine.Contains($"Anniversaire {moisStr}")
-                || (c.Origine.Contains("Anniversaire") && c.DateCreation.Contains(anneeStr)
-                    && c.StatutCalcule is "active" or "utilisee")));
-        if (dejaGenere)
-            return null;
-
-        // Générer le bon fidélité anniversaire de 15€ (valable tout le mois)
-        var finMois = new DateTime(DateTime.Now.Year, moisActuel,
-            DateTime.DaysInMonth(DateTime.Now.Year, moisActuel));
+        var catalogue = await CatalogueAsync();
 
-        var bon = new CarteCadeau
+        var generees = new List<CarteCadeau>();
+        foreach (var regle in regles.Where(r => r.Active))
         {
-            ClientGuid = clientGuid,
-            Type = "bon_fidelite",
-            MontantInitial = 15m,
-            SoldeRestant = 15m,
-            DateCreation = DateTime.Now.ToString("dd/MM/yyyy"),
-            DateExpiration = finMois.ToString("dd/MM/yyyy"),
-            Statut = "active",
-            Origine = $"Anniversaire {moisStr} — Bon 15€ (utilisable si prestations cabine > 60€)"
-        };
+            var carte = Evaluer(regle, client, passages, cartes, passage, DateTime.Today, catalogue);
+            if (carte == null) continue;
+
+            await _cartes.AddAsync(carte);
+            cartes.Add(carte);
+            generees.Add(carte);
+            await _logger.SuccessAsync(LogCategory.APP,
+                $"Bon fidélité généré ({regle.Nom}) : {carte.MontantInitial:N2}€ pour {client.NomComplet}");
+        }
+        return generees;
+    }
 
-        await _cartes.AddAsync(bon);
-        await _logger.SuccessAsync(LogCategory.APP,
-            $"Bon fidélité anniversaire 15€ généré pour {client.NomComplet}");
+    /// <summary>
+    /// Simule une règle (même inactive ou non enregistrée) sur tous les clients à la date du jour :
+    /// bons qu'elle accorderait, en prenant le dernier passage de chaque client comme passage courant.
+    /// Rien n'est écrit.
+    /// </summary>
+    public async Task<List<RecompenseFidelite>> SimulerAsync(RegleFidelite regle)
+    {
+        var clients = await _clients.GetAllAsync();
+        var passagesParClient = (await _passages.GetHistoriqueAsync()).ToLookup(p => p.ClientGuid);
+        var cartesParClient = (await _cartes.GetAllAsync()).ToLookup(c => c.ClientGuid);
+        var catalogue = await CatalogueAsync();
+        var simulee = Copier(regle);
+        simulee.Active = true;
 
-        return bon;
+        var resultats = new List<RecompenseFidelite>();
+        foreach (var client in clients)
+        {
+            var passages = Chronologique(passagesParClient[client.Guid]);
+            var carte = Evaluer(simulee, client, passages, cartesParClient[client.Guid].ToList(),
+                passages.LastOrDefault(), DateTime.Today, catalogue);
+            if (carte != null) resultats.Add(new RecompenseFidelite { Client = client, Carte = carte });
+        }
+        return resultats.OrderBy(r => r.Client.NomComplet).ToList();
     }
 
     /// <summary>
-    /// Vérifie si un bon fidélité anniversaire peut être utilisé sur le passage en cours.
-    /// Condition : le total des prestations cabine du passage doit être > 60€.
-    /// Les produits ne comptent pas.
+    /// Montant minimal de prestations du passage pour utiliser un bon (0 = sans condition),
+    /// d'après la règle qui l'a généré.
     /// </summary>
-    public bool BonAnniversaireUtilisable(decimal totalPrestationsPassage)
+    public static decimal MinimumUtilisation(CarteCadeau carte, IEnumerable<RegleFidelite> regles)
     {
-        return totalPrestationsPassage >= 60m;
+        if (string.IsNullOrEmpty(carte.RegleFidelite)) return 0m;
+        return regles.FirstOrDefault(r => r.Id == carte.RegleId)?.PrestationsMinimum ?? 0m;
     }
 
     /// <summary>
-    /// Retourne le statut fidélité d'un client.
+    /// Copie indépendante d'une règle (édition annulable, simulation).
+    /// </summary>
+    public static RegleFidelite Copier(RegleFidelite regle) =>
+        JsonSerializer.Deserialize<RegleFidelite>(JsonSerializer.Serialize(regle, JsonOpts), JsonOpts)!;
+
+    /// <summary>
+    /// Retourne le statut fidélité d'un client d'après la première règle "passages" active
+    /// (palier de 10 passages sans règle de ce type).
     /// Le total est calculé sur les PRESTATIONS uniquement.
     /// </summary>
     public async Task<(int NbPassages, int PassagesAvantProchain, decimal TotalPrestationsDerniers)> GetStatutAsync(string clientGuid)
     {
-        var passagesClient = await _passages.GetByClientAsync(clientGuid);
+        var regle = (await GetReglesAsync()).FirstOrDefault(r => r.Active && r.Declencheur == "passages" && r.NombrePassages > 0);
+        var palier = regle?.NombrePassages ?? 10;
+
+        var passagesClient = Chronologique(await _passages.GetHistoriqueByClientAsync(clientGuid));
         var nbPassages = passagesClient.Count;
-        var passagesAvant = nbPassages == 0 ? 10 : (10 - (nbPassages % 10)) % 10;
-        if (passagesAvant == 0) passagesAvant = 10;
+        var passagesAvant = palier - (nbPassages % palier);
 
-        var nbToTake = nbPassages % 10 == 0 ? 10 : nbPassages % 10;
-        var derniersPrestations = passagesClient
-            .OrderByDescending(p => p.Date)
-            .Take(nbToTake)
-            .Sum(p => p.Prestations.Sum(pr => pr.Prix));
+        var nbToTake = nbPassages % palier == 0 ? palier : nbPassages % palier;
+        var derniersPrestations = TotalPrestations(passagesClient.TakeLast(nbToTake));
 
         return (nbPassages, passagesAvant, derniersPrestations);
     }
 
+    /// <summary>
+    /// Évalue une règle pour un client : retourne le bon à générer, ou null si la règle
+    /// ne se déclenche pas ou si l'occurrence a déjà été récompensée.
+    /// </summary>
+    private static CarteCadeau? Evaluer(RegleFidelite regle, Client client, List<Passage> passages,
+        List<CarteCadeau> cartes, Passage? passage, DateTime date, IReadOnlyDictionary<string, Prestation> catalogue)
+    {
+        if (!regle.Active || !DansPeriode(regle, date) || passages.Count < regle.PassagesMinimum)
+            return null;
+
+        string occurrence;
+        string description;
+        decimal assiette;
+        switch (regle.Declencheur)
+        {
+            case "passages":
+                var nb = passages.Count;
+                if (regle.NombrePassages <= 0 || nb == 0 || nb % regle.NombrePassages != 0) return null;
+                occurrence = nb.ToString(CultureInfo.InvariantCulture);
+                description = $"{nb} passages";
+                assiette = TotalPrestations(passages.TakeLast(regle.NombrePassages));
+                break;
+
+            case "anniversaire":
+                if (!EstMoisAnniv(client.MoisAnniversaire, date.Month)) return null;
+                occurrence = date.Year.ToString(CultureInfo.InvariantCulture);
+                description = date.ToString("MM/yyyy");
+                assiette = TotalPrestations(passages.Where(p =>
+                    ParseDate(p.Date) is { } d && d.Year == date.Year && d.Month == date.Month));
+                break;
+
+            case "depense":
+                if (regle.SeuilDepense <= 0) return null;
+                var tranches = (int)(TotalPrestations(passages) / regle.SeuilDepense);
+                if (tranches == 0) return null;
+                occurrence = tranches.ToString(CultureInfo.InvariantCulture);
+                description = $"{tranches * regle.SeuilDepense:N2}€ de prestations";
+                assiette = regle.SeuilDepense;
+                break;
+
+            case "categorie":
+                if (passage == null || string.IsNullOrWhiteSpace(regle.Categorie)) return null;
+                var lignes = passage.Prestations
+                    .Where(p => catalogue.TryGetValue(p.PrestationId, out var pr)
+                                && string.Equals(pr.Categorie, regle.Categorie, StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+                if (lignes.Count == 0) return null;
+                occurrence = passage.Guid;
+                description = $"Passage du {passage.Date} ({regle.Categorie})";
+                assiette = lignes.Sum(p => p.Prix);
+                break;
+
+            case "periode":
+                // Une fois par client et par période, au premier passage dans la période
+                if (passage == null || (string.IsNullOrEmpty(regle.DateDebut) && string.IsNullOrEmpty(regle.DateFin))
+                    || ParseDate(passage.Date) is not { } datePassage || !DansPeriode(regle, datePassage))
+                    return null;
+                occurrence = $"{regle.DateDebut}-{regle.DateFin}";
+                description = $"Passage du {passage.Date}";
+                assiette = TotalPrestations([passage]);
+                break;
+
+            default:
+                return null;
+        }
+
+        var cle = $"{regle.Id}:{occurrence}";
+        if (cartes.Any(c => c.RegleFidelite == cle)) return null;
+
+        decimal montant;
+        string detail;
+        switch (regle.Recompense)
+        {
+            case "pourcentage":
+                montant = Math.Round(assiette * regle.Valeur / 100m, 2);
+                detail = $"{regle.Valeur:0.##}% de {assiette:N2}€ de prestations";
+                break;
+            case "prestation":
+                if (!catalogue.TryGetValue(regle.PrestationGuid, out var offerte)) return null;
+                montant = offerte.PrixDefaut;
+                detail = $"{offerte.Nom} offert(e)";
+                break;
+            default:
+                montant = regle.Valeur;
+                detail = $"Bon {regle.Valeur:N2}€";
+                break;
+        }
+        if (montant <= 0) return null;
+        if (regle.PrestationsMinimum > 0)
+            detail += $" (utilisable si prestations ≥ {regle.PrestationsMinimum:N2}€)";
+
+        var expiration = regle.ExpireFinDeMois
+            ? new DateTime(date.Year, date.Month, DateTime.DaysInMonth(date.Year, date.Month))
+            : date.AddDays(Math.Max(1, regle.ValiditeJours));
+
+        return new CarteCadeau
+        {
+            ClientGuid = client.Guid,
+            Type = regle.TypeCarte,
+            MontantInitial = montant,
+            SoldeRestant = montant,
+            DateCreation = date.ToString("dd/MM/yyyy"),
+            DateExpiration = expiration.ToString("dd/MM/yyyy"),
+            Statut = "active",
+            Origine = $"{regle.Nom} {description} — {detail}",
+            RegleFidelite = cle
+        };
+    }
+
+    private async Task<IReadOnlyDictionary<string, Prestation>> CatalogueAsync() =>
+        (await _prestations.GetAllAsync())
+            .GroupBy(p => p.Guid)
+            .ToDictionary(g => g.Key, g => g.First());
+
+    private static List<Passage> Chronologique(IEnumerable<Passage> passages) =>
+        passages.OrderBy(p => ParseDate(p.Date) ?? DateTime.MinValue).ToList();
+
+    private static decimal TotalPrestations(IEnumerable<Passage> passages) =>
+        passages.Sum(p => p.Prestations.Sum(pr => pr.Prix));
+
+    private static bool DansPeriode(RegleFidelite regle, DateTime date) =>
+        (ParseDate(regle.DateDebut) is not { } debut || date >= debut)
+        && (ParseDate(regle.DateFin) is not { } fin || date <= fin);
+
+    private static DateTime? ParseDate(string? date) =>
+        DateTime.TryParseExact(date, "dd/MM/yyyy", CultureInfo.InvariantCulture, DateTimeStyles.None, out var d)
+            ? d : null;
+
     private static bool EstMoisAnniv(string moisAnniv, int moisCible)
     {
         if (string.IsNullOrEmpty(moisAnniv)) return false;
@@ -12,8 +12,12 @@ public enum PermissionLevel
     None,
     /// <summary>Accès en lecture seule.</summary>
     Read,
+    /// <summary>Accès en lecture avec droit de commenter.</summary>
+    Comment,
     /// <summary>Accès en lecture et écriture.</summary>
-    Write
+    Write,
+    /// <summary>Propriétaire du fichier (accès aux pages d'administration).</summary>
+    Owner
 }
 
 /// <summary>
@@ -54,12 +58,29 @@ public sealed class GoogleAuthService : IAsyncDisposable
     /// <summary>
     /// Indique si l'utilisateur peut lire les données.
     /// </summary>
-    public bool CanRead => Permission == PermissionLevel.Read || Permission == PermissionLevel.Write;
+    public bool CanRead => Permission >= PermissionLevel.Read;
 
     /// <summary>
     /// Indique si l'utilisateur peut modifier les données.
     /// </summary>
-    public bool CanWrite => Permission == PermissionLevel.Write;
+    public bool CanWrite => Permission >= PermissionLevel.Write;
+
+    /// <summary>
+    /// Indique si l'utilisateur est propriétaire du spreadsheet (pages d'administration).
+    /// </summary>
+    public bool IsOwner => Permission == PermissionLevel.Owner;
+
+    /// <summary>
+    /// Libellé du niveau de permission pour l'affichage.
+    /// </summary>
+    public string PermissionLabel => Permission switch
+    {
+        PermissionLevel.Owner => "Propriétaire",
+        PermissionLevel.Write => "Lecture / Écriture",
+        PermissionLevel.Comment => "Lecture / Commentaires",
+        PermissionLevel.Read => "Lecture seule",
+        _ => "Aucun accès"
+    };
 
     /// <summary>
     /// Crée une nouvelle instance du service d'authentification Google.
@@ -187,12 +208,7 @@ public sealed class GoogleAuthService : IAsyncDisposable
                     EmailVerified = result.User.EmailVerified
                 };
 
-                Permission = result.Permission?.ToLower() switch
-                {
-                    "write" => PermissionLevel.Write,
-                    "read" => PermissionLevel.Read,
-                    _ => PermissionLevel.None
-                };
+                Permission = ParsePermission(result.Permission);
 
                 await _logger.SuccessAsync(LogCategory.AUTH, "Connexion réussie", 
                     new { user = CurrentUser.Name, permission = Permission.ToString() });
@@ -276,12 +292,7 @@ public sealed class GoogleAuthService : IAsyncDisposable
                 }
 
                 var permissionStr = await _jsRuntime.InvokeAsync<string?>("googleAuthApi.getPermission");
-                Permission = permissionStr?.ToLower() switch
-                {
-                    "write" => PermissionLevel.Write,
-                    "read" => PermissionLevel.Read,
-                    _ => PermissionLevel.None
-                };
+                Permission = ParsePermission(permissionStr);
             }
             else
             {
@@ -315,12 +326,7 @@ public sealed class GoogleAuthService : IAsyncDisposable
                 EmailVerified = userJs.EmailVerified
             };
 
-            Permission = permission?.ToLower() switch
-            {
-                "write" => PermissionLevel.Write,
-                "read" => PermissionLevel.Read,
-                _ => PermissionLevel.None
-            };
+            Permission = ParsePermission(permission);
         }
         else
         {
@@ -331,6 +337,18 @@ public sealed class GoogleAuthService : IAsyncDisposable
         OnAuthStateChanged?.Invoke(isSignedIn, CurrentUser);
     }
 
+    /// <summary>
+    /// Convertit le niveau de permission renvoyé par l'API JavaScript.
+    /// </summary>
+    private static PermissionLevel ParsePermission(string? permission) => permission?.ToLower() switch
+    {
+        "owner" => PermissionLevel.Owner,
+        "write" => PermissionLevel.Write,
+        "comment" => PermissionLevel.Comment,
+        "read" => PermissionLevel.Read,
+        _ => PermissionLevel.None
+    };
+
     /// <summary>
     /// Libère les ressources utilisées par le service.
     /// </summary>
@@ -1,36 +1,389 @@
 using Microsoft.JSInterop;
+using ParentheseDoree.Managely.App.Models;
 
 namespace ParentheseDoree.Managely.App.Services;
 
+/// <summary>
+/// Résultat d'une écriture ciblant une ligne par son GUID.
+/// </summary>
+public sealed class RowWriteResult
+{
+    /// <summary>Indique si l'écriture a été appliquée (ou mise en attente hors-ligne).</summary>
+    public bool Success { get; init; }
+
+    /// <summary>La ligne a été modifiée par un autre utilisateur depuis sa lecture.</summary>
+    public bool Conflict { get; init; }
+
+    /// <summary>Aucune ligne ne porte ce GUID (supprimée entre-temps).</summary>
+    public bool NotFound { get; init; }
+
+    /// <summary>Numéro de ligne actuel de la ligne en conflit.</summary>
+    public int? RowIndex { get; init; }
+
+    /// <summary>Valeurs actuellement stockées pour la ligne en conflit.</summary>
+    public string[]? CurrentValues { get; init; }
+
+    public string? Error { get; init; }
+}
+
+/// <summary>
+/// Écriture hors-ligne refusée à la synchronisation (conflit, ligne introuvable...).
+/// Elle reste dans la file jusqu'à ce que l'utilisateur la rejoue ou l'abandonne.
+/// </summary>
+public sealed class FailedWrite
+{
+    public int Id { get; set; }
+
+    /// <summary>append, update, delete ou batch.</summary>
+    public string Type { get; set; } = string.Empty;
+
+    public List<string> Sheets { get; set; } = [];
+    public string? Guid { get; set; }
+    public DateTime QueuedAt { get; set; }
+
+    /// <summary>La ligne a été modifiée dans le classeur depuis l'écriture hors-ligne.</summary>
+    public bool Conflict { get; set; }
+
+    /// <summary>La ligne visée n'existe plus dans le classeur.</summary>
+    public bool NotFound { get; set; }
+
+    public string? Error { get; set; }
+    public DateTime? FailedAt { get; set; }
+}
+
+/// <summary>
+/// Opération d'un lot d'écritures (voir <see cref="GoogleSheetsService.BatchWriteAsync"/>).
+/// Les mises à jour et suppressions ciblent une ligne par son GUID (colonne A).
+/// </summary>
+public sealed class SheetWriteOperation
+{
+    /// <summary>append, update ou delete.</summary>
+    public string Type { get; init; } = "append";
+    public string SheetName { get; init; } = string.Empty;
+    public string Range { get; init; } = string.Empty;
+    public string[]? Values { get; init; }
+    public string? Guid { get; init; }
+
+    /// <summary>Hachage d'intégrité attendu : l'opération échoue en conflit s'il diffère.</summary>
+    public string? ExpectedHash { get; init; }
+
+    public static SheetWriteOperation Append(string sheetName, string range, string[] values) =>
+        new() { Type = "append", SheetName = sheetName, Range = range, Values = values };
+
+    public static SheetWriteOperation Update(string sheetName, string guid, string range, string[] values,
+        string? expectedHash = null) =>
+        new() { Type = "update", SheetName = sheetName, Guid = guid, Range = range, Values = values, ExpectedHash = expectedHash };
+
+    public static SheetWriteOperation Delete(string sheetName, string guid, string range, string? expectedHash = null) =>
+        new() { Type = "delete", SheetName = sheetName, Guid = guid, Range = range, ExpectedHash = expectedHash };
+}
+
+/// <summary>
+/// Résultat d'un lot d'écritures. Le lot est atomique : en cas d'échec, aucune
+/// opération n'est appliquée et FailedIndex désigne celle qui l'a fait échouer.
+/// </summary>
+public sealed class BatchWriteResult
+{
+    public bool Success { get; init; }
+
+    /// <summary>Le lot a été mis en attente hors-ligne.</summary>
+    public bool Queued { get; init; }
+
+    public bool Conflict { get; init; }
+    public bool NotFound { get; init; }
+
+    /// <summary>Indices des opérations appliquées.</summary>
+    public IReadOnlyList<int> Applied { get; init; } = [];
+
+    /// <summary>Indice de l'opération en échec, si elle est connue.</summary>
+    public int? FailedIndex { get; init; }
+
+    public string? Error { get; init; }
+}
+
+/// <summary>
+/// Résultat de l'export d'une sauvegarde complète du classeur.
+/// </summary>
+public sealed class BackupExportResult
+{
+    public bool Success { get; init; }
+    public string? FileName { get; init; }
+
+    /// <summary>Nombre de lignes sauvegardées par feuille.</summary>
+    public Dictionary<string, int> Sheets { get; init; } = [];
+
+    /// <summary>Écritures hors-ligne non synchronisées, absentes de la sauvegarde.</summary>
+    public int PendingWrites { get; init; }
+
+    public string? Error { get; init; }
+}
+
+/// <summary>
+/// Écarts entre une feuille de la sauvegarde et son contenu actuel (lignes comparées par colonne A).
+/// </summary>
+public sealed class BackupSheetDiff
+{
+    public string Sheet { get; set; } = string.Empty;
+
+    /// <summary>Lignes dans la sauvegarde.</summary>
+    public int Rows { get; set; }
+
+    /// <summary>Lignes actuellement dans le classeur.</summary>
+    public int Current { get; set; }
+
+    /// <summary>La feuille n'existe pas encore et sera créée.</summary>
+    public bool Created { get; set; }
+
+    public int Added { get; set; }
+    public int Removed { get; set; }
+    public int Modified { get; set; }
+    public int Unchanged { get; set; }
+}
+
+/// <summary>
+/// Rapport de validation (et de restauration) d'une sauvegarde.
+/// </summary>
+public sealed class BackupImportReport
+{
+    public bool Valid { get; set; }
+    public bool Restored { get; set; }
+    public List<string> Errors { get; set; } = [];
+    public List<string> Warnings { get; set; } = [];
+    public DateTime? ExportedAt { get; set; }
+    public int? SchemaVersion { get; set; }
+    public List<BackupSheetDiff> Sheets { get; set; } = [];
+}
+
+/// <summary>
+/// Rapport d'archivage : lignes déplacées de la feuille source vers ses feuilles d'archive annuelles.
+/// </summary>
+public sealed class ArchiveReport
+{
+    public bool Success { get; set; }
+    public bool DryRun { get; set; }
+
+    /// <summary>Les lignes datées d'avant cette date sont archivées.</summary>
+    public DateTime? Cutoff { get; set; }
+
+    public int Archived { get; set; }
+
+    /// <summary>Lignes ignorées faute de date lisible.</summary>
+    public int Skipped { get; set; }
+
+    public List<ArchiveSheetCount> Sheets { get; set; } = [];
+    public DateTime? LastArchivedAt { get; set; }
+    public string? Error { get; set; }
+}
+
+public sealed class ArchiveSheetCount
+{
+    public string Sheet { get; set; } = string.Empty;
+    public int Rows { get; set; }
+
+    /// <summary>La feuille d'archive n'existe pas encore et sera créée.</summary>
+    public bool Created { get; set; }
+}
+
+/// <summary>
+/// Règle de recherche (et d'effacement) des lignes d'une personne : les lignes de SheetName
+/// et de ses archives dont la colonne Column vaut l'identifiant recherché.
+/// </summary>
+public sealed class RedactionRule
+{
+    public string SheetName { get; init; } = string.Empty;
+    public string Column { get; init; } = "guid";
+
+    /// <summary>Valeurs de remplacement par en-tête (effacement uniquement).</summary>
+    public Dictionary<string, string> Values { get; init; } = [];
+}
+
+/// <summary>
+/// Lignes trouvées pour une personne, par feuille, indexées par en-tête.
+/// </summary>
+public sealed class CollectedRowsResult
+{
+    public bool Success { get; set; }
+    public Dictionary<string, List<Dictionary<string, string>>> Sheets { get; set; } = [];
+    public string? Error { get; set; }
+}
+
+/// <summary>
+/// Rapport d'effacement : lignes modifiées par feuille et entrées du journal expurgées.
+/// </summary>
+public sealed class RedactionReport
+{
+    public bool Success { get; set; }
+    public Dictionary<string, int> Sheets { get; set; } = [];
+    public int Journal { get; set; }
+    public string? Error { get; set; }
+}
+
+/// <summary>
+/// État du chiffrement des champs sensibles. La clé n'existe qu'en mémoire, dans ce navigateur.
+/// </summary>
+public sealed class EncryptionStatus
+{
+    public bool Enabled { get; set; }
+
+    /// <summary>La phrase secrète a été saisie : les colonnes chiffrées sont lisibles et modifiables.</summary>
+    public bool Unlocked { get; set; }
+
+    public string? KeyId { get; set; }
+
+    /// <summary>Colonnes chiffrées par feuille.</summary>
+    public Dictionary<string, List<string>> Columns { get; set; } = [];
+}
+
+/// <summary>
+/// Résultat d'une opération de chiffrement (déverrouillage, rotation de clé, désactivation).
+/// </summary>
+public sealed class EncryptionReport
+{
+    public bool Success { get; set; }
+
+    /// <summary>Cellules réécrites.</summary>
+    public int Cells { get; set; }
+
+    /// <summary>Valeurs chiffrées avec une autre clé que la clé courante, laissées en l'état.</summary>
+    public int Skipped { get; set; }
+
+    /// <summary>Feuilles contenant ces valeurs.</summary>
+    public List<string> SkippedSheets { get; set; } = [];
+
+    public string? Error { get; set; }
+}
+
+/// <summary>
+/// Version du schéma enregistrée dans le classeur et dernière version connue de l'application.
+/// </summary>
+public sealed class SchemaVersionInfo
+{
+    public int Current { get; set; }
+    public int Latest { get; set; }
+    public bool UpToDate => Current >= Latest;
+}
+
+/// <summary>
+/// Rapport de migration du schéma (simulée ou appliquée), étape par étape.
+/// </summary>
+public sealed class MigrationReport
+{
+    public int FromVersion { get; set; }
+    public int ToVersion { get; set; }
+    public bool DryRun { get; set; }
+    public List<MigrationEntry> Migrations { get; set; } = [];
+    public string? Error { get; set; }
+    public bool Success => Error == null;
+}
+
+public sealed class MigrationEntry
+{
+    public int Version { get; set; }
+    public string Description { get; set; } = string.Empty;
+    public List<MigrationChange> Changes { get; set; } = [];
+}
+
+public sealed class MigrationChange
+{
+    public string Sheet { get; set; } = string.Empty;
+    public string Type { get; set; } = string.Empty;
+    public string Detail { get; set; } = string.Empty;
+    public int RowsAffected { get; set; }
+}
+
 /// <summary>
 /// Service bas-niveau générique pour les opérations CRUD sur Google Sheets.
 /// Tous les services métier utilisent ce service pour accéder aux données.
 /// </summary>
-public sealed class GoogleSheetsService
+public sealed class GoogleSheetsService : IAsyncDisposable
 {
     private readonly IJSRuntime _jsRuntime;
     private readonly GoogleAuthService _authService;
+    private readonly CacheService _cache;
     private readonly BrowserLoggerService _logger;
 
+    // Clés de cache à invalider lorsqu'une feuille est modifiée ailleurs
+    private readonly Dictionary<string, HashSet<string>> _cacheKeysBySheet = [];
+    private DotNetObjectReference<GoogleSheetsService>? _dotNetRef;
+
+    /// <summary>
+    /// Événement déclenché lorsque des feuilles ont été modifiées depuis un autre appareil
+    /// (ou directement dans Google Sheets), après invalidation des clés de cache associées.
+    /// </summary>
+    public event Action<IReadOnlyList<string>>? OnSheetsChanged;
+
     public GoogleSheetsService(
         IJSRuntime jsRuntime,
         GoogleAuthService authService,
+        CacheService cache,
         BrowserLoggerService logger)
     {
         _jsRuntime = jsRuntime;
         _authService = authService;
+        _cache = cache;
         _logger = logger;
     }
 
+    /// <summary>
+    /// Associe une clé de cache à une feuille : elle sera invalidée dès qu'une
+    /// modification distante de la feuille est détectée.
+    /// </summary>
+    public void WatchCacheKey(string sheetName, string cacheKey)
+    {
+        if (!_cacheKeysBySheet.TryGetValue(sheetName, out var keys))
+            _cacheKeysBySheet[sheetName] = keys = [];
+        keys.Add(cacheKey);
+    }
+
+    /// <summary>
+    /// Enregistre (une fois) le callback appelé par la détection des modifications distantes.
+    /// </summary>
+    private async Task EnsureChangeCallbackAsync()
+    {
+        if (_dotNetRef != null) return;
+
+        _dotNetRef = DotNetObjectReference.Create(this);
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync(
+                "googleSheetsApi.registerChangeCallback",
+                _dotNetRef,
+                nameof(OnSheetsChangedCallback));
+        }
+        catch (Exception ex)
+        {
+            await _logger.WarnAsync(LogCategory.API, "Détection des modifications indisponible", new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Callback appelé par JavaScript avec les feuilles modifiées ailleurs.
+    /// </summary>
+    [JSInvokable]
+    public void OnSheetsChangedCallback(string[] sheetNames)
+    {
+        foreach (var sheetName in sheetNames)
+        {
+            if (!_cacheKeysBySheet.TryGetValue(sheetName, out var keys)) continue;
+            foreach (var key in keys) _cache.Invalidate(key);
+        }
+
+        OnSheetsChanged?.Invoke(sheetNames);
+    }
+
     /// <summary>
     /// Lit toutes les lignes d'une feuille (hors en-tête).
+    /// Les lignes supprimées logiquement (Passages, CartesCadeaux) sont omises, sauf includeDeleted.
     /// Retourne une liste de tableaux de chaînes.
     /// </summary>
-    public async Task<List<string[]>> ReadSheetAsync(string sheetName, string range)
+    public async Task<List<string[]>> ReadSheetAsync(string sheetName, string range, bool includeDeleted = false)
     {
+        await EnsureChangeCallbackAsync();
+
         try
         {
-            var result = await _jsRuntime.InvokeAsync<SheetDataJs>("googleSheetsApi.readSheet", sheetName, range);
+            var result = await _jsRuntime.InvokeAsync<SheetDataJs>("googleSheetsApi.readSheet",
+                sheetName, range, new { includeDeleted });
             if (result?.Rows == null) return [];
             return result.Rows.Select(r => r ?? []).ToList();
         }
@@ -41,11 +394,34 @@ public sealed class GoogleSheetsService
         }
     }
 
+    /// <summary>
+    /// Lit toute une feuille et retourne chaque ligne sous forme de dictionnaire
+    /// indexé par les en-têtes de la première ligne.
+    /// </summary>
+    public async Task<List<Dictionary<string, string>>> ReadSheetAsObjectsAsync(string sheetName)
+    {
+        await EnsureChangeCallbackAsync();
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<List<Dictionary<string, string>>>(
+                "googleSheetsApi.readSheetAsObjects", sheetName);
+            return result ?? [];
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, $"Erreur lecture {sheetName}", new { error = ex.Message });
+            throw;
+        }
+    }
+
     /// <summary>
     /// Lit plusieurs plages en un seul appel batch.
     /// </summary>
     public async Task<Dictionary<string, List<string[]>>> BatchReadAsync(string[] ranges)
     {
+        await EnsureChangeCallbackAsync();
+
         try
         {
             var result = await _jsRuntime.InvokeAsync<BatchReadResultJs>("googleSheetsApi.batchRead", (object)ranges);
@@ -66,6 +442,7 @@ public sealed class GoogleSheetsService
 
     /// <summary>
     /// Ajoute une ligne à une feuille. Retourne true si succès.
+    /// Hors-ligne, l'écriture est mise en attente et considérée comme réussie.
     /// </summary>
     public async Task<bool> AppendRowAsync(string sheetName, string range, string[] values)
     {
@@ -127,6 +504,154 @@ public sealed class GoogleSheetsService
         }
     }
 
+    /// <summary>
+    /// Met à jour la ligne identifiée par son GUID (colonne A).
+    /// Si expectedHash est fourni, l'écriture est refusée lorsque le hachage stocké diffère.
+    /// </summary>
+    public async Task<RowWriteResult> UpdateRowByGuidAsync(string sheetName, string guid, string range,
+        string[] values, string? expectedHash = null)
+    {
+        if (!_authService.CanWrite)
+            throw new UnauthorizedAccessException("Droits d'écriture requis");
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<OperationResultJs>(
+                "googleSheetsApi.updateRowByGuid", sheetName, guid, range, values, expectedHash);
+            return ToRowWriteResult(result);
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, $"Erreur MAJ {sheetName} {guid}", new { error = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Supprime la ligne identifiée par son GUID (colonne A).
+    /// Si expectedHash est fourni, la suppression est refusée lorsque le hachage stocké diffère.
+    /// </summary>
+    public async Task<RowWriteResult> DeleteRowByGuidAsync(string sheetName, string guid, string range,
+        string? expectedHash = null)
+    {
+        if (!_authService.CanWrite)
+            throw new UnauthorizedAccessException("Droits d'écriture requis");
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<OperationResultJs>(
+                "googleSheetsApi.deleteRowByGuid", sheetName, guid, range, expectedHash);
+            return ToRowWriteResult(result);
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, $"Erreur suppression {sheetName} {guid}", new { error = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Applique plusieurs ajouts, mises à jour et suppressions, sur une ou plusieurs
+    /// feuilles, en un seul aller-retour atomique.
+    /// </summary>
+    public async Task<BatchWriteResult> BatchWriteAsync(IReadOnlyList<SheetWriteOperation> operations)
+    {
+        if (!_authService.CanWrite)
+            throw new UnauthorizedAccessException("Droits d'écriture requis");
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<OperationResultJs>("googleSheetsApi.batchWrite", operations);
+            return new BatchWriteResult
+            {
+                Success = result?.Success ?? false,
+                Queued = result?.Queued ?? false,
+                Conflict = result?.Conflict ?? false,
+                NotFound = result?.NotFound ?? false,
+                Applied = result?.Applied ?? [],
+                FailedIndex = result?.FailedIndex,
+                Error = result?.Error
+            };
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur écriture groupée",
+                new { error = ex.Message, operations = operations.Count });
+            throw;
+        }
+    }
+
+    private static RowWriteResult ToRowWriteResult(OperationResultJs? result) => new()
+    {
+        Success = result?.Success ?? false,
+        Conflict = result?.Conflict ?? false,
+        NotFound = result?.NotFound ?? false,
+        RowIndex = result?.RowIndex,
+        CurrentValues = result?.CurrentValues,
+        Error = result?.Error
+    };
+
+    /// <summary>
+    /// Nombre d'écritures enregistrées hors-ligne et pas encore synchronisées.
+    /// </summary>
+    public async Task<int> GetPendingWriteCountAsync()
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<int>("googleSheetsApi.getPendingWriteCount");
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur lecture file d'attente", new { error = ex.Message });
+            return 0;
+        }
+    }
+
+    /// <summary>
+    /// Rejoue les écritures en attente. Retourne le nombre d'écritures synchronisées.
+    /// </summary>
+    public async Task<int> SyncPendingWritesAsync()
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<int>("googleSheetsApi.flushOutbox");
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur synchronisation hors-ligne", new { error = ex.Message });
+            return 0;
+        }
+    }
+
+    /// <summary>
+    /// Écritures hors-ligne refusées à la synchronisation.
+    /// </summary>
+    public async Task<List<FailedWrite>> GetFailedWritesAsync()
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<List<FailedWrite>>("googleSheetsApi.getFailedWrites") ?? [];
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur lecture des écritures en échec", new { error = ex.Message });
+            return [];
+        }
+    }
+
+    /// <summary>
+    /// Rejoue une écriture en échec. Avec force, un conflit est ignoré : la version
+    /// saisie hors-ligne remplace celle du classeur. Retourne le nombre d'écritures synchronisées.
+    /// </summary>
+    public async Task<int> RetryFailedWriteAsync(int id, bool force) =>
+        await _jsRuntime.InvokeAsync<int>("googleSheetsApi.retryFailedWrite", id, new { force });
+
+    /// <summary>
+    /// Abandonne une écriture en échec : elle est retirée de la file sans être appliquée.
+    /// </summary>
+    public async Task DiscardFailedWriteAsync(int id) =>
+        await _jsRuntime.InvokeAsync<bool>("googleSheetsApi.discardFailedWrite", id);
+
     /// <summary>
     /// S'assure qu'une feuille existe avec les en-têtes spécifiés.
     /// </summary>
@@ -142,6 +667,319 @@ public sealed class GoogleSheetsService
         }
     }
 
+    /// <summary>
+    /// Télécharge une sauvegarde JSON de toutes les feuilles gérées.
+    /// </summary>
+    public async Task<BackupExportResult> ExportAllAsync()
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<BackupExportResult>("googleSheetsApi.exportAll")
+                   ?? new BackupExportResult { Error = "Réponse vide" };
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur export sauvegarde", new { error = ex.Message });
+            return new BackupExportResult { Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// Valide une sauvegarde (contenu JSON) et la compare au classeur.
+    /// Si dryRun=false et qu'elle est valide, elle remplace les feuilles actuelles.
+    /// </summary>
+    public async Task<BackupImportReport> ImportAllAsync(string content, bool dryRun)
+    {
+        if (!dryRun && !_authService.IsOwner)
+            throw new UnauthorizedAccessException("Seul le propriétaire peut restaurer une sauvegarde");
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<BackupImportReport>("googleSheetsApi.importAll", content, new { dryRun })
+                   ?? new BackupImportReport { Errors = ["Réponse vide"] };
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur restauration sauvegarde", new { error = ex.Message });
+            return new BackupImportReport { Errors = [ex.Message] };
+        }
+    }
+
+    /// <summary>
+    /// Déplace les lignes de plus de <paramref name="years"/> ans vers les feuilles
+    /// "{sheetName}_Archive_{année}". Avec dryRun, calcule seulement le rapport.
+    /// </summary>
+    public async Task<ArchiveReport> ArchiveRowsAsync(string sheetName, int years, bool dryRun)
+    {
+        if (!dryRun && !_authService.IsOwner)
+            throw new UnauthorizedAccessException("Seul le propriétaire peut archiver des données");
+
+        try
+        {
+            var report = await _jsRuntime.InvokeAsync<ArchiveReport>("googleSheetsApi.archiveRows", sheetName, new { years, dryRun })
+                         ?? new ArchiveReport { Error = "Réponse vide" };
+            if (report.Success && !dryRun && report.Archived > 0
+                && _cacheKeysBySheet.TryGetValue(sheetName, out var keys))
+            {
+                foreach (var key in keys) _cache.Invalidate(key);
+            }
+            return report;
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, $"Erreur archivage {sheetName}", new { error = ex.Message });
+            return new ArchiveReport { Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// Feuilles d'archive existantes d'une feuille ("{sheetName}_Archive_{année}").
+    /// </summary>
+    public async Task<List<string>> ListArchivesAsync(string sheetName)
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<List<string>>("googleSheetsApi.listArchives", sheetName) ?? [];
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, $"Erreur liste des archives {sheetName}", new { error = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Version du schéma du classeur, comparée à la dernière migration connue.
+    /// </summary>
+    public async Task<SchemaVersionInfo> GetSchemaVersionAsync()
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<SchemaVersionInfo>("googleSheetsApi.getSchemaVersion")
+                   ?? new SchemaVersionInfo();
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur lecture de la version du schéma", new { error = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Applique les migrations du schéma en attente. Avec dryRun, retourne seulement
+    /// le rapport de ce qui serait modifié.
+    /// </summary>
+    public async Task<MigrationReport> MigrateAsync(bool dryRun)
+    {
+        if (!dryRun && !_authService.IsOwner)
+            throw new UnauthorizedAccessException("Seul le propriétaire peut migrer le schéma");
+
+        try
+        {
+            return await _jsRuntime.InvokeAsync<MigrationReport>("googleSheetsApi.migrate", new { dryRun })
+                   ?? new MigrationReport { Error = "Réponse vide" };
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur migration du schéma", new { error = ex.Message });
+            return new MigrationReport { DryRun = dryRun, Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// Rassemble les lignes qui concernent une personne (archives et lignes supprimées comprises).
+    /// </summary>
+    public async Task<CollectedRowsResult> CollectRowsAsync(string value, IEnumerable<RedactionRule> rules)
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<CollectedRowsResult>("googleSheetsApi.collectRows", value, rules)
+                   ?? new CollectedRowsResult { Error = "Réponse vide" };
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur collecte des données personnelles", new { error = ex.Message });
+            return new CollectedRowsResult { Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// Remplace les valeurs des règles dans toutes les lignes d'une personne,
+    /// puis expurge le journal des mêmes champs.
+    /// </summary>
+    public async Task<RedactionReport> RedactRowsAsync(string value, IEnumerable<RedactionRule> rules)
+    {
+        if (!_authService.IsOwner)
+            throw new UnauthorizedAccessException("Seul le propriétaire peut effacer des données personnelles");
+
+        try
+        {
+            var report = await _jsRuntime.InvokeAsync<RedactionReport>("googleSheetsApi.redactRows", value, rules)
+                         ?? new RedactionReport { Error = "Réponse vide" };
+            foreach (var sheetName in report.Sheets.Keys)
+            {
+                if (!_cacheKeysBySheet.TryGetValue(sheetName, out var keys)) continue;
+                foreach (var key in keys) _cache.Invalidate(key);
+            }
+            return report;
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur effacement des données personnelles", new { error = ex.Message });
+            return new RedactionReport { Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// État du chiffrement des champs sensibles.
+    /// </summary>
+    public async Task<EncryptionStatus> GetEncryptionStatusAsync()
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<EncryptionStatus>("googleSheetsApi.getEncryptionStatus")
+                   ?? new EncryptionStatus();
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur lecture de l'état du chiffrement", new { error = ex.Message });
+            return new EncryptionStatus();
+        }
+    }
+
+    /// <summary>
+    /// Empreinte d'une valeur pour un hachage d'intégrité : HMAC à clé secrète si la colonne
+    /// est chiffrée, la valeur elle-même sinon. Échoue si le chiffrement est verrouillé.
+    /// </summary>
+    public async Task<string> ValueFingerprintAsync(string sheetName, string header, string value) =>
+        await _jsRuntime.InvokeAsync<string>("googleSheetsApi.valueFingerprint", sheetName, header, value) ?? "";
+
+    /// <summary>
+    /// Déverrouille le chiffrement avec la phrase secrète du salon.
+    /// Les données en cache, lues chiffrées, sont relues.
+    /// </summary>
+    public async Task<EncryptionReport> UnlockEncryptionAsync(string passphrase)
+    {
+        var report = await InvokeEncryptionAsync("unlockEncryption", passphrase);
+        if (report.Success) _cache.InvalidateAll();
+        return report;
+    }
+
+    /// <summary>
+    /// Oublie la clé de chiffrement dans ce navigateur.
+    /// </summary>
+    public async Task LockEncryptionAsync()
+    {
+        await _jsRuntime.InvokeVoidAsync("googleSheetsApi.lockEncryption");
+        _cache.InvalidateAll();
+    }
+
+    /// <summary>
+    /// Active le chiffrement, ou change de phrase secrète : toutes les valeurs
+    /// des colonnes chiffrées (archives et journal compris) sont rechiffrées.
+    /// </summary>
+    public async Task<EncryptionReport> RotateEncryptionKeyAsync(string passphrase)
+    {
+        if (!_authService.IsOwner)
+            throw new UnauthorizedAccessException("Seul le propriétaire peut gérer le chiffrement");
+
+        var report = await InvokeEncryptionAsync("rotateEncryptionKey", passphrase);
+        if (report.Success) _cache.InvalidateAll();
+        return report;
+    }
+
+    /// <summary>
+    /// Désactive le chiffrement : les valeurs chiffrées sont réécrites en clair.
+    /// </summary>
+    public async Task<EncryptionReport> DisableEncryptionAsync()
+    {
+        if (!_authService.IsOwner)
+            throw new UnauthorizedAccessException("Seul le propriétaire peut gérer le chiffrement");
+
+        var report = await InvokeEncryptionAsync("disableEncryption");
+        if (report.Success) _cache.InvalidateAll();
+        return report;
+    }
+
+    private async Task<EncryptionReport> InvokeEncryptionAsync(string function, params object?[] args)
+    {
+        try
+        {
+            return await _jsRuntime.InvokeAsync<EncryptionReport>($"googleSheetsApi.{function}", args)
+                   ?? new EncryptionReport { Error = "Réponse vide" };
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, $"Erreur chiffrement ({function})", new { error = ex.Message });
+            return new EncryptionReport { Error = ex.Message };
+        }
+    }
+
+    /// <summary>
+    /// Lit le journal des modifications, du plus récent au plus ancien,
+    /// éventuellement limité à une feuille et/ou à une ligne (GUID).
+    /// </summary>
+    public async Task<List<EntreeJournal>> ReadJournalAsync(string? sheetName = null, string? guid = null)
+    {
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<List<EntreeJournal>>(
+                "googleSheetsApi.readJournal", new { sheetName, guid });
+            return result ?? [];
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur lecture du journal", new { error = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Rétablit une ligne supprimée d'après l'entrée de journal de sa suppression.
+    /// Conflict indique que le GUID est de nouveau présent dans la feuille.
+    /// </summary>
+    public async Task<RowWriteResult> RestoreRowAsync(string entryId)
+    {
+        if (!_authService.CanWrite)
+            throw new UnauthorizedAccessException("Droits d'écriture requis");
+
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<OperationResultJs>("googleSheetsApi.restoreRow", entryId);
+            if (result?.Success == true && result.SheetName != null
+                && _cacheKeysBySheet.TryGetValue(result.SheetName, out var keys))
+            {
+                foreach (var key in keys) _cache.Invalidate(key);
+            }
+            return ToRowWriteResult(result);
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.API, "Erreur rétablissement de ligne", new { entryId, error = ex.Message });
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Libère le callback de détection des modifications.
+    /// </summary>
+    public async ValueTask DisposeAsync()
+    {
+        if (_dotNetRef == null) return;
+
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("googleSheetsApi.unregisterChangeCallback");
+        }
+        catch
+        {
+            // Ignorer les erreurs lors du cleanup
+        }
+
+        _dotNetRef.Dispose();
+        _dotNetRef = null;
+    }
+
     // Classes internes pour la désérialisation
     private class SheetDataJs
     {
@@ -156,6 +994,14 @@ public sealed class GoogleSheetsService
     private class OperationResultJs
     {
         public bool Success { get; set; }
+        public bool Queued { get; set; }
+        public bool Conflict { get; set; }
+        public bool NotFound { get; set; }
+        public int? RowIndex { get; set; }
+        public string[]? CurrentValues { get; set; }
+        public int[]? Applied { get; set; }
+        public int? FailedIndex { get; set; }
+        public string? SheetName { get; set; }
         public string? Error { get; set; }
     }
 }
@@ -0,0 +1,57 @@
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Consultation du journal des modifications : historique d'une fiche et
+/// rétablissement des lignes supprimées.
+/// </summary>
+public sealed class JournalService
+{
+    private readonly GoogleSheetsService _sheets;
+    private readonly BrowserLoggerService _logger;
+
+    /// <summary>Feuilles dont les suppressions peuvent être annulées.</summary>
+    public static readonly string[] FeuillesRestaurables =
+        ["Clients", "Passages", "Produits", "Prestations", "CartesCadeaux"];
+
+    public JournalService(GoogleSheetsService sheets, BrowserLoggerService logger)
+    {
+        _sheets = sheets;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Historique d'une ligne, du plus récent au plus ancien.
+    /// </summary>
+    public Task<List<EntreeJournal>> GetHistoriqueAsync(string feuille, string guid) =>
+        _sheets.ReadJournalAsync(feuille, guid);
+
+    /// <summary>
+    /// Suppressions d'une feuille dont la ligne n'a pas été rétablie depuis
+    /// (la dernière entrée de son GUID est la suppression).
+    /// </summary>
+    public async Task<List<EntreeJournal>> GetSuppressionsAsync(string feuille)
+    {
+        var entrees = await _sheets.ReadJournalAsync(feuille);
+        return entrees
+            .GroupBy(e => e.Guid)
+            .Select(g => g.First())
+            .Where(e => e.Operation == "delete" && e.Avant != null)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Rétablit la ligne supprimée d'une entrée de journal.
+    /// </summary>
+    public async Task<RowWriteResult> RestaurerAsync(EntreeJournal suppression)
+    {
+        var result = await _sheets.RestoreRowAsync(suppression.Id);
+        if (result.Success)
+        {
+            await _logger.SuccessAsync(LogCategory.API, "Ligne rétablie",
+                new { feuille = suppression.Feuille, guid = suppression.Guid });
+        }
+        return result;
+    }
+}
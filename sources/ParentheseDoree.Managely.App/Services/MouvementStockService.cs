@@ -27,6 +27,7 @@ public sealed class MouvementStockService
         _cache = cache;
         _produits = produits;
         _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
     }
 
     public async Task<List<MouvementStock>> GetAllAsync(bool forceRefresh = false)
@@ -73,23 +74,52 @@ public sealed class MouvementStockService
     }
 
     /// <summary>
-    /// Enregistre une sortie de stock (vente) et met à jour le produit.
+    /// Prépare les sorties de stock d'un passage pour un lot d'écritures :
+    /// un mouvement par ligne puis une mise à jour du stock par produit concerné.
     /// </summary>
-    public async Task<string> EnregistrerSortieAsync(string produitGuid, int quantite,
-        decimal prixVente, string passageGuid = "")
+    public async Task<List<SheetWriteOperation>> PreparerSortiesAsync(
+        IEnumerable<(string ProduitGuid, int Quantite, decimal PrixUnitaire)> lignes, string passageGuid)
     {
-        var mouvement = new MouvementStock
+        var operations = new List<SheetWriteOperation>();
+        var sorties = lignes.Where(l => !string.IsNullOrEmpty(l.ProduitGuid) && l.Quantite > 0).ToList();
+        if (sorties.Count == 0) return operations;
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var produits = await _produits.GetAllAsync(true);
+        var produitsModifies = new List<Produit>();
+
+        foreach (var sortie in sorties)
         {
-            ProduitGuid = produitGuid,
-            Type = "sortie",
-            Quantite = quantite,
-            CoutUnitaire = prixVente,
-            Date = DateTime.Now.ToString("dd/MM/yyyy"),
-            Motif = "vente",
-            Reference = passageGuid
-        };
+            var mouvement = new MouvementStock
+            {
+                ProduitGuid = sortie.ProduitGuid,
+                Type = "sortie",
+                Quantite = sortie.Quantite,
+                CoutUnitaire = sortie.PrixUnitaire,
+                Date = DateTime.Now.ToString("dd/MM/yyyy"),
+                Motif = "vente",
+                Reference = passageGuid
+            };
+            mouvement.GenererGuid();
+            operations.Add(SheetWriteOperation.Append(SheetName, Range, MapToRow(mouvement)));
+
+            var produit = produits.FirstOrDefault(p => p.Guid == sortie.ProduitGuid);
+            if (produit == null) continue;
+            produit.Stock = Math.Max(0, produit.Stock - sortie.Quantite);
+            if (!produitsModifies.Contains(produit)) produitsModifies.Add(produit);
+        }
 
-        return await AjouterMouvementAsync(mouvement);
+        operations.AddRange(produitsModifies.Select(_produits.PreparerMiseAJour));
+        return operations;
+    }
+
+    /// <summary>
+    /// Invalide les mouvements et les produits en cache après un lot d'écritures.
+    /// </summary>
+    public void InvaliderCache()
+    {
+        _cache.Invalidate(CacheKey);
+        _produits.InvaliderCache();
     }
 
     /// <summary>
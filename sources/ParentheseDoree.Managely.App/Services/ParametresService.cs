@@ -0,0 +1,122 @@
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Paramètres du salon stockés dans la feuille "Parametres" (une ligne par clé).
+/// La clé occupe la colonne A : elle sert d'identifiant de ligne pour les mises à jour.
+/// </summary>
+public sealed class ParametresService
+{
+    private readonly GoogleSheetsService _sheets;
+    private readonly CacheService _cache;
+    private readonly BrowserLoggerService _logger;
+
+    private const string SheetName = "Parametres";
+    private const string Range = "A:B";
+    private const string CacheKey = "parametres_all";
+
+    private static readonly string[] Headers = ["cle", "valeur"];
+
+    // Coordonnées du salon : une clé par champ de InfosSalon
+    private static readonly (string Cle, Func<InfosSalon, string> Lire, Action<InfosSalon, string> Ecrire)[] ClesSalon =
+    [
+        ("salon.nom", s => s.Nom, (s, v) => s.Nom = v),
+        ("salon.adresse", s => s.Adresse, (s, v) => s.Adresse = v),
+        ("salon.telephone", s => s.Telephone, (s, v) => s.Telephone = v),
+        ("salon.email", s => s.Email, (s, v) => s.Email = v),
+        ("salon.siret", s => s.Siret, (s, v) => s.Siret = v),
+        ("salon.tva", s => s.NumeroTva, (s, v) => s.NumeroTva = v),
+        ("salon.mentions", s => s.Mentions, (s, v) => s.Mentions = v)
+    ];
+
+    public ParametresService(GoogleSheetsService sheets, CacheService cache, BrowserLoggerService logger)
+    {
+        _sheets = sheets;
+        _cache = cache;
+        _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
+    }
+
+    public async Task<List<Parametres>> GetAllAsync(bool forceRefresh = false)
+    {
+        if (!forceRefresh)
+        {
+            var cached = _cache.Get<List<Parametres>>(CacheKey);
+            if (cached != null) return cached;
+        }
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var rows = await _sheets.ReadSheetAsync(SheetName, Range);
+        var list = rows
+            .Select((r, i) => new Parametres
+            {
+                RowIndex = i + 2,
+                Cle = r.ElementAtOrDefault(0) ?? "",
+                Valeur = r.ElementAtOrDefault(1) ?? ""
+            })
+            .Where(p => !string.IsNullOrEmpty(p.Cle))
+            .ToList();
+        _cache.Set(CacheKey, list);
+        return list;
+    }
+
+    /// <summary>
+    /// Valeur d'un paramètre, ou null s'il n'est pas défini.
+    /// </summary>
+    public async Task<string?> GetValeurAsync(string cle)
+    {
+        var all = await GetAllAsync();
+        return all.FirstOrDefault(p => p.Cle == cle)?.Valeur;
+    }
+
+    /// <summary>
+    /// Paramètres dont la clé commence par un préfixe (ex. "fidelite.regle.").
+    /// </summary>
+    public async Task<List<Parametres>> GetParPrefixeAsync(string prefixe)
+    {
+        var all = await GetAllAsync();
+        return all.Where(p => p.Cle.StartsWith(prefixe, StringComparison.Ordinal)).ToList();
+    }
+
+    /// <summary>Coordonnées du salon (champs vides pour les clés absentes).</summary>
+    public async Task<InfosSalon> GetInfosSalonAsync()
+    {
+        var all = await GetAllAsync();
+        var infos = new InfosSalon();
+        foreach (var (cle, _, ecrire) in ClesSalon)
+            ecrire(infos, all.FirstOrDefault(p => p.Cle == cle)?.Valeur ?? "");
+        return infos;
+    }
+
+    /// <summary>Enregistre les coordonnées du salon (seules les valeurs modifiées sont écrites).</summary>
+    public async Task EnregistrerInfosSalonAsync(InfosSalon infos)
+    {
+        var actuelles = await GetInfosSalonAsync();
+        foreach (var (cle, lire, _) in ClesSalon)
+        {
+            var valeur = lire(infos).Trim();
+            if (valeur != lire(actuelles)) await SetValeurAsync(cle, valeur);
+        }
+    }
+
+    /// <summary>
+    /// Enregistre la valeur d'un paramètre : mise à jour de sa ligne, ou ajout s'il n'existe pas.
+    /// </summary>
+    public async Task SetValeurAsync(string cle, string valeur)
+    {
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var result = await _sheets.UpdateRowByGuidAsync(SheetName, cle, Range, [cle, valeur]);
+        if (result.NotFound)
+        {
+            if (!await _sheets.AppendRowAsync(SheetName, Range, [cle, valeur]))
+                throw new InvalidOperationException($"Échec de l'enregistrement du paramètre {cle}");
+        }
+        else if (!result.Success)
+        {
+            throw new InvalidOperationException(result.Error ?? $"Échec de l'enregistrement du paramètre {cle}");
+        }
+        _cache.Invalidate(CacheKey);
+        await _logger.InfoAsync(LogCategory.APP, $"Paramètre {cle} enregistré");
+    }
+}
@@ -12,27 +12,35 @@ public sealed class PassageService
 {
     private readonly GoogleSheetsService _sheets;
     private readonly CacheService _cache;
+    private readonly ClotureService _clotures;
     private readonly BrowserLoggerService _logger;
 
     private const string SheetName = "Passages";
     private const string Range = "A:M";
     private const string CacheKey = "passages_all";
+    private const string HistoriqueCacheKey = "passages_historique";
+    private const string ArchivePrefix = SheetName + "_Archive_";
 
     private static readonly string[] Headers =
         ["guid", "client_guid", "date", "prestations_json", "produits_vendus_json",
          "produits_conseilles_json", "note_interne", "total", "mode_paiement",
-         "carte_cadeau_guid", "montant_carte_utilisee", "paiements_json", "hachage_integrite"];
+         "carte_cadeau_guid", "montant_carte_utilisee", "paiements_json", "hachage_integrite",
+         "supprime", "date_suppression"];
 
     private static readonly JsonSerializerOptions JsonOpts = new()
     {
         PropertyNamingPolicy = JsonNamingPolicy.CamelCase
     };
 
-    public PassageService(GoogleSheetsService sheets, CacheService cache, BrowserLoggerService logger)
+    public PassageService(GoogleSheetsService sheets, CacheService cache, ClotureService clotures,
+        BrowserLoggerService logger)
     {
         _sheets = sheets;
         _cache = cache;
+        _clotures = clotures;
         _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
+        _sheets.WatchCacheKey(SheetName, HistoriqueCacheKey);
     }
 
     public async Task<List<Passage>> GetAllAsync(bool forceRefresh = false)
@@ -67,46 +75,183 @@ public sealed class PassageService
     /// </summary>
     public async Task<string> AddAsync(Passage passage)
     {
+        await VerifierJourneeOuverteAsync(passage.Date);
         passage.GenererGuid();
         passage.RecalculerTotal();
-        passage.MettreAJourIntegrite();
+        await MettreAJourIntegriteAsync(passage);
         await _sheets.EnsureSheetAsync(SheetName, Headers);
         var success = await _sheets.AppendRowAsync(SheetName, Range, MapToRow(passage));
         if (!success) throw new InvalidOperationException("Échec de l'ajout du passage");
-        _cache.Invalidate(CacheKey);
+        InvaliderCaches();
         return passage.Guid;
     }
 
     /// <summary>
-    /// Met à jour un passage. Vérifie l'intégrité avant écriture.
+    /// Met à jour un passage. La ligne est retrouvée par son GUID et son hachage
+    /// d'intégrité vérifié avant écriture. Retourne false en cas de conflit (sauf si forceWrite=true).
     /// </summary>
     public async Task<bool> UpdateAsync(Passage passage, bool forceWrite = false)
     {
-        if (!forceWrite)
+        await VerifierJourneesOuvertesAsync(passage);
+        var hachageLu = passage.HachageIntegrite;
+        passage.RecalculerTotal();
+        await MettreAJourIntegriteAsync(passage);
+        var result = await _sheets.UpdateRowByGuidAsync(SheetName, passage.Guid, Range, MapToRow(passage),
+            forceWrite ? null : hachageLu);
+
+        if (result.Conflict)
+        {
+            passage.HachageIntegrite = hachageLu;
+            InvaliderCaches();
+            await _logger.WarnAsync(LogCategory.APP, "Conflit détecté sur le passage", 
+                new { guid = passage.Guid });
+            return false; // Conflit détecté
+        }
+        if (result.NotFound)
         {
-            var current = await GetByGuidAsync(passage.Guid);
-            if (current != null && !string.IsNullOrEmpty(current.HachageIntegrite)
-                && current.HachageIntegrite != passage.HachageIntegrite)
-            {
-                await _logger.WarnAsync(LogCategory.APP, "Conflit détecté sur le passage", 
-                    new { guid = passage.Guid });
-                return false; // Conflit détecté
-            }
+            InvaliderCaches();
+            throw new InvalidOperationException("Ce passage a été supprimé par un autre utilisateur");
         }
+        if (!result.Success) throw new InvalidOperationException("Échec de la mise à jour du passage");
+        InvaliderCaches();
+        return true;
+    }
 
+    /// <summary>
+    /// Enregistre un passage (ajout ou mise à jour) avec ses effets sur les autres feuilles
+    /// (mouvements de stock, soldes des cartes) en un seul lot atomique : en cas d'échec,
+    /// rien n'est appliqué. Conflict indique que le passage a été modifié entre-temps
+    /// (vérification ignorée si forceWrite=true). Refusé si la journée du passage est clôturée.
+    /// </summary>
+    public async Task<BatchWriteResult> EnregistrerAsync(Passage passage, bool estNouveau,
+        IEnumerable<SheetWriteOperation> effets, bool forceWrite = false)
+    {
+        if (estNouveau) await VerifierJourneeOuverteAsync(passage.Date);
+        else await VerifierJourneesOuvertesAsync(passage);
+        if (estNouveau && string.IsNullOrEmpty(passage.Guid)) passage.GenererGuid();
+
+        var hachageLu = passage.HachageIntegrite;
         passage.RecalculerTotal();
-        passage.MettreAJourIntegrite();
-        var success = await _sheets.UpdateRowAsync(SheetName, passage.RowIndex, Range, MapToRow(passage));
-        if (!success) throw new InvalidOperationException("Échec de la mise à jour du passage");
-        _cache.Invalidate(CacheKey);
-        return true;
+        await MettreAJourIntegriteAsync(passage);
+
+        var operation = estNouveau
+            ? SheetWriteOperation.Append(SheetName, Range, MapToRow(passage))
+            : SheetWriteOperation.Update(SheetName, passage.Guid, Range, MapToRow(passage),
+                forceWrite ? null : hachageLu);
+
+        await _sheets.EnsureSheetAsync(SheetName, Headers);
+        var result = await _sheets.BatchWriteAsync([operation, .. effets]);
+        InvaliderCaches();
+
+        if (!result.Success)
+        {
+            passage.HachageIntegrite = hachageLu;
+            await _logger.WarnAsync(LogCategory.APP, "Enregistrement du passage non appliqué",
+                new { guid = passage.Guid, conflict = result.Conflict, failedIndex = result.FailedIndex, error = result.Error });
+        }
+        return result;
     }
 
-    public async Task DeleteAsync(int rowIndex)
+    private async Task MettreAJourIntegriteAsync(Passage passage) =>
+        passage.MettreAJourIntegrite(await _sheets.ValueFingerprintAsync(SheetName, "note_interne", passage.NoteInterne));
+
+    /// <summary>
+    /// Supprime un passage. Refusé si le passage a été modifié entre-temps
+    /// ou si sa journée est clôturée.
+    /// </summary>
+    public async Task DeleteAsync(Passage passage)
     {
-        var success = await _sheets.DeleteRowAsync(SheetName, rowIndex);
-        if (!success) throw new InvalidOperationException("Échec de la suppression");
-        _cache.Invalidate(CacheKey);
+        await VerifierJourneesOuvertesAsync(passage);
+        var result = await _sheets.DeleteRowByGuidAsync(SheetName, passage.Guid, Range, passage.HachageIntegrite);
+        InvaliderCaches();
+
+        if (result.Conflict)
+            throw new InvalidOperationException("Ce passage a été modifié par un autre utilisateur. Rechargez la liste avant de le supprimer.");
+        if (!result.Success && !result.NotFound)
+            throw new InvalidOperationException("Échec de la suppression");
+    }
+
+    /// <summary>
+    /// Archive les passages de plus de <paramref name="annees"/> ans dans les feuilles
+    /// Passages_Archive_AAAA. Avec simulation, rien n'est déplacé.
+    /// </summary>
+    public async Task<ArchiveReport> ArchiverAsync(int annees, bool simulation)
+    {
+        var report = await _sheets.ArchiveRowsAsync(SheetName, annees, simulation);
+        if (report.Success && !simulation)
+        {
+            InvaliderCaches();
+            await _logger.SuccessAsync(LogCategory.APP, "Passages archivés",
+                new { annees, archives = report.Archived });
+        }
+        return report;
+    }
+
+    /// <summary>
+    /// Passages archivés des années demandées (feuilles Passages_Archive_AAAA existantes),
+    /// sans les lignes supprimées. Non mis en cache.
+    /// </summary>
+    public async Task<List<Passage>> GetArchivesAsync(IEnumerable<int> annees)
+    {
+        var archives = await _sheets.ListArchivesAsync(SheetName);
+        var list = new List<Passage>();
+        foreach (var annee in annees.Distinct())
+        {
+            var nom = $"{ArchivePrefix}{annee}";
+            if (archives.Contains(nom)) list.AddRange(await LireArchiveAsync(nom));
+        }
+        return list;
+    }
+
+    /// <summary>
+    /// Tous les passages, archives comprises : la fidélité se calcule sur l'historique complet,
+    /// que les années anciennes aient été archivées ou non. Si les archives sont illisibles
+    /// (hors-ligne), seuls les passages courants sont retournés, sans mise en cache.
+    /// </summary>
+    public async Task<List<Passage>> GetHistoriqueAsync(bool forceRefresh = false)
+    {
+        if (!forceRefresh)
+        {
+            var cached = _cache.Get<List<Passage>>(HistoriqueCacheKey);
+            if (cached != null) return cached;
+        }
+
+        var courants = await GetAllAsync(forceRefresh);
+        List<string> archives;
+        try
+        {
+            archives = await _sheets.ListArchivesAsync(SheetName);
+        }
+        catch (Exception ex)
+        {
+            await _logger.WarnAsync(LogCategory.APP, "Archives des passages illisibles : historique partiel",
+                new { error = ex.Message });
+            return courants;
+        }
+
+        var list = new List<Passage>();
+        foreach (var nom in archives.Where(a => a.StartsWith(ArchivePrefix, StringComparison.Ordinal)))
+            list.AddRange(await LireArchiveAsync(nom));
+        list.AddRange(courants);
+        _cache.Set(HistoriqueCacheKey, list);
+        return list;
+    }
+
+    /// <summary>Passages d'un client, archives comprises.</summary>
+    public async Task<List<Passage>> GetHistoriqueByClientAsync(string clientGuid)
+    {
+        var all = await GetHistoriqueAsync();
+        return all.Where(p => p.ClientGuid == clientGuid).ToList();
+    }
+
+    private async Task<IEnumerable<Passage>> LireArchiveAsync(string nom)
+    {
+        // Les archives ne masquent pas les lignes supprimées : la colonne "supprime" est lue
+        var rows = await _sheets.ReadSheetAsync(nom, "A:N");
+        return rows
+            .Select((r, i) => (Row: r, Index: i + 2))
+            .Where(x => string.IsNullOrEmpty(x.Row.ElementAtOrDefault(13)))
+            .Select(x => MapFromRow(x.Row, x.Index));
     }
 
     /// <summary>Nombre de passages d'un client.</summary>
@@ -123,6 +268,33 @@ public sealed class PassageService
         return passages.Sum(p => p.Total);
     }
 
+    private void InvaliderCaches()
+    {
+        _cache.Invalidate(CacheKey);
+        _cache.Invalidate(HistoriqueCacheKey);
+    }
+
+    /// <summary>
+    /// Les passages d'une journée clôturée (rapport Z) ne peuvent plus être ajoutés, modifiés ni supprimés.
+    /// </summary>
+    private async Task VerifierJourneeOuverteAsync(string date)
+    {
+        if (await _clotures.EstClotureeAsync(date))
+            throw new InvalidOperationException($"La journée du {date} est clôturée : ses passages ne peuvent plus être modifiés.");
+    }
+
+    /// <summary>
+    /// Vérifie la journée du passage modifié et celle de la ligne enregistrée : déplacer
+    /// un passage hors d'une journée clôturée la modifierait tout autant.
+    /// </summary>
+    private async Task VerifierJourneesOuvertesAsync(Passage passage)
+    {
+        await VerifierJourneeOuverteAsync(passage.Date);
+        var enregistre = (await GetAllAsync(true)).FirstOrDefault(p => p.Guid == passage.Guid);
+        if (enregistre != null && enregistre.Date != passage.Date)
+            await VerifierJourneeOuverteAsync(enregistre.Date);
+    }
+
     private static Passage MapFromRow(string[] row, int rowIndex)
     {
         return new Passage
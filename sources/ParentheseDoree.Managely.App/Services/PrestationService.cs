@@ -23,6 +23,7 @@ public sealed class PrestationService
         _sheets = sheets;
         _cache = cache;
         _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
     }
 
     public async Task<List<Prestation>> GetAllAsync(bool forceRefresh = false)
@@ -59,15 +60,15 @@ public sealed class PrestationService
 
     public async Task UpdateAsync(Prestation p)
     {
-        var success = await _sheets.UpdateRowAsync(SheetName, p.RowIndex, Range, MapToRow(p));
-        if (!success) throw new InvalidOperationException("Échec de la mise à jour");
+        var result = await _sheets.UpdateRowByGuidAsync(SheetName, p.Guid, Range, MapToRow(p));
+        if (!result.Success) throw new InvalidOperationException("Échec de la mise à jour");
         _cache.Invalidate(CacheKey);
     }
 
-    public async Task DeleteAsync(int rowIndex)
+    public async Task DeleteAsync(string guid)
     {
-        var success = await _sheets.DeleteRowAsync(SheetName, rowIndex);
-        if (!success) throw new InvalidOperationException("Échec de la suppression");
+        var result = await _sheets.DeleteRowByGuidAsync(SheetName, guid, Range);
+        if (!result.Success && !result.NotFound) throw new InvalidOperationException("Échec de la suppression");
         _cache.Invalidate(CacheKey);
     }
 
@@ -24,6 +24,7 @@ public sealed class ProduitService
         _sheets = sheets;
         _cache = cache;
         _logger = logger;
+        _sheets.WatchCacheKey(SheetName, CacheKey);
     }
 
     public async Task<List<Produit>> GetAllAsync(bool forceRefresh = false)
@@ -65,18 +66,26 @@ public sealed class ProduitService
 
     public async Task UpdateAsync(Produit p)
     {
-        var success = await _sheets.UpdateRowAsync(SheetName, p.RowIndex, Range, MapToRow(p));
-        if (!success) throw new InvalidOperationException("Échec de la mise à jour du produit");
+        var result = await _sheets.UpdateRowByGuidAsync(SheetName, p.Guid, Range, MapToRow(p));
+        if (!result.Success) throw new InvalidOperationException("Échec de la mise à jour du produit");
         _cache.Invalidate(CacheKey);
     }
 
-    public async Task DeleteAsync(int rowIndex)
+    public async Task DeleteAsync(string guid)
     {
-        var success = await _sheets.DeleteRowAsync(SheetName, rowIndex);
-        if (!success) throw new InvalidOperationException("Échec de la suppression");
+        var result = await _sheets.DeleteRowByGuidAsync(SheetName, guid, Range);
+        if (!result.Success && !result.NotFound) throw new InvalidOperationException("Échec de la suppression");
         _cache.Invalidate(CacheKey);
     }
 
+    /// <summary>
+    /// Prépare la mise à jour d'un produit pour un lot d'écritures.
+    /// </summary>
+    public SheetWriteOperation PreparerMiseAJour(Produit p) =>
+        SheetWriteOperation.Update(SheetName, p.Guid, Range, MapToRow(p));
+
+    public void InvaliderCache() => _cache.Invalidate(CacheKey);
+
     /// <summary>
     /// Décrémente le stock d'un produit par son GUID.
     /// </summary>
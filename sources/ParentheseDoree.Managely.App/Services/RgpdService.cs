@@ -0,0 +1,377 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.JSInterop;
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Demandes RGPD d'un client : export de toutes ses données (JSON ou document imprimable)
+/// et effacement de ses données personnelles, les montants restant disponibles pour la comptabilité.
+/// </summary>
+public sealed class RgpdService
+{
+    private readonly GoogleSheetsService _sheets;
+    private readonly GoogleAuthService _auth;
+    private readonly IJSRuntime _jsRuntime;
+    private readonly BrowserLoggerService _logger;
+
+    private const string SheetName = "Effacements";
+    private const string Range = "A:I";
+
+    private static readonly string[] Headers =
+        ["guid", "client_guid", "date", "utilisateur", "email", "lignes_json", "entrees_journal",
+         "donnees_conservees", "hachage_integrite"];
+
+    // Mentionné dans chaque preuve : ce qui n'est pas effacé l'est délibérément
+    private const string DonneesConservees =
+        "Factures et reçus émis, dont le contenu figé (contenu_json, nom et adresse compris), conservés " +
+        "intégralement au titre de l'obligation légale de conservation des pièces comptables (10 ans). " +
+        "Dates, prestations, montants, paiements et soldes des cartes conservés pour la comptabilité.";
+
+    /// <summary>Valeur du nom d'un client dont les données ont été effacées.</summary>
+    public const string NomAnonyme = "ANONYME";
+
+    // Feuilles qui référencent un client : la fiche par son GUID, le reste par client_guid.
+    // Les factures sont exportées mais jamais effacées (obligation de conservation comptable).
+    private static readonly RedactionRule[] ReglesCollecte =
+    [
+        new() { SheetName = "Clients", Column = "guid" },
+        new() { SheetName = "Passages", Column = "client_guid" },
+        new() { SheetName = "CartesCadeaux", Column = "client_guid" },
+        new() { SheetName = "Factures", Column = "client_guid" }
+    ];
+
+    private static readonly JsonSerializerOptions JsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        WriteIndented = true
+    };
+
+    public RgpdService(GoogleSheetsService sheets, GoogleAuthService auth, IJSRuntime jsRuntime, BrowserLoggerService logger)
+    {
+        _sheets = sheets;
+        _auth = auth;
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Rassemble les données d'un client : fiche, passages, cartes et factures (archives et lignes
+    /// supprimées comprises) et entrées du journal de ces lignes.
+    /// </summary>
+    public async Task<DossierRgpd> ExporterAsync(string clientGuid)
+    {
+        var result = await _sheets.CollectRowsAsync(clientGuid, ReglesCollecte);
+        if (!result.Success) throw new InvalidOperationException(result.Error ?? "Collecte impossible");
+
+        var guids = result.Sheets.Values
+            .SelectMany(lignes => lignes)
+            .Select(ligne => ligne.GetValueOrDefault("guid", ""))
+            .Append(clientGuid)
+            .ToHashSet();
+        var journal = await _sheets.ReadJournalAsync();
+
+        var dossier = new DossierRgpd
+        {
+            ClientGuid = clientGuid,
+            DateExport = DateTime.UtcNow,
+            ExportePar = _auth.CurrentUser?.Email ?? "",
+            Feuilles = result.Sheets,
+            Journal = journal.Where(e => guids.Contains(e.Guid)).ToList()
+        };
+        await _logger.InfoAsync(LogCategory.APP, "Données personnelles exportées",
+            new { clientGuid, lignes = guids.Count - 1, journal = dossier.Journal.Count });
+        return dossier;
+    }
+
+    /// <summary>Télécharge le dossier au format JSON.</summary>
+    public async Task TelechargerJsonAsync(DossierRgpd dossier)
+    {
+        var json = JsonSerializer.Serialize(dossier, JsonOpts);
+        await _jsRuntime.InvokeVoidAsync("printDocument.download",
+            $"managely-rgpd-{dossier.ClientGuid[..8]}-{dossier.DateExport:yyyy-MM-dd}.json", json, "application/json");
+    }
+
+    /// <summary>Imprime le dossier (ou l'enregistre en PDF depuis la boîte d'impression).</summary>
+    public async Task ImprimerAsync(DossierRgpd dossier)
+    {
+        var fiche = dossier.Lignes("Clients").FirstOrDefault() ?? [];
+        var passages = dossier.Lignes("Passages");
+        var cartes = dossier.Lignes("CartesCadeaux");
+        var factures = dossier.Lignes("Factures");
+
+        var sections = new List<object>
+        {
+            new
+            {
+                title = "Identité et coordonnées",
+                fields = new string[][]
+                {
+                    ["Nom", fiche.GetValueOrDefault("nom", "")],
+                    ["Prénom", fiche.GetValueOrDefault("prenom", "")],
+                    ["Mois d'anniversaire", fiche.GetValueOrDefault("mois_anniversaire", "")],
+                    ["Téléphone", fiche.GetValueOrDefault("numero_telephone", "")],
+                    ["Email", fiche.GetValueOrDefault("email", "")],
+                    ["Adresse", fiche.GetValueOrDefault("adresse", "")],
+                    ["Fiche créée le", fiche.GetValueOrDefault("date_creation", "")],
+                    ["Dernière modification", fiche.GetValueOrDefault("date_modification", "")]
+                }
+            },
+            new
+            {
+                title = $"Passages ({passages.Count})",
+                table = new
+                {
+                    headers = new[] { "Date", "Prestations", "Produits achetés", "Total", "Paiement", "Note interne" },
+                    rows = passages.Select(p => new[]
+                    {
+                        p.GetValueOrDefault("date", ""),
+                        Noms(p.GetValueOrDefault("prestations_json", "")),
+                        Noms(p.GetValueOrDefault("produits_vendus_json", "")),
+                        $"{p.GetValueOrDefault("total", "")} €",
+                        p.GetValueOrDefault("mode_paiement", ""),
+                        p.GetValueOrDefault("note_interne", "")
+                    }),
+                    emptyText = "Aucun passage"
+                }
+            },
+            new
+            {
+                title = $"Cartes cadeaux et bons ({cartes.Count})",
+                table = new
+                {
+                    headers = new[] { "Type", "Montant", "Solde", "Créée le", "Expire le", "Origine" },
+                    rows = cartes.Select(c => new[]
+                    {
+                        c.GetValueOrDefault("type", ""),
+                        $"{c.GetValueOrDefault("montant_initial", "")} €",
+                        $"{c.GetValueOrDefault("solde_restant", "")} €",
+                        c.GetValueOrDefault("date_creation", ""),
+                        c.GetValueOrDefault("date_expiration", ""),
+                        c.GetValueOrDefault("origine", "")
+                    }),
+                    emptyText = "Aucune carte"
+                }
+            },
+            new
+            {
+                title = $"Factures et reçus ({factures.Count})",
+                table = new
+                {
+                    headers = new[] { "Numéro", "Type", "Émis le", "Total TTC" },
+                    rows = factures.Select(f => new[]
+                    {
+                        f.GetValueOrDefault("numero", ""),
+                        f.GetValueOrDefault("type", "") == "recu" ? "Reçu" : "Facture",
+                        f.GetValueOrDefault("date_emission", ""),
+                        $"{f.GetValueOrDefault("total_ttc", "")} €"
+                    }),
+                    emptyText = "Aucune facture"
+                }
+            },
+            new
+            {
+                title = $"Historique des modifications ({dossier.Journal.Count})",
+                table = new
+                {
+                    headers = new[] { "Date", "Opération", "Feuille", "Par" },
+                    rows = dossier.Journal.Select(e => new[]
+                    {
+                        e.Horodatage.ToLocalTime().ToString("dd/MM/yyyy HH:mm"),
+                        e.OperationLibelle,
+                        e.Feuille,
+                        e.Auteur
+                    }),
+                    emptyText = "Aucune modification enregistrée"
+                }
+            }
+        };
+
+        await _jsRuntime.InvokeAsync<bool>("printDocument.print", new
+        {
+            title = "Données personnelles détenues",
+            subtitle = $"Client {dossier.ClientGuid} — extrait du {dossier.DateExport.ToLocalTime():dd/MM/yyyy à HH:mm}",
+            sections,
+            footer = "Document établi en réponse à une demande d'accès (article 15 du RGPD). " +
+                     "Le détail complet est disponible au format JSON."
+        });
+    }
+
+    /// <summary>
+    /// Efface les données personnelles d'un client : la fiche est pseudonymisée, les notes
+    /// internes des passages et l'origine des cartes vidées (archives comprises) et le journal
+    /// expurgé. Dates, montants et paiements sont conservés pour la comptabilité, les factures
+    /// pour leur durée légale. Une preuve est enregistrée dans la feuille Effacements :
+    /// si son ajout échoue, Enregistree vaut false et EnregistrerPreuveAsync permet de réessayer.
+    /// </summary>
+    public async Task<PreuveEffacement> EffacerAsync(Client client)
+    {
+        var pseudonyme = new Client
+        {
+            Guid = client.Guid,
+            Nom = NomAnonyme,
+            Prenom = $"Client {client.Guid[..8]}",
+            DateCreation = client.DateCreation
+        };
+        pseudonyme.MettreAJourIntegrite();
+
+        RedactionRule[] regles =
+        [
+            new()
+            {
+                SheetName = "Clients",
+                Column = "guid",
+                Values = new()
+                {
+                    ["nom"] = pseudonyme.Nom,
+                    ["prenom"] = pseudonyme.Prenom,
+                    ["mois_anniversaire"] = "",
+                    ["numero_telephone"] = "",
+                    ["email"] = "",
+                    ["adresse"] = "",
+                    ["date_modification"] = pseudonyme.DateModification,
+                    ["hachage_integrite"] = pseudonyme.HachageIntegrite
+                }
+            },
+            // Le hachage d'un passage couvre sa note : il est vidé avec elle
+            new()
+            {
+                SheetName = "Passages",
+                Column = "client_guid",
+                Values = new() { ["note_interne"] = "", ["hachage_integrite"] = "" }
+            },
+            // Texte libre ("Cadeau Noël de Julie"...) : peut nommer le client ou un proche
+            new()
+            {
+                SheetName = "CartesCadeaux",
+                Column = "client_guid",
+                Values = new() { ["origine"] = "" }
+            }
+        ];
+
+        var report = await _sheets.RedactRowsAsync(client.Guid, regles);
+        if (!report.Success) throw new InvalidOperationException(report.Error ?? "Échec de l'effacement");
+
+        var preuve = new PreuveEffacement
+        {
+            Guid = System.Guid.NewGuid().ToString(),
+            ClientGuid = client.Guid,
+            Date = DateTime.UtcNow,
+            Utilisateur = _auth.CurrentUser?.Name ?? "",
+            Email = _auth.CurrentUser?.Email ?? "",
+            LignesModifiees = report.Sheets,
+            EntreesJournal = report.Journal,
+            DonneesConservees = DonneesConservees
+        };
+        preuve.HachageIntegrite = CalculerHachage(preuve, JsonSerializer.Serialize(preuve.LignesModifiees));
+
+        await _logger.SuccessAsync(LogCategory.APP, "Données personnelles effacées",
+            new { clientGuid = client.Guid, lignes = report.Sheets, journal = report.Journal });
+        await EnregistrerPreuveAsync(preuve);
+        return preuve;
+    }
+
+    /// <summary>
+    /// Ajoute la preuve d'effacement à la feuille Effacements. Appelé par EffacerAsync,
+    /// puis à nouveau par l'utilisateur si l'ajout a échoué. Retourne false en cas d'échec.
+    /// </summary>
+    public async Task<bool> EnregistrerPreuveAsync(PreuveEffacement preuve)
+    {
+        if (preuve.Enregistree) return true;
+        try
+        {
+            await _sheets.EnsureSheetAsync(SheetName, Headers);
+            preuve.Enregistree = await _sheets.AppendRowAsync(SheetName, Range,
+            [
+                preuve.Guid, preuve.ClientGuid, preuve.Date.ToString("o"), preuve.Utilisateur, preuve.Email,
+                JsonSerializer.Serialize(preuve.LignesModifiees), preuve.EntreesJournal.ToString(),
+                preuve.DonneesConservees, preuve.HachageIntegrite
+            ]);
+        }
+        catch (Exception ex)
+        {
+            await _logger.ErrorAsync(LogCategory.APP, "Erreur enregistrement de la preuve d'effacement",
+                new { clientGuid = preuve.ClientGuid, error = ex.Message });
+        }
+
+        if (!preuve.Enregistree)
+            await _logger.WarnAsync(LogCategory.APP, "Preuve d'effacement non enregistrée", new { clientGuid = preuve.ClientGuid });
+        return preuve.Enregistree;
+    }
+
+    /// <summary>Imprime l'attestation d'effacement.</summary>
+    public async Task ImprimerPreuveAsync(PreuveEffacement preuve)
+    {
+        await _jsRuntime.InvokeAsync<bool>("printDocument.print", new
+        {
+            title = "Attestation d'effacement des données personnelles",
+            subtitle = $"Référence {preuve.Guid}",
+            sections = new object[]
+            {
+                new
+                {
+                    title = "Effacement",
+                    fields = new string[][]
+                    {
+                        ["Client (identifiant)", preuve.ClientGuid],
+                        ["Date", preuve.Date.ToLocalTime().ToString("dd/MM/yyyy à HH:mm")],
+                        ["Réalisé par", string.IsNullOrEmpty(preuve.Utilisateur) ? preuve.Email : $"{preuve.Utilisateur} ({preuve.Email})"],
+                        ["Entrées du journal expurgées", preuve.EntreesJournal.ToString()],
+                        ["Empreinte", preuve.HachageIntegrite]
+                    }
+                },
+                new
+                {
+                    title = "Lignes modifiées",
+                    table = new
+                    {
+                        headers = new[] { "Feuille", "Lignes" },
+                        rows = preuve.LignesModifiees.Select(kv => new[] { kv.Key, kv.Value.ToString() }),
+                        emptyText = "Aucune ligne à modifier"
+                    }
+                },
+                new
+                {
+                    title = "Données effacées",
+                    text = "Nom, prénom, mois d'anniversaire, téléphone, email et adresse de la fiche client, " +
+                           "notes internes des passages, origine des cartes cadeaux, et ces mêmes valeurs " +
+                           "dans l'historique des modifications."
+                },
+                new
+                {
+                    title = "Données conservées",
+                    text = preuve.DonneesConservees
+                }
+            },
+            footer = "Attestation établie en réponse à une demande d'effacement (article 17 du RGPD)."
+        });
+    }
+
+    private static string CalculerHachage(PreuveEffacement preuve, string lignesJson)
+    {
+        var data = $"{preuve.Guid}|{preuve.ClientGuid}|{preuve.Date:o}|{preuve.Email}|{lignesJson}|" +
+                   $"{preuve.EntreesJournal}|{preuve.DonneesConservees}";
+        var bytes = SHA256.HashData(Encoding.UTF8.GetBytes(data));
+        return Convert.ToHexString(bytes)[..16];
+    }
+
+    // Noms des éléments d'une colonne JSON (prestations, produits)
+    private static string Noms(string json)
+    {
+        if (string.IsNullOrWhiteSpace(json)) return "";
+        try
+        {
+            using var doc = JsonDocument.Parse(json);
+            return string.Join(", ", doc.RootElement.EnumerateArray()
+                .Select(e => e.TryGetProperty("nom", out var nom) ? nom.GetString() : null)
+                .Where(n => !string.IsNullOrEmpty(n)));
+        }
+        catch (JsonException)
+        {
+            return json;
+        }
+    }
+}
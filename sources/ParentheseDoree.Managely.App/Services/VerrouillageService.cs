@@ -0,0 +1,111 @@
+using Microsoft.JSInterop;
+using ParentheseDoree.Managely.App.Models;
+
+namespace ParentheseDoree.Managely.App.Services;
+
+/// <summary>
+/// Verrouillage de l'écran après inactivité, pour les postes d'accueil partagés.
+/// L'application est floutée et un code PIN local est demandé ; le token Google est conservé.
+/// </summary>
+public sealed class VerrouillageService : IAsyncDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly BrowserLoggerService _logger;
+    private DotNetObjectReference<VerrouillageService>? _dotNetRef;
+
+    /// <summary>L'écran est verrouillé.</summary>
+    public bool EstVerrouille { get; private set; }
+
+    /// <summary>Déclenché à chaque verrouillage / déverrouillage (dans cet onglet ou un autre).</summary>
+    public event Action<bool>? OnVerrouillageChanged;
+
+    public VerrouillageService(IJSRuntime jsRuntime, BrowserLoggerService logger)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Enregistre (une fois) le callback de verrouillage et lit l'état courant.
+    /// </summary>
+    public async Task<ParametresVerrouillage> InitializeAsync()
+    {
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        var etat = await _jsRuntime.InvokeAsync<ParametresVerrouillage>(
+            "idleLock.registerCallback", _dotNetRef, nameof(OnLockChangedCallback));
+        EstVerrouille = etat.Locked;
+        return etat;
+    }
+
+    /// <summary>
+    /// Réglages du verrouillage sur cet appareil.
+    /// </summary>
+    public async Task<ParametresVerrouillage> GetParametresAsync() =>
+        await _jsRuntime.InvokeAsync<ParametresVerrouillage>("idleLock.getSettings");
+
+    /// <summary>
+    /// Enregistre le délai, l'option de verrouillage au masquage et, si fourni, un nouveau code PIN.
+    /// Retourne le message d'erreur, ou null.
+    /// </summary>
+    public async Task<string?> EnregistrerAsync(int delaiMinutes, bool verrouillerSurMasquage, string? pin = null)
+    {
+        var result = await _jsRuntime.InvokeAsync<OperationResultJs>("idleLock.saveSettings",
+            new { pin = string.IsNullOrEmpty(pin) ? null : pin, timeoutMinutes = delaiMinutes, lockOnHide = verrouillerSurMasquage });
+        return result.Success ? null : result.Error ?? "Enregistrement impossible";
+    }
+
+    /// <summary>
+    /// Supprime le code PIN : le verrouillage automatique est désactivé sur cet appareil.
+    /// </summary>
+    public async Task SupprimerPinAsync() => await _jsRuntime.InvokeVoidAsync("idleLock.clearPin");
+
+    /// <summary>
+    /// Verrouille immédiatement l'écran (sans effet si aucun PIN n'est défini).
+    /// </summary>
+    public async Task VerrouillerAsync() => await _jsRuntime.InvokeAsync<bool>("idleLock.lock", "manuel");
+
+    /// <summary>
+    /// Déverrouille avec le code PIN ; après trop d'échecs, la session Google est fermée.
+    /// </summary>
+    public async Task<ResultatDeverrouillage> DeverrouillerAsync(string pin)
+    {
+        var result = await _jsRuntime.InvokeAsync<ResultatDeverrouillage>("idleLock.unlock", pin);
+        if (result.SignedOut)
+            await _logger.WarnAsync(LogCategory.AUTH, "Déconnexion après échecs du code PIN");
+        return result;
+    }
+
+    /// <summary>
+    /// Callback appelé par JavaScript lors d'un verrouillage / déverrouillage.
+    /// </summary>
+    [JSInvokable]
+    public void OnLockChangedCallback(bool locked)
+    {
+        EstVerrouille = locked;
+        OnVerrouillageChanged?.Invoke(locked);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_dotNetRef == null) return;
+
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("idleLock.unregisterCallback");
+        }
+        catch
+        {
+            // Ignorer les erreurs lors du cleanup
+        }
+
+        _dotNetRef.Dispose();
+        _dotNetRef = null;
+    }
+
+    // Classe interne pour la désérialisation
+    private class OperationResultJs
+    {
+        public bool Success { get; set; }
+        public string? Error { get; set; }
+    }
+}
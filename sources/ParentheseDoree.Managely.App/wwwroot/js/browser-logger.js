@@ -45,6 +45,47 @@ const browserLogger = (() => {
         minLevel: LogLevel.DEBUG
     };
 
+    // Journal de diagnostic : tampon circulaire persisté dans IndexedDB
+    const BufferConfig = Object.freeze({
+        maxEntries: 500,
+        minLevel: LogLevel.INFO,
+        dbName: "managely_logs",
+        storeName: "entries",
+        flushDelayMs: 1000
+    });
+
+    // Clés masquées quelle que soit leur valeur (jetons, secrets)
+    const SECRET_KEY_PATTERN = /token|authorization|password|secret|passphrase|credential|^pin$|^key$/i;
+
+    // Clés contenant des données personnelles de clients
+    const PERSONAL_KEY_PATTERN = /^(nom|prenom|name|givenname|familyname|email|mail|numero_?telephone|telephone|phone|adresse|address|picture|note|note_?interne|values|currentvalues|user|login_hint)$/i;
+
+    // Motifs masqués dans le texte libre
+    const TEXT_REDACTIONS = [
+        [/Bearer\s+[\w.~+/=-]+/gi, "Bearer [REDACTED]"],
+        [/ya29\.[\w.-]+/g, "[REDACTED]"],
+        [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[REDACTED]"],
+        [/[\w.+-]+@[\w-]+\.[\w.-]+/g, "[EMAIL]"],
+        [/(?:\+33\s?|0)[1-9](?:[\s.-]?\d{2}){4}/g, "[TÉLÉPHONE]"]
+    ];
+
+    let buffer = [];
+    let pending = [];
+    let dbPromise = null;
+    let flushTimer = null;
+
+    // Capture des erreurs globales : une même erreur n'est enregistrée qu'une fois par
+    // fenêtre de dédoublonnage, et le nombre d'erreurs capturées par minute est plafonné
+    const CaptureConfig = Object.freeze({
+        dedupeWindowMs: 60000,
+        maxPerMinute: 10
+    });
+
+    const recentErrors = new Map();
+    let captureTimestamps = [];
+    let rateLimitNotified = false;
+    let writingError = false;
+
     // Récupérer le nom du niveau à partir de sa valeur
     const getLevelName = (level) => Object.keys(LogLevel).find(key => LogLevel[key] === level);
 
@@ -57,9 +98,187 @@ const browserLogger = (() => {
         }
     };
 
+    // Masquer les jetons et données personnelles d'un texte
+    const redactText = (text) =>
+        TEXT_REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+    // Copie des données sans secrets ni données personnelles, bornée en profondeur et en taille
+    const sanitize = (value, depth = 0) => {
+        if (value === null || value === undefined) return value;
+        if (typeof value === "string") return redactText(value.length > 500 ? `${value.slice(0, 500)}…` : value);
+        if (typeof value !== "object") return typeof value === "function" ? undefined : value;
+        if (value instanceof Error) {
+            return { name: value.name, message: redactText(value.message || ""), stack: redactText(value.stack || "") };
+        }
+        if (depth >= 5) return "[…]";
+        if (Array.isArray(value)) return value.slice(0, 50).map(item => sanitize(item, depth + 1));
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (SECRET_KEY_PATTERN.test(key)) result[key] = "[REDACTED]";
+            else if (PERSONAL_KEY_PATTERN.test(key)) result[key] = "[PII]";
+            else result[key] = sanitize(item, depth + 1);
+        }
+        return result;
+    };
+
+    // Ouvrir la base du journal (null si IndexedDB indisponible)
+    const openDb = () => {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === "undefined") {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(BufferConfig.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(BufferConfig.storeName, { keyPath: "id", autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+
+        return dbPromise;
+    };
+
+    // Exécuter une transaction sur le journal persisté
+    const withStore = async (mode, action) => {
+        const db = await openDb();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(BufferConfig.storeName, mode);
+            const request = action(tx.objectStore(BufferConfig.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    // Écrire les entrées en attente et supprimer les plus anciennes au-delà de la capacité
+    const flush = async () => {
+        await ready;
+        flushTimer = null;
+        if (pending.length === 0) return;
+
+        const entries = pending;
+        pending = [];
+        try {
+            await withStore("readwrite", store => {
+                let lastRequest = null;
+                for (const entry of entries) lastRequest = store.add(entry);
+                lastRequest.onsuccess = () => {
+                    const oldestKept = lastRequest.result - BufferConfig.maxEntries + 1;
+                    if (oldestKept > 0) store.delete(IDBKeyRange.upperBound(oldestKept, true));
+                };
+                return null;
+            });
+        } catch (error) {
+            console.warn("[Logger] Journal de diagnostic non persisté", error);
+        }
+    };
+
+    const scheduleFlush = () => {
+        if (!flushTimer) flushTimer = setTimeout(flush, BufferConfig.flushDelayMs);
+    };
+
+    // Ajouter une entrée au tampon circulaire
+    const record = (level, categoryName, message, data) => {
+        if (level < BufferConfig.minLevel) return;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: getLevelName(level) || "INFO",
+            category: categoryName,
+            message: redactText(message)
+        };
+        if (data !== undefined) entry.data = sanitize(data);
+
+        buffer.push(entry);
+        if (buffer.length > BufferConfig.maxEntries) buffer.splice(0, buffer.length - BufferConfig.maxEntries);
+        pending.push(entry);
+        scheduleFlush();
+    };
+
+    // Recharger le journal persisté ; les entrées de la session courante passent après
+    const restore = async () => {
+        try {
+            const saved = await withStore("readonly", store => store.getAll()) || [];
+            buffer = [...saved.map(({ id, ...entry }) => entry), ...buffer].slice(-BufferConfig.maxEntries);
+        } catch (error) {
+            console.warn("[Logger] Journal de diagnostic illisible", error);
+        }
+    };
+
+    const ready = restore();
+
+    // Lire les entrées du journal, filtrées par niveau minimum, catégorie, date, texte et nombre
+    const getEntries = (filter = {}) => {
+        const minLevel = typeof filter.level === "string" ? LogLevel[filter.level.toUpperCase()] : filter.level;
+        const since = filter.since ? new Date(filter.since).toISOString() : null;
+        const search = filter.search?.toLowerCase();
+
+        const entries = buffer.filter(entry =>
+            (minLevel == null || LogLevel[entry.level] >= minLevel) &&
+            (!filter.category || entry.category.toLowerCase() === filter.category.toLowerCase() ||
+                LogCategory[filter.category.toUpperCase()] === entry.category) &&
+            (!since || entry.timestamp >= since) &&
+            (!search || entry.message.toLowerCase().includes(search)));
+
+        return cloneDataSafe(filter.limit ? entries.slice(-filter.limit) : entries);
+    };
+
+    // Vider le journal (mémoire et IndexedDB)
+    const clear = async () => {
+        buffer = [];
+        pending = [];
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        await withStore("readwrite", store => store.clear()).catch(() => { });
+        return true;
+    };
+
+    const exportAsJson = async () => {
+        await ready;
+        return JSON.stringify({
+            application: "Managely",
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            route: location.pathname,
+            entries: buffer
+        }, null, 2);
+    };
+
+    const exportAsText = async () => {
+        await ready;
+        return buffer.map(entry => {
+            const data = entry.data !== undefined ? ` ${JSON.stringify(entry.data)}` : "";
+            return `${entry.timestamp} [${entry.level}] [${entry.category}] ${entry.message}${data}`;
+        }).join("\n");
+    };
+
+    // Télécharger le journal de diagnostic ("json" ou "text")
+    const downloadDiagnostics = async (format = "json") => {
+        const asText = format === "text";
+        const content = asText ? await exportAsText() : await exportAsJson();
+        const blob = new Blob([content], { type: asText ? "text/plain" : "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `managely-diagnostic-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.${asText ? "txt" : "json"}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    };
+
     // Fonction principale de log
     const log = (level, category, message, data) => {
-        if (typeof message !== "string" || level < LoggerConfig.minLevel) return;
+        if (typeof message !== "string") return;
+        record(level, LogCategory[category] || "App", message, data);
+        if (level < LoggerConfig.minLevel) return;
 
         const levelName = getLevelName(level) || "INFO";
         const categoryName = LogCategory[category] || "App";
@@ -74,7 +293,13 @@ const browserLogger = (() => {
 
             switch (level) {
                 case LogLevel.ERROR:
-                    console.error(safeData);
+                    // Ne pas recapturer nos propres erreurs via l'interception de console.error
+                    writingError = true;
+                    try {
+                        console.error(safeData);
+                    } finally {
+                        writingError = false;
+                    }
                     break;
                 case LogLevel.WARN:
                     console.warn(safeData);
@@ -92,6 +317,109 @@ const browserLogger = (() => {
         }
     };
 
+    // Contexte ajouté à chaque erreur capturée
+    const errorContext = () => ({
+        route: location.pathname + location.hash,
+        userId: window.googleAuthApi?.getCurrentUser?.()?.id ?? null
+    });
+
+    // Vérifier le dédoublonnage et la limite de débit avant d'enregistrer une erreur
+    const shouldCapture = (signature) => {
+        const now = Date.now();
+
+        for (const [key, seenAt] of recentErrors) {
+            if (now - seenAt >= CaptureConfig.dedupeWindowMs) recentErrors.delete(key);
+        }
+        if (recentErrors.has(signature)) return false;
+
+        captureTimestamps = captureTimestamps.filter(t => now - t < 60000);
+        if (captureTimestamps.length >= CaptureConfig.maxPerMinute) {
+            if (!rateLimitNotified) {
+                rateLimitNotified = true;
+                log(LogLevel.WARN, "APP", "Trop d'erreurs capturées, enregistrement suspendu une minute");
+            }
+            return false;
+        }
+
+        rateLimitNotified = false;
+        recentErrors.set(signature, now);
+        captureTimestamps.push(now);
+        return true;
+    };
+
+    // Enregistrer une erreur capturée sous forme d'entrée ERROR structurée
+    const captureError = (source, message, error, extra = {}) => {
+        const text = String(message || error?.message || "Erreur inconnue");
+        const stack = typeof error?.stack === "string" ? error.stack : null;
+        const signature = `${source}|${text}|${stack?.split("\n")[1]?.trim() ?? ""}`;
+        if (!shouldCapture(signature)) return;
+
+        log(LogLevel.ERROR, "APP", `Erreur non gérée (${source}) : ${text}`, {
+            source,
+            name: error?.name ?? null,
+            stack,
+            ...extra,
+            ...errorContext()
+        });
+    };
+
+    const describeArg = (arg) => {
+        if (arg instanceof Error) return arg.message;
+        if (typeof arg === "string") return arg;
+        try {
+            return JSON.stringify(arg);
+        } catch {
+            return String(arg);
+        }
+    };
+
+    // Installer window.onerror, unhandledrejection, l'interception de console.error
+    // et la surveillance du bandeau d'erreur Blazor
+    const installErrorCapture = () => {
+        const previousOnError = window.onerror;
+        window.onerror = (message, file, line, column, error) => {
+            captureError("window.onerror", error?.message || message, error, { file, line, column });
+            return typeof previousOnError === "function"
+                ? previousOnError(message, file, line, column, error)
+                : false;
+        };
+
+        window.addEventListener("unhandledrejection", (event) => {
+            const reason = event.reason;
+            captureError("unhandledrejection", reason?.message ?? describeArg(reason), reason);
+        });
+
+        const originalConsoleError = console.error.bind(console);
+        console.error = (...args) => {
+            originalConsoleError(...args);
+            if (writingError) return;
+            const error = args.find(arg => arg instanceof Error);
+            captureError("console.error", args.map(describeArg).join(" "), error);
+        };
+
+        const watchBlazorErrorUi = () => {
+            const element = document.getElementById("blazor-error-ui");
+            if (!element) return;
+
+            let visible = false;
+            new MutationObserver(() => {
+                const nowVisible = getComputedStyle(element).display !== "none";
+                if (nowVisible && !visible) {
+                    captureError("blazor-error-ui", "Le bandeau d'erreur Blazor est affiché", null);
+                }
+                visible = nowVisible;
+            }).observe(element, { attributes: true, attributeFilter: ["style", "class"] });
+        };
+
+        if (document.readyState === "loading") {
+            document.addEventListener("DOMContentLoaded", watchBlazorErrorUi);
+        } else {
+            watchBlazorErrorUi();
+        }
+    };
+
+    installErrorCapture();
+
     // Définir le niveau minimum de log
     const setMinLevel = (level) => {
         if (typeof level === 'number' && level >= 0 && level <= 4) {
@@ -106,7 +434,12 @@ const browserLogger = (() => {
         success: (category, message, data) => log(LogLevel.SUCCESS, category, message, data),
         warn: (category, message, data) => log(LogLevel.WARN, category, message, data),
         error: (category, message, data) => log(LogLevel.ERROR, category, message, data),
-        setMinLevel
+        setMinLevel,
+        getEntries,
+        clear,
+        exportAsJson,
+        exportAsText,
+        downloadDiagnostics
     });
 })();
 
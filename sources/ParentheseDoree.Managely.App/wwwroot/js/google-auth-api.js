@@ -17,11 +17,34 @@ const googleAuthApi = (() => {
     let currentUser = null;
     let tokenClient = null;
     let accessToken = null;
-    let userPermission = 'none'; // 'none', 'read', 'write'
+    let userPermission = 'none'; // 'none', 'read', 'comment', 'write', 'owner'
 
     // Callback Blazor
     let blazorCallback = null;
 
+    // Renouvellement silencieux du token
+    const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+    const REFRESH_TIMEOUT_MS = 30000;
+    let refreshTimer = null;
+    let refreshPromise = null;
+
+    // Session partagée entre onglets (voir tab-sync.js) : délai d'attente d'une réponse
+    const SESSION_REQUEST_TIMEOUT_MS = 500;
+    let tabsListening = false;
+    let sessionRequested = false;
+
+    // Session de démonstration du backend local (sans compte Google)
+    const LOCAL_USER = Object.freeze({
+        id: 'local-demo',
+        email: 'demo@managely.local',
+        name: 'Démo',
+        givenName: 'Démo',
+        familyName: '',
+        picture: '',
+        emailVerified: true
+    });
+    const LOCAL_SESSION_SECONDS = 12 * 60 * 60;
+
     // Clés de stockage session
     const STORAGE_KEYS = {
         ACCESS_TOKEN: 'managely_access_token',
@@ -48,6 +71,14 @@ const googleAuthApi = (() => {
     const logWarn = (msg, data) => log('warn', msg, data);
     const logError = (msg, data) => log('error', msg, data);
 
+    const isLocalMode = () => window.MANAGELY_CONFIG?.STORAGE_BACKEND === 'local';
+
+    const setGapiToken = (token) => {
+        if (typeof gapi !== 'undefined' && gapi.client) {
+            gapi.client.setToken(token);
+        }
+    };
+
     /**
      * Initialise l'API Google Auth
      */
@@ -67,6 +98,14 @@ const googleAuthApi = (() => {
         // Utiliser le spreadsheetId passé ou celui de la config globale
         config.spreadsheetId = spreadsheetId || window.MANAGELY_CONFIG?.SPREADSHEET_ID;
 
+        if (isLocalMode()) {
+            config.isInitialized = true;
+            logInfo("Backend local actif : authentification Google désactivée");
+            listenToOtherTabs();
+            await tryRestoreSession();
+            return true;
+        }
+
         try {
             await waitForGis();
             
@@ -85,6 +124,7 @@ const googleAuthApi = (() => {
             config.isInitialized = true;
             logSuccess("API initialisée avec succès");
             
+            listenToOtherTabs();
             await tryRestoreSession();
             
             return true;
@@ -162,16 +202,7 @@ const googleAuthApi = (() => {
             return;
         }
 
-        accessToken = response.access_token;
-        
-        // Configurer le token dans GAPI
-        if (gapi.client) {
-            gapi.client.setToken({ access_token: accessToken });
-        }
-
-        // Sauvegarder en session
-        sessionStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
-        sessionStorage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, Date.now() + (response.expires_in * 1000));
+        storeToken(response);
 
         // Récupérer les infos utilisateur
         await fetchUserInfo();
@@ -190,9 +221,146 @@ const googleAuthApi = (() => {
         sessionStorage.setItem(STORAGE_KEYS.PERMISSION, userPermission);
         
         logSuccess("Connexion réussie", { user: currentUser?.name, permission: userPermission });
+        // Une connexion Google complète vaut déverrouillage de l'écran
+        window.idleLock?.reset();
+        if (currentUser) shareSession('signin');
         notifyStateChange();
     };
 
+    /**
+     * Enregistre un nouveau token et planifie son renouvellement
+     */
+    const storeToken = (response) => {
+        accessToken = response.access_token;
+        
+        // Configurer le token dans GAPI
+        setGapiToken({ access_token: accessToken });
+
+        // Sauvegarder en session
+        sessionStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
+        sessionStorage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, Date.now() + (response.expires_in * 1000));
+
+        scheduleTokenRefresh();
+    };
+
+    const getTokenExpiry = () => parseInt(sessionStorage.getItem(STORAGE_KEYS.TOKEN_EXPIRY)) || 0;
+
+    /**
+     * Planifie le renouvellement silencieux quelques minutes avant l'expiration
+     */
+    const scheduleTokenRefresh = () => {
+        clearTimeout(refreshTimer);
+        const expiry = getTokenExpiry();
+        if (!expiry || isLocalMode()) return;
+
+        if (!isLeaderTab()) {
+            // Seul l'onglet leader renouvelle le token et le partage aux autres
+            refreshTimer = setTimeout(() => expireSession('expired'), Math.max(0, expiry - Date.now()));
+            return;
+        }
+
+        const delayMs = Math.max(0, expiry - Date.now() - REFRESH_MARGIN_MS);
+        refreshTimer = setTimeout(() => refreshAccessToken(), delayMs);
+        logDebug("Renouvellement du token planifié", { inSeconds: Math.round(delayMs / 1000) });
+    };
+
+    /**
+     * Renouvelle le token sans demander de consentement.
+     * tokenRejected indique que l'API a déjà refusé le token actuel (401).
+     * Résout avec true si un nouveau token a été obtenu.
+     */
+    const refreshAccessToken = (tokenRejected = false) => {
+        if (refreshPromise) return refreshPromise;
+        if (!config.isInitialized || !tokenClient || !accessToken) return Promise.resolve(false);
+        if (!isLeaderTab()) {
+            refreshPromise = requestRefreshFromLeader(tokenRejected).finally(() => {
+                refreshPromise = null;
+            });
+            return refreshPromise;
+        }
+        return refreshOwnToken(tokenRejected);
+    };
+
+    const refreshOwnToken = (tokenRejected) => {
+
+        refreshPromise = new Promise((resolve) => {
+            const originalCallback = tokenClient.callback;
+            const originalErrorCallback = tokenClient.error_callback;
+            let timeoutId = null;
+
+            const finish = (success, reason) => {
+                clearTimeout(timeoutId);
+                tokenClient.callback = originalCallback;
+                tokenClient.error_callback = originalErrorCallback;
+                if (!success) handleRefreshFailure(reason, tokenRejected);
+                resolve(success);
+            };
+
+            tokenClient.callback = (response) => {
+                if (response.error) {
+                    finish(false, response.error);
+                    return;
+                }
+                storeToken(response);
+                logSuccess("Token renouvelé");
+                shareSession('refresh');
+                finish(true);
+            };
+
+            tokenClient.error_callback = (error) => finish(false, error?.type);
+
+            try {
+                logInfo("Renouvellement silencieux du token...");
+                tokenClient.requestAccessToken({ prompt: '', login_hint: currentUser?.email });
+                timeoutId = setTimeout(() => finish(false, 'timeout'), REFRESH_TIMEOUT_MS);
+            } catch (error) {
+                finish(false, error.message);
+            }
+        }).finally(() => {
+            refreshPromise = null;
+        });
+
+        return refreshPromise;
+    };
+
+    /**
+     * Le token reste utilisable jusqu'à son expiration : la reconnexion
+     * n'est demandée qu'une fois celui-ci réellement expiré.
+     */
+    const handleRefreshFailure = (reason, tokenRejected) => {
+        const remainingMs = getTokenExpiry() - Date.now();
+        clearTimeout(refreshTimer);
+
+        if (remainingMs > 0 && !tokenRejected) {
+            logWarn("Renouvellement silencieux impossible", { reason, expiresInSeconds: Math.round(remainingMs / 1000) });
+            refreshTimer = setTimeout(expireSession, remainingMs);
+        } else {
+            expireSession(reason);
+        }
+    };
+
+    /**
+     * Termine une session dont le token a expiré (reconnexion requise)
+     */
+    const expireSession = (reason) => {
+        logWarn("Session expirée, reconnexion requise", { reason });
+        clearSession();
+        notifyStateChange();
+    };
+
+    const clearSession = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+        accessToken = null;
+        currentUser = null;
+        userPermission = 'none';
+
+        setGapiToken(null);
+
+        // Nettoyer le sessionStorage
+        Object.values(STORAGE_KEYS).forEach(key => sessionStorage.removeItem(key));
+    };
+
     const handleTokenError = (error) => {
         logError("Erreur OAuth", { type: error?.type, message: error?.message });
         currentUser = null;
@@ -232,64 +400,120 @@ const googleAuthApi = (() => {
     };
 
     /**
-     * Vérifie les permissions sur le spreadsheet
+     * Vérifie les permissions sur le spreadsheet sans rien y écrire.
+     * Niveaux : 'none', 'read', 'comment', 'write', 'owner'.
      */
     const checkFilePermission = async () => {
-        if (!config.spreadsheetId || !gapi.client || !gapi.client.sheets) {
+        if (!config.spreadsheetId || !accessToken) {
             userPermission = 'none';
             return userPermission;
         }
 
         try {
             logInfo("Vérification des permissions...");
-            
-            // Tenter une lecture
-            const readResponse = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: config.spreadsheetId
-            });
-
-            if (!readResponse || readResponse.status !== 200) {
-                logWarn("Pas d'accès au fichier");
-                userPermission = 'none';
-                return userPermission;
-            }
 
-            // Tenter une écriture fictive pour vérifier les droits d'écriture
-            try {
-                const testRange = 'Clients!A1';
-                const getResponse = await gapi.client.sheets.spreadsheets.values.get({
-                    spreadsheetId: config.spreadsheetId,
-                    range: testRange
-                });
+            const file = await fetchDriveCapabilities();
+            userPermission = file
+                ? permissionFromCapabilities(file)
+                : await permissionFromWriteProbe();
 
-                const currentValue = getResponse.result.values ? getResponse.result.values[0][0] : '';
-                
-                await gapi.client.sheets.spreadsheets.values.update({
-                    spreadsheetId: config.spreadsheetId,
-                    range: testRange,
-                    valueInputOption: 'RAW',
-                    resource: { values: [[currentValue]] }
-                });
-
-                logSuccess("Permission: Lecture/Écriture");
-                userPermission = 'write';
-            } catch (writeError) {
-                logInfo("Permission: Lecture seule");
-                userPermission = 'read';
+            if (userPermission === 'none') {
+                logWarn("Pas d'accès au fichier");
+            } else {
+                logSuccess(`Permission: ${userPermission}`);
             }
         } catch (error) {
             if (error.status === 403 || error.status === 404) {
                 logError("Accès refusé au fichier", { status: error.status });
-                userPermission = 'none';
             } else {
                 logError("Erreur vérification permissions", { message: error.message });
-                userPermission = 'none';
             }
+            userPermission = 'none';
         }
 
         return userPermission;
     };
 
+    /**
+     * Capacités du fichier selon l'API Drive, ou null si elles ne sont pas consultables
+     * (scope Drive non accordé à une session antérieure, API indisponible).
+     */
+    const fetchDriveCapabilities = async () => {
+        const fields = 'ownedByMe,driveId,capabilities(canEdit,canComment,canShare)';
+        const url = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(config.spreadsheetId)}` +
+            `?fields=${encodeURIComponent(fields)}&supportsAllDrives=true`;
+
+        try {
+            const response = await fetch(url, {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+
+            // Drive répond 404 lorsque le fichier n'est pas partagé avec l'utilisateur
+            if (response.status === 404) return { inaccessible: true };
+            if (!response.ok) {
+                logWarn("Capacités Drive indisponibles", { status: response.status });
+                return null;
+            }
+            return await response.json();
+        } catch (error) {
+            logWarn("Capacités Drive indisponibles", { message: error.message });
+            return null;
+        }
+    };
+
+    /**
+     * Sur un drive partagé, le fichier n'appartient à personne (ownedByMe toujours faux) :
+     * le gestionnaire du fichier est celui qui peut le partager.
+     */
+    const permissionFromCapabilities = (file) => {
+        if (file.inaccessible) return 'none';
+        if (file.ownedByMe) return 'owner';
+        if (file.driveId && file.capabilities?.canEdit && file.capabilities?.canShare) return 'owner';
+        if (file.capabilities?.canEdit) return 'write';
+        if (file.capabilities?.canComment) return 'comment';
+        return 'read';
+    };
+
+    /**
+     * Repli sans Drive : le titre du classeur est réécrit à l'identique, requête valide qui ne
+     * change rien. Acceptée pour un éditeur, refusée (403) pour un lecteur ; toute autre réponse
+     * (400...) ne prouve pas le droit d'écriture et donne la lecture seule.
+     * Le propriétaire n'est pas distinguable ici.
+     */
+    const permissionFromWriteProbe = async () => {
+        if (!gapi.client || !gapi.client.sheets) return 'none';
+
+        let title;
+        try {
+            const spreadsheet = await gapi.client.sheets.spreadsheets.get({
+                spreadsheetId: config.spreadsheetId,
+                fields: 'properties.title'
+            });
+            title = spreadsheet.result.properties.title;
+        } catch (error) {
+            if (error.status === 403 || error.status === 404) return 'none';
+            throw error;
+        }
+
+        try {
+            await gapi.client.sheets.spreadsheets.batchUpdate({
+                spreadsheetId: config.spreadsheetId,
+                resource: {
+                    requests: [{
+                        updateSpreadsheetProperties: {
+                            properties: { title },
+                            fields: 'title'
+                        }
+                    }]
+                }
+            });
+            return 'write';
+        } catch (error) {
+            if (error.status === 400 || error.status === 403) return 'read';
+            throw error;
+        }
+    };
+
     const tryRestoreSession = async () => {
         const savedToken = sessionStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
         const tokenExpiry = sessionStorage.getItem(STORAGE_KEYS.TOKEN_EXPIRY);
@@ -298,11 +522,8 @@ const googleAuthApi = (() => {
 
         if (savedToken && tokenExpiry && parseInt(tokenExpiry) > Date.now()) {
             accessToken = savedToken;
-            
-            if (gapi.client) {
-                gapi.client.setToken({ access_token: accessToken });
-            }
-            
+            setGapiToken({ access_token: accessToken });
+
             if (savedUser) {
                 currentUser = JSON.parse(savedUser);
             } else {
@@ -310,6 +531,7 @@ const googleAuthApi = (() => {
             }
             
             userPermission = savedPermission || 'none';
+            scheduleTokenRefresh();
             
             // Initialiser l'API Sheets si le token est restauré
             if (config.spreadsheetId && window.googleSheetsApi) {
@@ -318,13 +540,153 @@ const googleAuthApi = (() => {
             
             logInfo("Session restaurée", { user: currentUser?.name, permission: userPermission });
             notifyStateChange();
+        } else {
+            await requestSessionFromTabs();
+        }
+    };
+
+    const isLeaderTab = () => !window.tabSync || window.tabSync.isLeader();
+
+    /**
+     * Diffuse la session courante (token, utilisateur, permission) aux autres onglets.
+     * reason : 'signin', 'refresh' ou 'reply' (réponse à une demande de session)
+     */
+    const shareSession = (reason) => {
+        if (!accessToken || !currentUser) return;
+        window.tabSync?.publish('auth-session', {
+            reason,
+            accessToken,
+            expiresAt: getTokenExpiry(),
+            user: currentUser,
+            permission: userPermission
+        });
+    };
+
+    /**
+     * Reprend une session reçue d'un autre onglet : connexion, token renouvelé
+     * ou changement de permission.
+     */
+    const adoptSession = async (session) => {
+        if (!config.isInitialized || !session?.accessToken || !(session.expiresAt > Date.now())) return;
+        // Une réponse tardive ne doit pas reconnecter un onglet qui ne l'a pas demandée
+        if (!isSignedIn() && session.reason !== 'signin' && !sessionRequested) return;
+
+        const changed = accessToken !== session.accessToken
+            || userPermission !== session.permission
+            || currentUser?.id !== session.user?.id;
+        if (!changed) return;
+
+        const wasSignedIn = isSignedIn();
+        accessToken = session.accessToken;
+        currentUser = session.user;
+        userPermission = session.permission || 'none';
+        setGapiToken({ access_token: accessToken });
+
+        sessionStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
+        sessionStorage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, session.expiresAt);
+        sessionStorage.setItem(STORAGE_KEYS.USER_INFO, JSON.stringify(currentUser));
+        sessionStorage.setItem(STORAGE_KEYS.PERMISSION, userPermission);
+        scheduleTokenRefresh();
+
+        if (!wasSignedIn && config.spreadsheetId && window.googleSheetsApi) {
+            await window.googleSheetsApi.initialize(config.spreadsheetId);
+        }
+
+        logInfo("Session reçue d'un autre onglet", { user: currentUser?.name, permission: userPermission });
+        notifyStateChange();
+    };
+
+    /**
+     * Au démarrage sans session, demande celle d'un onglet déjà connecté.
+     * Résout avec true si une session a été reçue.
+     */
+    const requestSessionFromTabs = () => new Promise((resolve) => {
+        if (!window.tabSync) {
+            resolve(false);
+            return;
         }
+
+        sessionRequested = true;
+        const timeoutId = setTimeout(() => {
+            sessionRequested = false;
+            unsubscribe();
+            resolve(false);
+        }, SESSION_REQUEST_TIMEOUT_MS);
+
+        const unsubscribe = window.tabSync.subscribe('auth-session', () => {
+            sessionRequested = false;
+            clearTimeout(timeoutId);
+            unsubscribe();
+            resolve(true);
+        });
+
+        window.tabSync.publish('auth-request');
+    });
+
+    /**
+     * Un onglet non leader demande le renouvellement au leader et attend le nouveau token.
+     * Sans réponse, il le renouvelle lui-même.
+     */
+    const requestRefreshFromLeader = (tokenRejected) => new Promise((resolve) => {
+        const previousToken = accessToken;
+
+        const timeoutId = setTimeout(() => {
+            unsubscribe();
+            logWarn("Pas de réponse de l'onglet leader, renouvellement local");
+            refreshOwnToken(tokenRejected).then(resolve);
+        }, REFRESH_TIMEOUT_MS);
+
+        const unsubscribe = window.tabSync.subscribe('auth-session', (session) => {
+            if (!session?.accessToken || session.accessToken === previousToken) return;
+            clearTimeout(timeoutId);
+            unsubscribe();
+            resolve(true);
+        });
+
+        logInfo("Renouvellement du token demandé à l'onglet leader");
+        window.tabSync.publish('auth-refresh-request', { tokenRejected, expiresAt: getTokenExpiry() });
+    });
+
+    const listenToOtherTabs = () => {
+        if (tabsListening || !window.tabSync) return;
+        tabsListening = true;
+
+        window.tabSync.subscribe('auth-session', (session) => {
+            adoptSession(session).catch(error =>
+                logError("Erreur reprise de session", { message: error.message }));
+        });
+
+        window.tabSync.subscribe('auth-request', () => shareSession('reply'));
+
+        window.tabSync.subscribe('auth-refresh-request', (request) => {
+            if (!isLeaderTab() || !isSignedIn()) return;
+            // Le demandeur a peut-être manqué un renouvellement déjà effectué
+            if (getTokenExpiry() > (request?.expiresAt || 0)) {
+                shareSession('refresh');
+            } else {
+                refreshAccessToken(request?.tokenRejected);
+            }
+        });
+
+        window.tabSync.subscribe('auth-signout', () => {
+            if (!accessToken && !currentUser) return;
+            clearSession();
+            window.googleSheetsApi?.stopChangeWatch();
+            logInfo("Déconnexion effectuée depuis un autre onglet");
+            notifyStateChange();
+        });
+
+        window.tabSync.onLeaderChange(() => {
+            if (accessToken) scheduleTokenRefresh();
+        });
     };
 
     /**
      * Déclenche la connexion Google et vérifie les permissions
      */
     const signIn = () => {
+        if (isLocalMode()) return signInLocal();
+
         return new Promise((resolve, reject) => {
             if (!config.isInitialized || !tokenClient) {
                 reject(new Error("API non initialisée"));
@@ -391,23 +753,40 @@ const googleAuthApi = (() => {
         });
     };
 
+    /**
+     * Ouvre une session de démonstration sur le backend local (droits propriétaire)
+     */
+    const signInLocal = async () => {
+        if (!config.isInitialized) throw new Error("API non initialisée");
+
+        storeToken({ access_token: 'local', expires_in: LOCAL_SESSION_SECONDS });
+        currentUser = { ...LOCAL_USER };
+        userPermission = 'owner';
+        sessionStorage.setItem(STORAGE_KEYS.USER_INFO, JSON.stringify(currentUser));
+        sessionStorage.setItem(STORAGE_KEYS.PERMISSION, userPermission);
+
+        if (window.googleSheetsApi) {
+            await window.googleSheetsApi.initialize(config.spreadsheetId || 'local');
+        }
+
+        logSuccess("Connexion de démonstration", { user: currentUser.name, permission: userPermission });
+        window.idleLock?.reset();
+        shareSession('signin');
+        notifyStateChange();
+        return { success: true, user: currentUser, permission: userPermission };
+    };
+
     const signOut = () => {
-        if (accessToken) {
+        if (accessToken && !isLocalMode()) {
             google.accounts.oauth2.revoke(accessToken, () => {
                 logInfo("Token révoqué");
             });
         }
 
-        accessToken = null;
-        currentUser = null;
-        userPermission = 'none';
-        
-        if (gapi.client) {
-            gapi.client.setToken(null);
-        }
-        
-        // Nettoyer le sessionStorage
-        Object.values(STORAGE_KEYS).forEach(key => sessionStorage.removeItem(key));
+        clearSession();
+        window.googleSheetsApi?.stopChangeWatch();
+        window.idleLock?.reset();
+        window.tabSync?.publish('auth-signout');
 
         logInfo("Déconnexion effectuée");
         notifyStateChange();
@@ -449,6 +828,7 @@ const googleAuthApi = (() => {
         getCurrentUser,
         isSignedIn,
         getAccessToken,
+        refreshAccessToken,
         getPermission,
         registerStateCallback,
         unregisterStateCallback
@@ -23,6 +23,7 @@ const googleSheetsApi = (() => {
 
     const logInfo = (msg, data) => log('info', msg, data);
     const logSuccess = (msg, data) => log('success', msg, data);
+    const logWarn = (msg, data) => log('warn', msg, data);
     const logError = (msg, data) => log('error', msg, data);
 
     const waitForGapiSheets = () => {
@@ -51,6 +52,45 @@ const googleSheetsApi = (() => {
         return false;
     };
 
+    // =========================================================================
+    // BACKENDS DE STOCKAGE
+    // =========================================================================
+
+    /**
+     * Backend Google Sheets. Un backend expose :
+     * - remote : true si les données transitent par le réseau
+     * - initialize(spreadsheetId) : chargement initial
+     * - prepare() : vérifications avant chaque opération
+     * - request(method, params) : méthode de l'API Sheets v4 (ex : 'values.get'),
+     *   résout avec une réponse au format gapi ({ status, result })
+     * - reload() (facultatif) : oublie les données gardées en mémoire
+     */
+    const sheetsBackend = Object.freeze({
+        remote: true,
+        initialize: async () => {
+            await waitForGapiClient();
+            if (!gapi.client.sheets) {
+                await gapi.client.load('sheets', 'v4');
+            }
+            await waitForGapiSheets();
+        },
+        prepare: async () => {
+            await waitForGapiSheets();
+            if (!setAccessToken()) throw new Error("Token non disponible");
+        },
+        request: (method, params) => callSheets(method, params)
+    });
+
+    /**
+     * Backend sélectionné par window.MANAGELY_CONFIG.STORAGE_BACKEND ('sheets' par défaut, 'local').
+     */
+    const getBackend = () =>
+        window.MANAGELY_CONFIG?.STORAGE_BACKEND === 'local' && window.localSheetsBackend
+            ? window.localSheetsBackend
+            : sheetsBackend;
+
+    const request = (method, params) => getBackend().request(method, params);
+
     const initialize = async (spreadsheetId) => {
         if (config.isInitialized && config.spreadsheetId === spreadsheetId) return true;
         if (initPromise) return initPromise;
@@ -60,11 +100,7 @@ const googleSheetsApi = (() => {
         initPromise = (async () => {
             try {
                 logInfo("Initialisation API Sheets...");
-                await waitForGapiClient();
-                if (!gapi.client.sheets) {
-                    await gapi.client.load('sheets', 'v4');
-                }
-                await waitForGapiSheets();
+                await getBackend().initialize(spreadsheetId);
                 config.isInitialized = true;
                 logSuccess("API Sheets initialisée");
                 return true;
@@ -90,7 +126,7 @@ const googleSheetsApi = (() => {
         });
     };
 
-    const ensureReady = async () => {
+    const ensureConnected = async () => {
         if (!config.isInitialized) {
             if (!config.spreadsheetId && window.MANAGELY_CONFIG?.SPREADSHEET_ID) {
                 config.spreadsheetId = window.MANAGELY_CONFIG.SPREADSHEET_ID;
@@ -99,11 +135,324 @@ const googleSheetsApi = (() => {
             const success = await initialize(config.spreadsheetId);
             if (!success) throw new Error("Init Sheets échouée");
         }
-        await waitForGapiSheets();
-        if (!setAccessToken()) throw new Error("Token non disponible");
+        await getBackend().prepare();
+    };
+
+    /**
+     * Prépare une opération : connexion, migrations du schéma (une fois par classeur)
+     * et synchronisation des écritures en attente.
+     */
+    const ensureReady = async () => {
+        await ensureConnected();
+        await ensureMigrated();
+        scheduleFlush();
+        startChangeWatch();
+        return true;
+    };
+
+    // =========================================================================
+    // REQUÊTES API (RÉESSAIS & QUOTA)
+    // =========================================================================
+
+    const RETRY = Object.freeze({
+        maxAttempts: 5,
+        baseDelayMs: 500,
+        maxDelayMs: 32000
+    });
+
+    // Quota Sheets API : 60 requêtes par minute et par utilisateur
+    const QUOTA = Object.freeze({
+        maxRequests: 60,
+        windowMs: 60000
+    });
+
+    // Méthodes rejouables sans risque de doublon
+    const IDEMPOTENT_METHODS = new Set(['get', 'values.get', 'values.batchGet', 'values.update']);
+
+    const TRANSIENT_STATUSES = new Set([500, 502, 503, 504]);
+
+    const requestStats = { requests: 0, retries: 0, throttled: 0, failures: 0 };
+    const requestTimestamps = [];
+    let quotaChain = Promise.resolve();
+
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Attend qu'un créneau soit disponible dans la fenêtre de quota.
+     * Les appels sont sérialisés pour lisser les rafales.
+     */
+    const acquireQuotaSlot = () => {
+        const slot = quotaChain.then(async () => {
+            const now = Date.now();
+            while (requestTimestamps.length && now - requestTimestamps[0] >= QUOTA.windowMs) {
+                requestTimestamps.shift();
+            }
+            if (requestTimestamps.length >= QUOTA.maxRequests) {
+                const waitMs = QUOTA.windowMs - (now - requestTimestamps[0]);
+                requestStats.throttled++;
+                logWarn(`Quota atteint, requête différée de ${Math.ceil(waitMs / 1000)}s`);
+                await delay(waitMs);
+                requestTimestamps.shift();
+            }
+            requestTimestamps.push(Date.now());
+        });
+        quotaChain = slot.catch(() => { });
+        return slot;
+    };
+
+    /**
+     * Délai avant réessai : Retry-After s'il est fourni, sinon backoff exponentiel avec jitter.
+     */
+    const retryDelayMs = (error, attempt) => {
+        const retryAfter = error?.headers?.['retry-after'] ?? error?.headers?.['Retry-After'];
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (ms > 0) return Math.min(ms, RETRY.maxDelayMs);
+        }
+        const ceiling = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    };
+
+    /**
+     * Une réponse 429 n'a pas été appliquée : elle peut toujours être rejouée.
+     * Les erreurs 5xx ne sont rejouées que pour les méthodes idempotentes.
+     */
+    const isRetryable = (method, error) => {
+        const status = error?.status ?? error?.result?.error?.code;
+        if (status === 429) return true;
+        return TRANSIENT_STATUSES.has(status) && IDEMPOTENT_METHODS.has(method);
+    };
+
+    /**
+     * Appelle une méthode de gapi.client.sheets.spreadsheets (ex : 'values.get')
+     * en respectant le quota et en réessayant les erreurs transitoires.
+     */
+    const callSheets = async (method, params) => {
+        const path = method.split('.');
+        const name = path.pop();
+        const owner = path.reduce((target, key) => target[key], gapi.client.sheets.spreadsheets);
+
+        let tokenRefreshed = false;
+
+        for (let attempt = 1; ; attempt++) {
+            await acquireQuotaSlot();
+            requestStats.requests++;
+            try {
+                const response = await owner[name](params);
+                if (attempt > 1) logInfo(`${method} réussi après ${attempt} tentatives`);
+                return response;
+            } catch (error) {
+                // Token expiré : renouveler une seule fois puis rejouer
+                if (error?.status === 401 && !tokenRefreshed && window.googleAuthApi?.refreshAccessToken) {
+                    tokenRefreshed = true;
+                    logWarn(`${method} : token refusé, renouvellement...`);
+                    if (await window.googleAuthApi.refreshAccessToken(true) && setAccessToken()) continue;
+                    throw error;
+                }
+                if (attempt >= RETRY.maxAttempts || !isRetryable(method, error)) {
+                    if (attempt > 1) {
+                        requestStats.failures++;
+                        logError(`${method} abandonné après ${attempt} tentatives`, { status: error?.status });
+                    }
+                    throw error;
+                }
+                const waitMs = retryDelayMs(error, attempt);
+                requestStats.retries++;
+                logWarn(`${method} : erreur ${error?.status}, nouvel essai ${attempt + 1}/${RETRY.maxAttempts} dans ${waitMs}ms`,
+                    { retries: requestStats.retries });
+                await delay(waitMs);
+            }
+        }
+    };
+
+    /**
+     * Compteurs des requêtes, réessais et mises en attente de quota depuis le chargement.
+     */
+    const getRequestStats = () => ({ ...requestStats });
+
+    // =========================================================================
+    // MODE HORS-LIGNE
+    // =========================================================================
+
+    let flushPromise = null;
+
+    const isOffline = () =>
+        getBackend().remote && typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    /**
+     * Erreur due au réseau (et non à la requête elle-même) : navigateur hors-ligne, ou requête
+     * rejetée par le transport de gapi (statut 0 / -1). Une autre exception, TypeError comprise,
+     * est une erreur de programmation : elle ne doit pas bloquer la file d'attente.
+     */
+    const isNetworkError = (error) =>
+        isOffline() || error?.status === 0 || error?.status === -1 || error?.result?.error?.code === -1;
+
+    // Le miroir ne concerne que les données distantes
+    const hasOfflineStore = () => getBackend().remote && !!window.offlineStore?.isAvailable();
+
+    /**
+     * Met une écriture en file d'attente pour la rejouer une fois la connexion revenue.
+     */
+    const enqueueWrite = async (entry) => {
+        if (!hasOfflineStore()) {
+            return { success: false, error: "Connexion indisponible" };
+        }
+        try {
+            await window.offlineStore.enqueue(entry);
+            logWarn(`Écriture ${entry.type} ${entry.sheetName} mise en attente (hors-ligne)`);
+            return { success: true, queued: true };
+        } catch (error) {
+            logError("Erreur mise en attente", { message: error.message || error });
+            return { success: false, error: error.message };
+        }
+    };
+
+    /**
+     * Rejoue les écritures en attente, dans l'ordre. S'arrête à la première erreur réseau.
+     * Une écriture refusée (conflit, ligne introuvable...) reste dans la file, marquée en échec :
+     * elle ne bloque plus les suivantes et attend que l'utilisateur la rejoue ou l'abandonne.
+     */
+    const flushOutbox = () => {
+        if (flushPromise) return flushPromise;
+        if (!hasOfflineStore() || isOffline()) return Promise.resolve(0);
+
+        flushPromise = (async () => {
+            let replayed = 0;
+            let interrupted = false;
+            const replayedSheets = [];
+            try {
+                await ensureReady();
+
+                // Relire la file tant que de nouvelles écritures y arrivent
+                let queue = await getPendingQueue();
+                while (queue.length > 0 && !interrupted) {
+                    for (const entry of queue) {
+                        try {
+                            const changes = await sendWrite(entry);
+                            await appendJournal(entry, changes);
+                            replayed++;
+                            replayedSheets.push(...writtenSheets(entry));
+                        } catch (error) {
+                            if (isNetworkError(error)) {
+                                interrupted = true;
+                                break;
+                            }
+                            await markWriteFailed(entry, error);
+                            continue;
+                        }
+                        await window.offlineStore.dequeue(entry.id);
+                    }
+                    if (!interrupted) queue = await getPendingQueue();
+                }
+                if (replayed > 0) {
+                    logSuccess(`${replayed} écriture(s) en attente synchronisée(s)`);
+                    announceWrite(replayedSheets);
+                }
+            } catch (error) {
+                logError("Erreur synchronisation hors-ligne", { message: error.message || error });
+            } finally {
+                flushPromise = null;
+            }
+            return replayed;
+        })();
+
+        return flushPromise;
+    };
+
+    // Écritures à rejouer, hors celles en échec
+    const getPendingQueue = async () =>
+        (await window.offlineStore.getQueue()).filter(entry => !entry.failed);
+
+    const markWriteFailed = async (entry, error) => {
+        const message = error?.message || error?.result?.error?.message || String(error);
+        logError(`Écriture en attente refusée (${entry.type} ${entry.sheetName ?? 'lot'})`, { message });
+        await window.offlineStore.updateEntry({
+            ...entry,
+            failed: {
+                conflict: !!error?.conflict,
+                notFound: !!error?.notFound,
+                message,
+                at: new Date().toISOString()
+            }
+        });
+    };
+
+    const scheduleFlush = () => {
+        if (!hasOfflineStore() || flushPromise || isOffline()) return;
+        getPendingQueue().then(queue => {
+            if (queue.length > 0) flushOutbox();
+        });
+    };
+
+    /**
+     * Nombre d'écritures encore en attente de synchronisation (hors écritures en échec).
+     */
+    const getPendingWriteCount = async () => {
+        if (!hasOfflineStore()) return 0;
+        return (await getPendingQueue()).length;
+    };
+
+    /**
+     * Écritures hors-ligne refusées au moment de la synchronisation, à résoudre par l'utilisateur.
+     */
+    const getFailedWrites = async () => {
+        if (!hasOfflineStore()) return [];
+        return (await window.offlineStore.getQueue())
+            .filter(entry => entry.failed)
+            .map(entry => ({
+                id: entry.id,
+                type: entry.type,
+                sheets: [...new Set(writtenSheets(entry))],
+                guid: entry.guid ?? null,
+                queuedAt: new Date(entry.queuedAt).toISOString(),
+                conflict: entry.failed.conflict,
+                notFound: entry.failed.notFound,
+                error: entry.failed.message,
+                failedAt: entry.failed.at
+            }));
+    };
+
+    const findFailedWrite = async (id) => {
+        const entry = (await window.offlineStore.getQueue()).find(e => e.id === id && e.failed);
+        if (!entry) throw new Error("Écriture en échec introuvable");
+        return entry;
+    };
+
+    /**
+     * Rejoue une écriture en échec. Avec { force: true }, le hachage attendu est retiré :
+     * la version locale remplace celle du classeur en cas de conflit.
+     */
+    const retryFailedWrite = async (id, { force = false } = {}) => {
+        const { failed, ...entry } = await findFailedWrite(id);
+        if (force) {
+            delete entry.expectedHash;
+            if (entry.operations) {
+                entry.operations = entry.operations.map(({ expectedHash, ...operation }) => operation);
+            }
+        }
+        await window.offlineStore.updateEntry(entry);
+        logInfo(`Écriture en échec rejouée${force ? ' (forcée)' : ''}`, { id, previous: failed.message });
+        return flushOutbox();
+    };
+
+    /**
+     * Abandonne une écriture en échec : elle est retirée de la file sans être appliquée.
+     */
+    const discardFailedWrite = async (id) => {
+        const entry = await findFailedWrite(id);
+        await window.offlineStore.dequeue(id);
+        logWarn(`Écriture en échec abandonnée (${entry.type} ${entry.sheetName ?? 'lot'})`, { id });
         return true;
     };
 
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => {
+            logInfo("Connexion rétablie");
+            ensureReady().catch(() => { });
+        });
+    }
+
     // =========================================================================
     // GESTION DES FEUILLES
     // =========================================================================
@@ -112,9 +461,10 @@ const googleSheetsApi = (() => {
      * S'assure qu'une feuille existe et a les bons en-têtes.
      */
     const ensureSheet = async (sheetName, headers) => {
+        if (isOffline()) return;
         await ensureReady();
         try {
-            const spreadsheet = await gapi.client.sheets.spreadsheets.get({
+            const spreadsheet = await request('get', {
                 spreadsheetId: config.spreadsheetId
             });
 
@@ -124,7 +474,7 @@ const googleSheetsApi = (() => {
 
             if (!exists) {
                 logInfo(`Création de la feuille ${sheetName}...`);
-                await gapi.client.sheets.spreadsheets.batchUpdate({
+                await request('batchUpdate', {
                     spreadsheetId: config.spreadsheetId,
                     resource: {
                         requests: [{
@@ -135,57 +485,506 @@ const googleSheetsApi = (() => {
             }
 
             // Vérifier les en-têtes
-            const response = await gapi.client.sheets.spreadsheets.values.get({
+            const response = await request('values.get', {
                 spreadsheetId: config.spreadsheetId,
-                range: `${sheetName}!1:1`
+                range: window.sheetRanges.a1(sheetName, '1:1')
             });
 
-            const firstRow = response.result.values?.[0];
-            if (!firstRow || firstRow[0] !== headers[0]) {
-                await gapi.client.sheets.spreadsheets.values.update({
+            // Seuls des en-têtes absents ou manquants en fin de ligne sont complétés :
+            // tout autre écart relève d'une migration
+            const firstRow = response.result.values?.[0] || [];
+            const isPrefix = firstRow.every((header, i) => header === headers[i]);
+            if (isPrefix && firstRow.length < headers.length) {
+                await request('values.update', {
                     spreadsheetId: config.spreadsheetId,
-                    range: `${sheetName}!A1`,
+                    range: window.sheetRanges.a1(sheetName, 'A1'),
                     valueInputOption: 'RAW',
                     resource: { values: [headers] }
                 });
-                logSuccess(`En-têtes ${sheetName} créés`);
+                logSuccess(firstRow.length ? `En-têtes ${sheetName} complétés` : `En-têtes ${sheetName} créés`);
+            } else if (!isPrefix) {
+                logWarn(`En-têtes ${sheetName} inattendus, migration nécessaire`, {
+                    expected: headers,
+                    actual: firstRow
+                });
             }
         } catch (error) {
             logError(`Erreur ensureSheet ${sheetName}`, { message: error.message || error });
         }
     };
 
+    // =========================================================================
+    // MIGRATIONS DE SCHÉMA
+    // =========================================================================
+
+    // Feuille de métadonnées (clé / valeur) portant la version du schéma
+    const META_SHEET = '_Metadonnees';
+    const META_HEADERS = ['cle', 'valeur'];
+    const SCHEMA_VERSION_KEY = 'schema_version';
+
+    /**
+     * Migrations, par version croissante. Chaque étape agit sur une feuille :
+     * - addColumn { header, after? } : insère une colonne après `after` (en fin sinon)
+     * - renameColumn { from, to }
+     * - reorderColumns { order } : colonnes listées en tête, les autres ensuite
+     * - splitColumn { from, into, split(valeur, ligne) → valeurs, keepSource? }
+     * - transform { column, transform(valeur, ligne) → valeur }
+     * Les étapes sont sans effet si la feuille est déjà dans l'état visé.
+     * Les feuilles absentes sont ignorées : ensureSheet les crée au schéma courant.
+     */
+    const MIGRATIONS = Object.freeze([
+        {
+            version: 1,
+            description: "Passages : en-têtes paiements_json et hachage_integrite",
+            steps: [
+                { sheet: 'Passages', type: 'addColumn', header: 'paiements_json', after: 'montant_carte_utilisee' },
+                { sheet: 'Passages', type: 'addColumn', header: 'hachage_integrite', after: 'paiements_json' }
+            ]
+        },
+        {
+            version: 2,
+            description: "Passages et CartesCadeaux : colonnes de suppression logique",
+            steps: [
+                { sheet: 'Passages', type: 'addColumn', header: 'supprime', after: 'hachage_integrite' },
+                { sheet: 'Passages', type: 'addColumn', header: 'date_suppression', after: 'supprime' },
+                { sheet: 'CartesCadeaux', type: 'addColumn', header: 'supprime', after: 'origine' },
+                { sheet: 'CartesCadeaux', type: 'addColumn', header: 'date_suppression', after: 'supprime' }
+            ]
+        },
+        {
+            version: 3,
+            description: "CartesCadeaux : règle de fidélité à l'origine de chaque bon",
+            steps: [
+                { sheet: 'CartesCadeaux', type: 'addColumn', header: 'regle_fidelite', after: 'origine' },
+                {
+                    // Bons générés avant le moteur de règles : palier de passages ou anniversaire
+                    sheet: 'CartesCadeaux', type: 'transform', column: 'regle_fidelite',
+                    transform: (value, row) => {
+                        if (value) return value;
+                        const palier = row.type === 'fidelite' && /(\d+) passages/.exec(row.origine);
+                        if (palier) return `passages-10:${palier[1]}`;
+                        const anniversaire = row.type === 'bon_fidelite' && /Anniversaire \d{2}\/(\d{4})/.exec(row.origine);
+                        return anniversaire ? `anniversaire:${anniversaire[1]}` : '';
+                    }
+                }
+            ]
+        },
+        {
+            version: 4,
+            // Les cartes existantes reçoivent leur code à la première impression du bon
+            description: "CartesCadeaux : code à clé de contrôle imprimé sur le bon",
+            steps: [
+                { sheet: 'CartesCadeaux', type: 'addColumn', header: 'code', after: 'regle_fidelite' }
+            ]
+        }
+    ]);
+
+    const migrationError = (step, message) => new Error(`${step.sheet} (${step.type}) : ${message}`);
+
+    const columnOf = (grid, header, step) => {
+        const index = grid[0].indexOf(header);
+        if (index < 0) throw migrationError(step, `colonne ${header} absente`);
+        return index;
+    };
+
+    const rowObject = (grid, row) => Object.fromEntries(grid[0].map((header, i) => [header, row[i] ?? '']));
+
+    /**
+     * Écriture de cellules (texte brut) à partir de (row, column), sous forme de requête batchUpdate.
+     */
+    const cellsRequest = (target, row, column, values) => ({
+        updateCells: {
+            start: { sheetId: target.sheetId, rowIndex: row, columnIndex: column },
+            rows: values.map(cells => ({
+                values: cells.map(value => ({ userEnteredValue: { stringValue: String(value ?? '') } }))
+            })),
+            fields: 'userEnteredValue'
+        }
+    });
+
+    const columnRange = (target, start, end) =>
+        ({ sheetId: target.sheetId, dimension: 'COLUMNS', startIndex: start, endIndex: end });
+
+    /**
+     * Insère des colonnes dans la feuille (ou l'agrandit si l'index dépasse sa largeur).
+     */
+    const insertSheetColumns = (target, index, count) => {
+        if (index < target.columnCount) {
+            target.requests.push({ insertDimension: { range: columnRange(target, index, index + count), inheritFromBefore: false } });
+            target.columnCount += count;
+        } else {
+            ensureSheetColumns(target, index + count);
+        }
+    };
+
+    const ensureSheetColumns = (target, width) => {
+        if (width <= target.columnCount) return;
+        target.requests.push({
+            appendDimension: { sheetId: target.sheetId, dimension: 'COLUMNS', length: width - target.columnCount }
+        });
+        target.columnCount = width;
+    };
+
+    /**
+     * Insère une colonne dans la grille. Au-delà du dernier en-tête, seul l'en-tête est écrit :
+     * les données y ont déjà été écrites par position.
+     */
+    const insertColumn = (grid, index, header) => {
+        if (index >= grid[0].length) {
+            while (grid[0].length < index) grid[0].push('');
+            grid[0][index] = header;
+            return 0;
+        }
+        let shifted = 0;
+        grid.forEach((row, r) => {
+            if (r === 0) row.splice(index, 0, header);
+            else if (row.length > index) { row.splice(index, 0, ''); shifted++; }
+        });
+        return shifted;
+    };
+
+    const removeColumn = (grid, index) => grid.forEach(row => {
+        if (row.length > index) row.splice(index, 1);
+    });
+
+    /**
+     * Plages de lignes consécutives (index croissants) : une écriture par plage.
+     */
+    const consecutiveRuns = (indexes) => indexes.reduce((runs, index) => {
+        const last = runs.at(-1);
+        if (last && last.at(-1) === index - 1) last.push(index);
+        else runs.push([index]);
+        return runs;
+    }, []);
+
+    /**
+     * Chaque étape modifie la grille en mémoire (pour le rapport et les étapes suivantes)
+     * et ajoute à target.requests les seules opérations nécessaires sur la feuille :
+     * insertion, déplacement ou suppression de colonnes, écriture des cellules modifiées.
+     * Les lignes ajoutées entre-temps par un autre onglet ne sont donc pas écrasées.
+     */
+    const MIGRATION_STEPS = Object.freeze({
+        addColumn: (target, step) => {
+            const grid = target.grid;
+            if (grid[0].includes(step.header)) return null;
+            const index = step.after ? columnOf(grid, step.after, step) + 1 : grid[0].length;
+            if (index < grid[0].length) insertSheetColumns(target, index, 1);
+            else ensureSheetColumns(target, index + 1);
+            const rowsAffected = insertColumn(grid, index, step.header);
+            target.requests.push(cellsRequest(target, 0, index, [[step.header]]));
+            return { detail: `colonne ${step.header} ajoutée en ${window.sheetRanges.columnLetter(index)}`, rowsAffected };
+        },
+
+        renameColumn: (target, step) => {
+            const grid = target.grid;
+            if (!grid[0].includes(step.from) && grid[0].includes(step.to)) return null;
+            const index = columnOf(grid, step.from, step);
+            grid[0][index] = step.to;
+            target.requests.push(cellsRequest(target, 0, index, [[step.to]]));
+            return { detail: `colonne ${step.from} renommée en ${step.to}`, rowsAffected: 0 };
+        },
+
+        reorderColumns: (target, step) => {
+            const grid = target.grid;
+            const headers = grid[0];
+            const listed = step.order.map(header => columnOf(grid, header, step));
+            const order = [...listed, ...headers.map((_, i) => i).filter(i => !listed.includes(i))];
+            if (order.every((from, to) => from === to)) return null;
+
+            // Déplacements successifs vers la gauche : la colonne voulue prend la position `to`
+            const positions = headers.map((_, i) => i);
+            order.forEach((from, to) => {
+                const at = positions.indexOf(from);
+                if (at === to) return;
+                target.requests.push({ moveDimension: { source: columnRange(target, at, at + 1), destinationIndex: to } });
+                positions.splice(at, 1);
+                positions.splice(to, 0, from);
+            });
+
+            grid.forEach((row, r) => {
+                grid[r] = order.map(i => row[i] ?? '');
+            });
+            return { detail: `colonnes réordonnées : ${step.order.join(', ')}`, rowsAffected: grid.length - 1 };
+        },
+
+        splitColumn: (target, step) => {
+            const grid = target.grid;
+            if (!grid[0].includes(step.from) && step.into.every(header => grid[0].includes(header))) return null;
+
+            const source = columnOf(grid, step.from, step);
+            const objects = grid.slice(1).map(row => rowObject(grid, row));
+            insertSheetColumns(target, source + 1, step.into.length);
+            step.into.forEach((header, i) => insertColumn(grid, source + 1 + i, header));
+
+            let rowsAffected = 0;
+            const block = [step.into];
+            objects.forEach((object, r) => {
+                const row = grid[r + 1];
+                const values = step.split(object[step.from], object) || [];
+                block.push(step.into.map((_, i) => values[i] ?? ''));
+                if (!values.some(value => value)) return;
+                while (row.length <= source + step.into.length) row.push('');
+                step.into.forEach((_, i) => { row[source + 1 + i] = values[i] ?? ''; });
+                rowsAffected++;
+            });
+            // Colonnes neuves : l'en-tête et les lignes lues, rien au-delà
+            target.requests.push(cellsRequest(target, 0, source + 1, block));
+
+            if (!step.keepSource) {
+                removeColumn(grid, source);
+                target.requests.push({ deleteDimension: { range: columnRange(target, source, source + 1) } });
+                target.columnCount--;
+            }
+            return { detail: `colonne ${step.from} scindée en ${step.into.join(', ')}`, rowsAffected };
+        },
+
+        transform: (target, step) => {
+            const grid = target.grid;
+            const index = columnOf(grid, step.column, step);
+            const changed = [];
+            grid.slice(1).forEach((row, r) => {
+                const current = row[index] ?? '';
+                const next = String(step.transform(current, rowObject(grid, row)) ?? '');
+                if (next === current) return;
+                while (row.length <= index) row.push('');
+                row[index] = next;
+                changed.push(r + 1);
+            });
+            consecutiveRuns(changed).forEach(run =>
+                target.requests.push(cellsRequest(target, run[0], index, run.map(r => [grid[r][index]]))));
+            return changed.length ? { detail: `colonne ${step.column} transformée`, rowsAffected: changed.length } : null;
+        }
+    });
+
+    /**
+     * Lit la feuille de métadonnées (null si elle n'existe pas encore).
+     */
+    const readMetadata = async (sheetTitles) => {
+        if (!sheetTitles.includes(META_SHEET)) return null;
+        const response = await request('values.get', {
+            spreadsheetId: config.spreadsheetId,
+            range: window.sheetRanges.a1(META_SHEET)
+        });
+        return response.result.values?.length ? response.result.values : [META_HEADERS];
+    };
+
+    const schemaVersionOf = (metadata) =>
+        parseInt(metadata?.find(row => row[0] === SCHEMA_VERSION_KEY)?.[1], 10) || 0;
+
+    /**
+     * Réécrit une grille en effaçant les cellules qu'elle n'occupe plus.
+     */
+    const paddedGrid = (grid, originalRows, originalWidth) => {
+        const width = Math.max(originalWidth, ...grid.map(row => row.length));
+        const rows = Math.max(originalRows, grid.length);
+        return Array.from({ length: rows }, (_, r) =>
+            Array.from({ length: width }, (_, c) => grid[r]?.[c] ?? ''));
+    };
+
+    /**
+     * Applique les migrations en attente, ou se contente de les simuler (dryRun).
+     * Les grilles lues servent au rapport et au calcul des valeurs ; seules les colonnes
+     * et cellules concernées sont modifiées, avec la nouvelle version, en un seul batchUpdate.
+     * Retourne un rapport : { fromVersion, toVersion, dryRun, migrations: [{ version, description, changes }] }.
+     */
+    const runMigrations = async ({ dryRun = false } = {}) => {
+        const spreadsheet = await request('get', { spreadsheetId: config.spreadsheetId });
+        const sheets = spreadsheet.result.sheets.map(sheet => sheet.properties);
+        const sheetTitles = sheets.map(sheet => sheet.title);
+        const metadata = await readMetadata(sheetTitles);
+        const fromVersion = schemaVersionOf(metadata);
+
+        const pending = MIGRATIONS.filter(m => m.version > fromVersion).sort((a, b) => a.version - b.version);
+        const report = { fromVersion, toVersion: pending.at(-1)?.version ?? fromVersion, dryRun, migrations: [] };
+        if (pending.length === 0) return report;
+
+        const sheetNames = [...new Set(pending.flatMap(m => m.steps.map(step => step.sheet)))]
+            .filter(name => sheetTitles.includes(name));
+        const targets = new Map();
+        if (sheetNames.length) {
+            const response = await request('values.batchGet', {
+                spreadsheetId: config.spreadsheetId,
+                ranges: sheetNames.map(name => window.sheetRanges.a1(name))
+            });
+            sheetNames.forEach((name, i) => {
+                const values = response.result.valueRanges?.[i]?.values || [];
+                const properties = sheets.find(sheet => sheet.title === name);
+                targets.set(name, {
+                    grid: values.length ? values.map(row => [...row]) : [[]],
+                    sheetId: properties.sheetId,
+                    columnCount: properties.gridProperties?.columnCount ?? 0,
+                    requests: []
+                });
+            });
+        }
+
+        // Requêtes dans l'ordre des étapes : chaque index est relatif à l'état laissé par la précédente
+        const requests = [];
+        for (const migration of pending) {
+            const changes = [];
+            for (const step of migration.steps) {
+                const target = targets.get(step.sheet);
+                if (!target) {
+                    changes.push({ sheet: step.sheet, type: step.type, detail: "feuille absente, ignorée", rowsAffected: 0 });
+                    continue;
+                }
+                const apply = MIGRATION_STEPS[step.type];
+                if (!apply) throw migrationError(step, "type d'étape inconnu");
+
+                const change = apply(target, step);
+                requests.push(...target.requests.splice(0));
+                if (!change) continue;
+                changes.push({ sheet: step.sheet, type: step.type, ...change });
+            }
+            report.migrations.push({ version: migration.version, description: migration.description, changes });
+        }
+
+        if (dryRun) return report;
+
+        // La feuille de métadonnées créée dans la même requête reçoit un identifiant choisi ici
+        const meta = metadata ? metadata.map(row => [...row]) : [META_HEADERS];
+        const metaTarget = {
+            sheetId: metadata
+                ? sheets.find(sheet => sheet.title === META_SHEET).sheetId
+                : Math.floor(Math.random() * 1e9) + 1
+        };
+        if (!metadata) {
+            requests.unshift({ addSheet: { properties: { sheetId: metaTarget.sheetId, title: META_SHEET, hidden: true } } });
+        }
+        const versionRow = meta.find(row => row[0] === SCHEMA_VERSION_KEY);
+        if (versionRow) versionRow[1] = String(report.toVersion);
+        else meta.push([SCHEMA_VERSION_KEY, String(report.toVersion)]);
+        requests.push(cellsRequest(metaTarget, 0, 0, meta));
+
+        await request('batchUpdate', {
+            spreadsheetId: config.spreadsheetId,
+            resource: { requests }
+        });
+        knownHeaders.clear();
+        return report;
+    };
+
+    let migrationPromise = null;
+    let migratedSpreadsheetId = null;
+
+    /**
+     * Applique les migrations une seule fois par classeur, avant toute lecture.
+     * Sans droits d'écriture, les migrations en attente sont seulement signalées.
+     */
+    const ensureMigrated = () => {
+        if (migratedSpreadsheetId === config.spreadsheetId || isOffline()) return Promise.resolve();
+        if (migrationPromise) return migrationPromise;
+
+        migrationPromise = (async () => {
+            const canWrite = ['write', 'owner'].includes(window.googleAuthApi?.getPermission?.());
+            try {
+                const report = await runMigrations({ dryRun: !canWrite });
+                if (report.migrations.length && canWrite) {
+                    logSuccess(`Schéma migré de la version ${report.fromVersion} à ${report.toVersion}`, report);
+                } else if (report.migrations.length) {
+                    logWarn("Migrations du schéma en attente : droits d'écriture requis", report);
+                }
+                migratedSpreadsheetId = config.spreadsheetId;
+            } catch (error) {
+                logError("Erreur migration du schéma", { message: error.message || error });
+                // Une erreur réseau sera retentée à la prochaine opération
+                if (!isNetworkError(error)) migratedSpreadsheetId = config.spreadsheetId;
+            } finally {
+                migrationPromise = null;
+            }
+        })();
+
+        return migrationPromise;
+    };
+
+    /**
+     * Version du schéma enregistrée dans le classeur, et dernière version connue de l'application.
+     */
+    const getSchemaVersion = async () => {
+        await ensureConnected();
+        const spreadsheet = await request('get', { spreadsheetId: config.spreadsheetId });
+        const metadata = await readMetadata(spreadsheet.result.sheets.map(sheet => sheet.properties.title));
+        return {
+            current: schemaVersionOf(metadata),
+            latest: Math.max(0, ...MIGRATIONS.map(m => m.version))
+        };
+    };
+
+    /**
+     * Lance les migrations manuellement ; { dryRun: true } retourne le rapport sans rien écrire.
+     */
+    const migrate = async (options = {}) => {
+        await ensureConnected();
+        const report = await runMigrations(options);
+        if (!report.dryRun && report.migrations.length) {
+            logSuccess(`Schéma migré de la version ${report.fromVersion} à ${report.toVersion}`, report);
+            migratedSpreadsheetId = config.spreadsheetId;
+        }
+        return report;
+    };
+
     // =========================================================================
     // OPÉRATIONS CRUD GÉNÉRIQUES
     // =========================================================================
 
     /**
      * Lit les données d'une feuille (sans l'en-tête).
+     * Sans plage, toute la feuille est lue. Les colonnes chiffrées sont déchiffrées si la clé est déverrouillée.
+     * Les lignes supprimées logiquement sont masquées, sauf avec { includeDeleted: true }.
+     * Hors-ligne, les données sont servies depuis le miroir local.
      */
-    const readSheet = async (sheetName, range) => {
-        await ensureReady();
+    const readSheet = async (sheetName, range = null, options = {}) => {
+        if (isOffline()) return readFromMirror(sheetName, range, options);
         try {
-            const response = await gapi.client.sheets.spreadsheets.values.get({
+            await ensureReady();
+            // Les colonnes de suppression sont en fin de ligne : la feuille est lue en entier
+            const softDelete = isSoftDeleteSheet(sheetName);
+            const response = await request('values.get', {
                 spreadsheetId: config.spreadsheetId,
-                range: `${sheetName}!${range}`
+                range: window.sheetRanges.a1(sheetName, softDelete ? '' : range)
             });
 
             const rows = response.result.values || [];
             // Retirer l'en-tête
-            return { rows: rows.length > 1 ? rows.slice(1) : [] };
+            const data = rows.length > 1 ? rows.slice(1) : [];
+            await saveToMirror(sheetName, data, rows[0]);
+            watchSheet(sheetName, data);
+            if (rows[0]) knownHeaders.set(sheetName, rows[0]);
+            const result = { rows: await decryptRows(sheetName, rows[0] || [], data), headers: rows[0] || [] };
+            return softDelete ? visibleRows(result, range, options) : result;
         } catch (error) {
+            if (isNetworkError(error)) {
+                const cached = await readFromMirror(sheetName, range, options).catch(() => null);
+                if (cached) return cached;
+            }
             logError(`Erreur lecture ${sheetName}`, { message: error.message || error });
             throw error;
         }
     };
 
     /**
-     * Lecture batch de plusieurs plages.
+     * Lit toute une feuille et retourne ses lignes sous forme d'objets indexés par
+     * les en-têtes de la première ligne (ceux écrits par ensureSheet).
+     * Les cellules vides en fin de ligne valent ''.
+     */
+    const readSheetAsObjects = async (sheetName) => {
+        const { rows, headers } = await readSheet(sheetName);
+        if (!headers?.length) throw new Error(`En-têtes de ${sheetName} indisponibles`);
+
+        return rows.map(row => Object.fromEntries(
+            headers.map((header, i) => [header, row[i] ?? ''])));
+    };
+
+    /**
+     * Lecture batch de plusieurs plages, telles qu'elles sont stockées
+     * (les lignes supprimées logiquement ne sont masquées que par readSheet).
+     * Hors-ligne, les résultats sont indexés par les plages demandées.
      */
     const batchRead = async (ranges) => {
-        await ensureReady();
+        if (isOffline()) return batchReadFromMirror(ranges);
         try {
-            const response = await gapi.client.sheets.spreadsheets.values.batchGet({
+            await ensureReady();
+            const response = await request('values.batchGet', {
                 spreadsheetId: config.spreadsheetId,
                 ranges: ranges
             });
@@ -194,96 +993,2135 @@ const googleSheetsApi = (() => {
             if (response.result.valueRanges) {
                 for (const vr of response.result.valueRanges) {
                     const rows = vr.values || [];
-                    results[vr.range] = rows.length > 1 ? rows.slice(1) : [];
+                    const sheetName = window.sheetRanges.sheetNameOf(vr.range);
+                    const data = rows.length > 1 ? rows.slice(1) : [];
+                    await saveToMirror(sheetName, data, rows[0]);
+                    watchSheet(sheetName, data);
+                    results[vr.range] = await decryptRows(sheetName, rows[0] || [], data);
                 }
             }
             return { results };
         } catch (error) {
+            if (isNetworkError(error)) {
+                const cached = await batchReadFromMirror(ranges).catch(() => null);
+                if (cached) return cached;
+            }
             logError("Erreur batchRead", { message: error.message || error });
             throw error;
         }
     };
 
-    /**
-     * Ajoute une ligne à une feuille.
-     */
-    const appendRow = async (sheetName, range, values) => {
-        await ensureReady();
-        try {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: config.spreadsheetId,
-                range: `${sheetName}!${range}`,
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values: [values] }
+    const saveToMirror = async (sheetName, rows, headers) => {
+        if (hasOfflineStore()) await window.offlineStore.putSheet(sheetName, rows, headers);
+    };
+
+    const readFromMirror = async (sheetName, range = null, options = {}) => {
+        const entry = hasOfflineStore() ? await window.offlineStore.getSheetEntry(sheetName) : null;
+        if (!entry) throw new Error(`Données ${sheetName} indisponibles hors-ligne`);
+        logInfo(`Lecture ${sheetName} depuis le miroir local`);
+        const headers = entry.headers || [];
+        const result = { rows: await decryptRows(sheetName, headers, entry.rows), headers };
+        return isSoftDeleteSheet(sheetName) ? visibleRows(result, range, options) : result;
+    };
+
+    const batchReadFromMirror = async (ranges) => {
+        const results = {};
+        for (const range of ranges) {
+            results[range] = (await readFromMirror(window.sheetRanges.sheetNameOf(range))).rows;
+        }
+        return { results };
+    };
+
+    // =========================================================================
+    // SUPPRESSION LOGIQUE
+    // =========================================================================
+
+    // Feuilles dont les lignes sont marquées supprimées au lieu d'être effacées
+    // (surchargeable par MANAGELY_CONFIG.SOFT_DELETE_SHEETS)
+    const DEFAULT_SOFT_DELETE_SHEETS = Object.freeze(['Passages', 'CartesCadeaux']);
+    const DELETED_HEADER = 'supprime';
+    const DELETED_AT_HEADER = 'date_suppression';
+
+    const isSoftDeleteSheet = (sheetName) =>
+        (window.MANAGELY_CONFIG?.SOFT_DELETE_SHEETS || DEFAULT_SOFT_DELETE_SHEETS).includes(sheetName);
+
+    const isDeletedRow = (headers, row) => {
+        const index = headers.indexOf(DELETED_HEADER);
+        return index >= 0 && (row?.[index] ?? '') !== '';
+    };
+
+    /**
+     * Retire les lignes supprimées (sauf includeDeleted) puis limite les colonnes à la plage demandée.
+     */
+    const visibleRows = ({ rows, headers }, range, { includeDeleted = false } = {}) => {
+        const kept = includeDeleted ? rows : rows.filter(row => !isDeletedRow(headers, row));
+        if (!range) return { rows: kept, headers };
+
+        const { startColumn, endColumn } = window.sheetRanges.parseCells(range);
+        const slice = (row) => trimCells(row.slice(startColumn ?? 0, endColumn === null ? undefined : endColumn + 1));
+        return { rows: kept.map(slice), headers: slice(headers) };
+    };
+
+    /**
+     * Cellules qui marquent une ligne supprimée : [{ rowIndex (base 1), column (base 0), value }].
+     * Les en-têtes de suppression absents sont ajoutés en fin de ligne d'en-tête.
+     */
+    const softDeleteCells = (headers, rowIndex, deletedAt) => {
+        const cells = [];
+        let width = headers.length;
+        for (const [header, value] of [[DELETED_HEADER, '1'], [DELETED_AT_HEADER, deletedAt]]) {
+            let column = headers.indexOf(header);
+            if (column < 0) {
+                column = width++;
+                cells.push({ rowIndex: 1, column, value: header });
+            }
+            cells.push({ rowIndex, column, value });
+        }
+        return cells;
+    };
+
+    // =========================================================================
+    // CHIFFREMENT DES CHAMPS
+    // =========================================================================
+
+    // Colonnes chiffrées par feuille, archives comprises
+    // (surchargeable par MANAGELY_CONFIG.ENCRYPTED_COLUMNS)
+    const DEFAULT_ENCRYPTED_COLUMNS = Object.freeze({ Passages: Object.freeze(['note_interne']) });
+    const CIPHER_PREFIX = 'enc:v1:';
+    const CIPHER_CHECK = 'managely';
+    const PBKDF2_ITERATIONS = 310000;
+
+    // Paramètres publics du chiffrement dans la feuille de métadonnées (jamais la clé)
+    const ENCRYPTION_META = Object.freeze({
+        salt: 'chiffrement_sel',
+        keyId: 'chiffrement_cle',
+        iterations: 'chiffrement_iterations',
+        check: 'chiffrement_controle'
+    });
+    // Paramètres des clés précédentes (JSON), pour relire les sauvegardes faites avec elles
+    const ENCRYPTION_HISTORY_KEY = 'chiffrement_historique';
+    // Copie locale de ces paramètres, pour chiffrer les écritures faites hors-ligne
+    const ENCRYPTION_STORAGE_KEY = 'managely_chiffrement';
+
+    // Les clés dérivées de la phrase secrète restent en mémoire, non exportables :
+    // key chiffre les colonnes, macKey calcule les empreintes des valeurs chiffrées
+    const encryption = { spreadsheetId: null, settings: null, key: null, macKey: null };
+
+    const encryptedColumns = (sheetName) =>
+        (window.MANAGELY_CONFIG?.ENCRYPTED_COLUMNS || DEFAULT_ENCRYPTED_COLUMNS)[
+            (sheetName || '').replace(ARCHIVE_SHEET_PATTERN, '')] || [];
+
+    const isEncrypted = (value) => typeof value === 'string' && value.startsWith(CIPHER_PREFIX);
+
+    const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+    const encryptionError = (message) => Object.assign(new Error(message), { locked: true });
+
+    const storedSettings = () => {
+        try {
+            return JSON.parse(localStorage.getItem(ENCRYPTION_STORAGE_KEY))?.[config.spreadsheetId] ?? undefined;
+        } catch {
+            return undefined;
+        }
+    };
+
+    const storeSettings = (settings) => {
+        try {
+            const all = JSON.parse(localStorage.getItem(ENCRYPTION_STORAGE_KEY)) || {};
+            all[config.spreadsheetId] = settings;
+            localStorage.setItem(ENCRYPTION_STORAGE_KEY, JSON.stringify(all));
+        } catch {
+            // Sans localStorage, les paramètres sont relus en ligne
+        }
+    };
+
+    const settingsFromMetadata = (metadata) => {
+        const value = (key) => metadata?.find(row => row[0] === key)?.[1] || '';
+        if (!value(ENCRYPTION_META.salt) || !value(ENCRYPTION_META.keyId)) return null;
+        return {
+            salt: value(ENCRYPTION_META.salt),
+            keyId: value(ENCRYPTION_META.keyId),
+            iterations: parseInt(value(ENCRYPTION_META.iterations), 10) || PBKDF2_ITERATIONS,
+            check: value(ENCRYPTION_META.check)
+        };
+    };
+
+    const keyHistoryFromMetadata = (metadata) => {
+        const history = parseJson(metadata?.find(row => row[0] === ENCRYPTION_HISTORY_KEY)?.[1]);
+        return Array.isArray(history) ? history : [];
+    };
+
+    // Ajoute une clé abandonnée (rotation, désactivation, restauration) à l'historique
+    const retireKey = (history, settings) =>
+        settings && !history.some(k => k.keyId === settings.keyId)
+            ? [...history, { ...settings, retiredAt: new Date().toISOString() }]
+            : history;
+
+    /**
+     * Lignes de métadonnées avec les paramètres de chiffrement et l'historique des clés remplacés.
+     */
+    const withEncryptionMeta = (metadata, settings, history) => {
+        const keys = [...Object.values(ENCRYPTION_META), ENCRYPTION_HISTORY_KEY];
+        const meta = (metadata || [META_HEADERS]).filter(row => row[0] && !keys.includes(row[0]));
+        if (settings) {
+            Object.entries(ENCRYPTION_META).forEach(([field, key]) => meta.push([key, String(settings[field])]));
+        }
+        if (history.length) meta.push([ENCRYPTION_HISTORY_KEY, JSON.stringify(history)]);
+        return meta;
+    };
+
+    const cipherKeyId = (cell) => cell.slice(CIPHER_PREFIX.length).split(':')[0];
+
+    /**
+     * Paramètres de chiffrement du classeur (null s'il n'est pas activé), lus une fois
+     * par classeur ; hors-ligne, la dernière copie locale est utilisée.
+     */
+    const loadEncryption = async ({ refresh = false } = {}) => {
+        if (!refresh && encryption.spreadsheetId === config.spreadsheetId) return encryption.settings;
+
+        let settings = isOffline() ? storedSettings() : undefined;
+        if (settings === undefined) {
+            await ensureReady();
+            settings = settingsFromMetadata(await readMetadata(await getSheetTitles()));
+            storeSettings(settings);
+        }
+        if (encryption.spreadsheetId !== config.spreadsheetId || encryption.settings?.keyId !== settings?.keyId) {
+            encryption.key = null;
+            encryption.macKey = null;
+        }
+        encryption.spreadsheetId = config.spreadsheetId;
+        encryption.settings = settings;
+        return settings;
+    };
+
+    /**
+     * Dérive de la phrase secrète la clé de chiffrement et, avec un sel distinct, la clé HMAC des empreintes.
+     */
+    const deriveKeys = async (passphrase, salt, iterations) => {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        const [key, macKey] = await Promise.all([
+            crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']),
+            crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: new TextEncoder().encode(`${salt}:empreinte`), iterations, hash: 'SHA-256' },
+                material,
+                { name: 'HMAC', hash: 'SHA-256', length: 256 },
+                false,
+                ['sign'])
+        ]);
+        return { key, macKey };
+    };
+
+    const macHex = async (macKey, text) => {
+        const signature = await crypto.subtle.sign('HMAC', macKey, new TextEncoder().encode(text));
+        return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+    };
+
+    /**
+     * Empreinte d'une valeur destinée à un hachage d'intégrité stocké en clair. Une colonne chiffrée
+     * n'y entre jamais en clair : HMAC avec la clé dérivée de la phrase secrète, ou le texte chiffré
+     * lui-même. Sans chiffrement actif, la valeur est rendue telle quelle (elle est déjà en clair).
+     */
+    const valueFingerprint = async (sheetName, header, value) => {
+        const text = value == null ? '' : String(value);
+        if (!text || isEncrypted(text) || !encryptedColumns(sheetName).includes(header)) return text;
+        if (!await loadEncryption()) return text;
+        if (!encryption.macKey) {
+            throw encryptionError("Chiffrement verrouillé : saisissez la phrase secrète avant d'enregistrer");
+        }
+        return `hmac:${await macHex(encryption.macKey, `${header}|${text}`)}`;
+    };
+
+    /**
+     * Chiffre une valeur ; l'en-tête de la colonne est authentifié avec elle.
+     * Format : "enc:v1:<clé>:<iv>:<données>" (base64).
+     */
+    const encryptValue = async (key, keyId, text, header) => {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(header) },
+            key,
+            new TextEncoder().encode(text));
+        return `${CIPHER_PREFIX}${keyId}:${toBase64(iv)}:${toBase64(data)}`;
+    };
+
+    const decryptValue = async (key, keyId, cell, header) => {
+        const [cellKeyId, iv, data] = cell.slice(CIPHER_PREFIX.length).split(':');
+        if (cellKeyId !== keyId) throw encryptionError(`Valeur chiffrée avec une autre clé (${cellKeyId})`);
+        const text = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(iv), additionalData: new TextEncoder().encode(header) },
+            key,
+            fromBase64(data));
+        return new TextDecoder().decode(text);
+    };
+
+    /**
+     * Déchiffre les colonnes configurées de lignes lues (headers : en-têtes de la plage lue).
+     * Sans clé, les valeurs restent chiffrées ; une valeur indéchiffrable est laissée telle quelle.
+     */
+    const decryptRows = async (sheetName, headers, rows) => {
+        const indexes = encryptedColumns(sheetName).map(h => headers.indexOf(h)).filter(i => i >= 0);
+        if (!indexes.length || !rows.some(row => indexes.some(i => isEncrypted(row[i])))) return rows;
+
+        const settings = await loadEncryption();
+        if (!settings || !encryption.key) return rows;
+
+        let failures = 0;
+        const decrypted = [];
+        for (const row of rows) {
+            const copy = [...row];
+            for (const i of indexes) {
+                if (!isEncrypted(copy[i])) continue;
+                try {
+                    copy[i] = await decryptValue(encryption.key, settings.keyId, copy[i], headers[i]);
+                } catch {
+                    failures++;
+                }
+            }
+            decrypted.push(copy);
+        }
+        if (failures) {
+            logWarn(`${failures} valeur(s) de ${sheetName} indéchiffrable(s)`);
+            // La clé a peut-être changé sur un autre appareil : paramètres relus à la prochaine lecture
+            encryption.spreadsheetId = null;
+        }
+        return decrypted;
+    };
+
+    /**
+     * Déchiffre les champs configurés d'un objet { en-tête: valeur } (journal, export).
+     */
+    const decryptObject = async (sheetName, item) => {
+        if (!item) return item;
+        const headers = Object.keys(item);
+        const [row] = await decryptRows(sheetName, headers, [headers.map(h => item[h])]);
+        return Object.fromEntries(headers.map((h, i) => [h, row[i]]));
+    };
+
+    const headersForWrite = async (sheetName) => {
+        if (knownHeaders.has(sheetName)) return knownHeaders.get(sheetName);
+        const entry = hasOfflineStore() ? await window.offlineStore.getSheetEntry(sheetName) : null;
+        if (entry?.headers?.length) return entry.headers;
+        if (isOffline()) throw new Error(`En-têtes de ${sheetName} inconnus hors-ligne`);
+        return headersOf(sheetName);
+    };
+
+    /**
+     * Chiffre en place les colonnes configurées des valeurs d'une écriture (ou d'un lot).
+     * Refuse d'écrire en clair une colonne chiffrée lorsque la clé n'est pas déverrouillée.
+     */
+    const encryptEntry = async (entry) => {
+        if (entry.type === 'batch') {
+            for (const op of entry.operations) await encryptEntry(op);
+            return;
+        }
+        if (!entry.values || !encryptedColumns(entry.sheetName).length) return;
+
+        const settings = await loadEncryption();
+        if (!settings) return;
+
+        const headers = await headersForWrite(entry.sheetName);
+        for (const header of encryptedColumns(entry.sheetName)) {
+            const i = headers.indexOf(header);
+            const value = entry.values[i];
+            if (i < 0 || value == null || value === '' || isEncrypted(value)) continue;
+            if (!encryption.key) {
+                throw encryptionError("Chiffrement verrouillé : saisissez la phrase secrète avant d'enregistrer");
+            }
+            entry.values[i] = await encryptValue(encryption.key, settings.keyId, String(value), header);
+        }
+    };
+
+    /**
+     * État du chiffrement : { enabled, unlocked, keyId, columns }.
+     */
+    const getEncryptionStatus = async () => {
+        const settings = await loadEncryption().catch(() => encryption.settings);
+        return {
+            enabled: !!settings,
+            unlocked: !!settings && !!encryption.key,
+            keyId: settings?.keyId ?? null,
+            columns: window.MANAGELY_CONFIG?.ENCRYPTED_COLUMNS || DEFAULT_ENCRYPTED_COLUMNS
+        };
+    };
+
+    /**
+     * Déverrouille le chiffrement avec la phrase secrète du salon.
+     * Retourne { success, error }.
+     */
+    const unlockEncryption = async (passphrase) => {
+        try {
+            const settings = await loadEncryption({ refresh: !isOffline() });
+            if (!settings) throw new Error("Le chiffrement n'est pas activé");
+
+            const { key, macKey } = await deriveKeys(passphrase, settings.salt, settings.iterations);
+            try {
+                if (await decryptValue(key, settings.keyId, settings.check, 'controle') !== CIPHER_CHECK) throw new Error();
+            } catch {
+                return { success: false, error: "Phrase secrète incorrecte" };
+            }
+            encryption.key = key;
+            encryption.macKey = macKey;
+            logSuccess("Chiffrement déverrouillé", { keyId: settings.keyId });
+            return { success: true };
+        } catch (error) {
+            logError("Erreur déverrouillage du chiffrement", { message: error.message || error });
+            return { success: false, error: error.message };
+        }
+    };
+
+    /**
+     * Oublie la clé : les colonnes chiffrées ne sont plus lisibles ni modifiables.
+     */
+    const lockEncryption = () => {
+        encryption.key = null;
+        encryption.macKey = null;
+        logInfo("Chiffrement verrouillé");
+    };
+
+    /**
+     * Réécrit toutes les cellules des colonnes chiffrées (archives et journal compris) avec une
+     * nouvelle clé, ou en clair si passphrase est null. Les cellules et les paramètres de la
+     * feuille de métadonnées partent en une seule requête.
+     * À l'activation, les hachages d'intégrité des lignes concernées, calculés sur la valeur
+     * en clair, sont scellés avec la nouvelle clé HMAC pour ne plus la trahir.
+     * Les valeurs d'une autre clé (feuille créée avant la restauration d'une sauvegarde) sont
+     * illisibles : laissées telles quelles et comptées dans skipped, par feuille dans skippedSheets.
+     * Retourne { success, cells, skipped, skippedSheets, error }.
+     */
+    const reencryptAll = async (passphrase) => {
+        if (isOffline()) throw new Error("Opération impossible hors-ligne");
+        await ensureReady();
+        if (await getPendingWriteCount() > 0) {
+            throw new Error("Des écritures hors-ligne sont en attente : synchronisez-les d'abord");
+        }
+
+        const current = await loadEncryption({ refresh: true });
+        if (current && !encryption.key) throw encryptionError("Déverrouillez d'abord le chiffrement");
+
+        let next = null;
+        let nextKey = null;
+        let nextMacKey = null;
+        if (passphrase) {
+            const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+            const keyId = crypto.randomUUID().slice(0, 8);
+            ({ key: nextKey, macKey: nextMacKey } = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS));
+            next = {
+                salt,
+                keyId,
+                iterations: PBKDF2_ITERATIONS,
+                check: await encryptValue(nextKey, keyId, CIPHER_CHECK, 'controle')
+            };
+        }
+
+        // Valeur d'une autre clé que la clé courante : illisible, laissée telle quelle
+        const foreignCells = new Map();
+        const isForeign = (cell) => isEncrypted(cell) && cipherKeyId(cell) !== current?.keyId;
+        const skipCell = (name) => foreignCells.set(name, (foreignCells.get(name) || 0) + 1);
+
+        const recrypt = async (cell, header) => {
+            const plain = isEncrypted(cell) ? await decryptValue(encryption.key, current?.keyId, cell, header) : cell;
+            return plain && nextKey ? encryptValue(nextKey, next.keyId, plain, header) : plain;
+        };
+
+        // Même format que les hachages calculés par l'application (16 caractères hexadécimaux)
+        const sealHashes = !current && !!nextMacKey;
+        const sealHash = async (hash) => (await macHex(nextMacKey, `scellement|${hash}`)).slice(0, 16).toUpperCase();
+
+        const sheetTitles = await getSheetTitles();
+        const grids = await readGrids(
+            [...sheetTitles.filter(title => encryptedColumns(title).length), JOURNAL_SHEET], sheetTitles);
+        const data = [];
+        const updatedGrids = new Map();
+        let cells = 0;
+        for (const [name, [headers = [], ...rows]] of grids) {
+            if (name === JOURNAL_SHEET) continue;
+            for (const header of encryptedColumns(name)) {
+                const column = headers.indexOf(header);
+                if (column < 0 || rows.length === 0) continue;
+
+                const values = [];
+                for (const row of rows) {
+                    const cell = row[column] ?? '';
+                    if (isForeign(cell)) skipCell(name);
+                    else row[column] = await recrypt(cell, header);
+                    if (row[column] !== cell) cells++;
+                    values.push([row[column] ?? '']);
+                }
+                const letter = window.sheetRanges.columnLetter(column);
+                data.push({ range: window.sheetRanges.a1(name, `${letter}2:${letter}${rows.length + 1}`), values });
+                updatedGrids.set(name, { headers, rows });
+            }
+
+            const hashColumn = headers.indexOf(HASH_HEADER);
+            if (!sealHashes || hashColumn < 0 || rows.length === 0) continue;
+            const encrypted = encryptedColumns(name).map(h => headers.indexOf(h)).filter(i => i >= 0);
+            const values = [];
+            for (const row of rows) {
+                if (row[hashColumn] && encrypted.some(i => row[i])) {
+                    row[hashColumn] = await sealHash(row[hashColumn]);
+                    cells++;
+                }
+                values.push([row[hashColumn] ?? '']);
+            }
+            const letter = window.sheetRanges.columnLetter(hashColumn);
+            data.push({ range: window.sheetRanges.a1(name, `${letter}2:${letter}${rows.length + 1}`), values });
+            updatedGrids.set(name, { headers, rows });
+        }
+
+        // Valeurs avant/après conservées par le journal
+        const [journalHeaders = [], ...journalRows] = grids.get(JOURNAL_SHEET) || [];
+        const col = Object.fromEntries(JOURNAL_HEADERS.map(h => [h, journalHeaders.indexOf(h)]));
+        for (const [i, row] of journalRows.entries()) {
+            const columns = encryptedColumns(row[col.feuille]);
+            if (!columns.length) continue;
+            for (const field of ['avant', 'apres']) {
+                const item = parseJson(row[col[field]]);
+                if (!item || !columns.some(h => isEncrypted(item[h]) || (nextKey && item[h]))) continue;
+                for (const header of columns) {
+                    if (isForeign(item[header])) skipCell(JOURNAL_SHEET);
+                    else if (item[header]) item[header] = await recrypt(item[header], header);
+                }
+                if (sealHashes && item[HASH_HEADER]) item[HASH_HEADER] = await sealHash(item[HASH_HEADER]);
+                const letter = window.sheetRanges.columnLetter(col[field]);
+                data.push({ range: window.sheetRanges.a1(JOURNAL_SHEET, `${letter}${i + 2}`), values: [[JSON.stringify(item)]] });
+            }
+        }
+
+        const metadata = await readMetadata(sheetTitles);
+        if (!metadata) {
+            await request('batchUpdate', {
+                spreadsheetId: config.spreadsheetId,
+                resource: { requests: [{ addSheet: { properties: { title: META_SHEET, hidden: true } } }] }
+            });
+        }
+        // L'ancienne clé reste décrite dans l'historique : les sauvegardes antérieures restent restaurables
+        const meta = withEncryptionMeta(metadata, next, retireKey(keyHistoryFromMetadata(metadata), current));
+        data.push({ range: window.sheetRanges.a1(META_SHEET, 'A1'), values: paddedGrid(meta, metadata?.length || 0, 2) });
+
+        await request('values.batchUpdate', {
+            spreadsheetId: config.spreadsheetId,
+            resource: { valueInputOption: 'RAW', data }
+        });
+
+        encryption.settings = next;
+        encryption.key = nextKey;
+        encryption.macKey = nextMacKey;
+        storeSettings(next);
+        for (const [name, { headers, rows }] of updatedGrids) {
+            if (ARCHIVE_SHEET_PATTERN.test(name)) continue;
+            await saveToMirror(name, rows, headers);
+            watchSheet(name, rows);
+        }
+        announceWrite([...updatedGrids.keys()]);
+
+        const skippedSheets = [...foreignCells.keys()];
+        const skipped = [...foreignCells.values()].reduce((sum, count) => sum + count, 0);
+        if (skipped) {
+            logWarn("Valeurs chiffrées avec une autre clé laissées telles quelles",
+                Object.fromEntries(foreignCells));
+        }
+        return { success: true, cells, skipped, skippedSheets };
+    };
+
+    /**
+     * Active le chiffrement (chiffre les valeurs existantes) ou change de phrase secrète
+     * (rotation de clé : toutes les valeurs sont rechiffrées).
+     */
+    const rotateEncryptionKey = async (passphrase) => {
+        try {
+            if (!passphrase) throw new Error("Phrase secrète requise");
+            const result = await reencryptAll(passphrase);
+            logSuccess("Clé de chiffrement renouvelée", { cells: result.cells, keyId: encryption.settings.keyId });
+            return result;
+        } catch (error) {
+            logError("Erreur rotation de la clé de chiffrement", { message: error.message || error });
+            return { success: false, cells: 0, error: error.message };
+        }
+    };
+
+    /**
+     * Désactive le chiffrement : toutes les valeurs sont réécrites en clair.
+     */
+    const disableEncryption = async () => {
+        try {
+            const result = await reencryptAll(null);
+            logSuccess("Chiffrement désactivé", { cells: result.cells });
+            return result;
+        } catch (error) {
+            logError("Erreur désactivation du chiffrement", { message: error.message || error });
+            return { success: false, cells: 0, error: error.message };
+        }
+    };
+
+    // =========================================================================
+    // DÉTECTION DES MODIFICATIONS DISTANTES
+    // =========================================================================
+
+    // Intervalle de vérification (surchargeable par MANAGELY_CONFIG.CHANGE_POLL_SECONDS)
+    const DEFAULT_POLL_SECONDS = 20;
+    // Sans accès Drive, le contenu des feuilles est comparé une vérification sur N
+    const CONTENT_POLL_EVERY = 3;
+
+    const changeWatch = {
+        timer: null,
+        checking: null,
+        driveVersion: null,
+        driveUnavailable: false,
+        ticks: 0,
+        // Feuilles lues pendant la session → empreinte de leur contenu
+        fingerprints: new Map(),
+        callback: null
+    };
+
+    const trimCells = (row) => {
+        const copy = (row || []).map(cell => cell == null ? '' : String(cell));
+        while (copy.length && copy[copy.length - 1] === '') copy.pop();
+        return copy;
+    };
+
+    /**
+     * Empreinte (FNV-1a 32 bits) des lignes d'une feuille, hors en-tête.
+     */
+    const fingerprint = (rows) => {
+        const text = JSON.stringify((rows || []).map(trimCells));
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    };
+
+    const watchSheet = (sheetName, rows) => {
+        changeWatch.fingerprints.set(sheetName, fingerprint(rows));
+    };
+
+    /**
+     * Version Drive du classeur (incrémentée à chaque modification), ou null si Drive
+     * n'est pas consultable (scope non accordé, réseau).
+     */
+    const fetchDriveVersion = async () => {
+        const token = window.googleAuthApi?.getAccessToken?.();
+        if (!token) return null;
+
+        const url = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(config.spreadsheetId)}` +
+            `?fields=version&supportsAllDrives=true`;
+        try {
+            const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+            if (response.status === 403 || response.status === 404) changeWatch.driveUnavailable = true;
+            if (!response.ok) return null;
+            return (await response.json()).version ?? null;
+        } catch {
+            return null;
+        }
+    };
+
+    const notifyChange = (sheetNames) => {
+        const callback = changeWatch.callback;
+        if (!callback) return;
+        try {
+            // Rejet asynchrone si le composant a été libéré entre-temps : sans conséquence
+            callback.dotNetRef.invokeMethodAsync(callback.methodName, sheetNames).catch(() => {});
+        } catch (error) {
+            logError("Erreur notification Blazor", { message: error.message });
+        }
+    };
+
+    /**
+     * Relit les feuilles suivies et retourne celles dont le contenu a changé.
+     */
+    const compareWatchedSheets = async () => {
+        const names = [...changeWatch.fingerprints.keys()];
+        const response = await request('values.batchGet', {
+            spreadsheetId: config.spreadsheetId,
+            ranges: names.map(name => window.sheetRanges.a1(name))
+        });
+
+        const changed = [];
+        for (const [i, name] of names.entries()) {
+            const values = response.result.valueRanges?.[i]?.values || [];
+            const rows = values.slice(1);
+            const current = fingerprint(rows);
+            if (current === changeWatch.fingerprints.get(name)) continue;
+
+            changeWatch.fingerprints.set(name, current);
+            await saveToMirror(name, rows, values[0]);
+            changed.push(name);
+        }
+        return changed;
+    };
+
+    /**
+     * Vérifie si les feuilles lues ont été modifiées ailleurs (autre appareil, édition directe).
+     * Un seul appel Drive suffit tant que le classeur n'a pas changé ; les feuilles ne sont
+     * relues qu'ensuite. Retourne les noms des feuilles modifiées, notifiées à Blazor.
+     */
+    const checkForChanges = () => {
+        if (changeWatch.checking) return changeWatch.checking;
+        if (!getBackend().remote || isOffline() || changeWatch.fingerprints.size === 0) {
+            return Promise.resolve([]);
+        }
+
+        changeWatch.checking = (async () => {
+            try {
+                changeWatch.ticks++;
+                if (!changeWatch.driveUnavailable) {
+                    const version = await fetchDriveVersion();
+                    if (version !== null) {
+                        const previous = changeWatch.driveVersion;
+                        changeWatch.driveVersion = version;
+                        if (previous === version) return [];
+                    } else if (!changeWatch.driveUnavailable) {
+                        return [];
+                    }
+                }
+                if (changeWatch.driveUnavailable && changeWatch.ticks % CONTENT_POLL_EVERY !== 0) return [];
+
+                await ensureConnected();
+                const changed = await compareWatchedSheets();
+                if (changed.length > 0) {
+                    logInfo("Modifications distantes détectées", { sheets: changed });
+                    notifyChange(changed);
+                }
+                return changed;
+            } catch (error) {
+                if (!isNetworkError(error)) {
+                    logWarn("Erreur détection des modifications", { message: error.message || error });
+                }
+                return [];
+            } finally {
+                changeWatch.checking = null;
+            }
+        })();
+
+        return changeWatch.checking;
+    };
+
+    /**
+     * Lance la vérification périodique (sans effet avec le backend local ou si elle tourne déjà).
+     * Elle est suspendue quand l'onglet est masqué et relancée dès son retour au premier plan.
+     */
+    const startChangeWatch = () => {
+        if (changeWatch.timer || !getBackend().remote || typeof window === 'undefined') return;
+
+        const seconds = Number(window.MANAGELY_CONFIG?.CHANGE_POLL_SECONDS) || DEFAULT_POLL_SECONDS;
+        changeWatch.timer = setInterval(() => {
+            if (typeof document !== 'undefined' && document.hidden) return;
+            checkForChanges();
+        }, seconds * 1000);
+    };
+
+    /**
+     * Arrête la vérification et oublie les feuilles suivies (déconnexion).
+     */
+    const stopChangeWatch = () => {
+        clearInterval(changeWatch.timer);
+        changeWatch.timer = null;
+        changeWatch.driveVersion = null;
+        changeWatch.fingerprints.clear();
+    };
+
+    /**
+     * Enregistre le callback Blazor appelé avec la liste des feuilles modifiées.
+     */
+    const registerChangeCallback = (dotNetRef, methodName) => {
+        changeWatch.callback = { dotNetRef, methodName };
+    };
+
+    const unregisterChangeCallback = () => {
+        changeWatch.callback = null;
+    };
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && changeWatch.timer) checkForChanges();
+        });
+    }
+
+    // =========================================================================
+    // ÉCRITURES DES AUTRES ONGLETS (voir tab-sync.js)
+    // =========================================================================
+
+    const writtenSheets = (entry) => entry.type === 'batch'
+        ? (entry.operations || []).map(op => op.sheetName)
+        : [entry.sheetName];
+
+    /**
+     * Signale aux autres onglets les feuilles modifiées par cet onglet.
+     */
+    const announceWrite = (sheetNames) => {
+        const sheets = [...new Set(sheetNames.filter(Boolean))];
+        if (sheets.length === 0) return;
+        window.tabSync?.publish('sheets-written', { spreadsheetId: config.spreadsheetId, sheets });
+    };
+
+    /**
+     * Un autre onglet a écrit : les caches Blazor des feuilles concernées sont invalidés
+     * comme pour une modification distante.
+     */
+    const onSheetsWritten = (message) => {
+        if (!config.isInitialized || message?.spreadsheetId !== config.spreadsheetId) return;
+        const sheets = message.sheets || [];
+
+        // Le backend local garde le classeur en mémoire : le relire depuis le localStorage
+        getBackend().reload?.();
+        // La prochaine lecture renouvelle l'empreinte sans fausse alerte de la vérification périodique
+        sheets.forEach(name => changeWatch.fingerprints.delete(name));
+
+        logInfo("Feuilles modifiées dans un autre onglet", { sheets });
+        notifyChange(sheets);
+    };
+
+    if (typeof window !== 'undefined' && window.tabSync) {
+        window.tabSync.subscribe('sheets-written', onSheetsWritten);
+    }
+
+    // =========================================================================
+    // IDENTITÉ DES LIGNES
+    // =========================================================================
+
+    // En-tête de la colonne contenant le hachage d'intégrité
+    const HASH_HEADER = 'hachage_integrite';
+
+    const rowError = (message, details) => Object.assign(new Error(message), details);
+
+    /**
+     * Retrouve la ligne visée par une écriture : { rowIndex (base 1), headers, current }.
+     * Si l'écriture cible un GUID, la ligne est recherchée en colonne A et son hachage
+     * d'intégrité comparé à celui attendu avant toute modification. Les valeurs actuelles
+     * alimentent le journal des modifications.
+     */
+    const resolveTarget = async (entry) => {
+        if (!entry.guid) {
+            const response = await request('values.batchGet', {
+                spreadsheetId: config.spreadsheetId,
+                ranges: [
+                    window.sheetRanges.a1(entry.sheetName, '1:1'),
+                    window.sheetRanges.a1(entry.sheetName, `${entry.rowIndex}:${entry.rowIndex}`)
+                ]
+            });
+            const [headerRange, rowRange] = response.result.valueRanges || [];
+            return {
+                rowIndex: entry.rowIndex,
+                headers: headerRange?.values?.[0] || [],
+                current: rowRange?.values?.[0] || []
+            };
+        }
+
+        const response = await request('values.get', {
+            spreadsheetId: config.spreadsheetId,
+            range: guidRange(entry)
+        });
+
+        const rows = response.result.values || [];
+        const rowIndex = locateRow(entry, rows);
+        return { rowIndex, headers: rows[0] || [], current: rows[rowIndex - 1] };
+    };
+
+    // Les feuilles à suppression logique sont lues en entier pour voir l'indicateur
+    const guidRange = (entry) =>
+        window.sheetRanges.a1(entry.sheetName, isSoftDeleteSheet(entry.sheetName) ? '' : entry.range);
+
+    /**
+     * Recherche la ligne d'un GUID dans les valeurs lues (en-tête compris).
+     * Une ligne supprimée logiquement est introuvable, sauf si entry.includeDeleted.
+     * Si plusieurs lignes partagent l'identifiant (numéro de facture attribué deux fois),
+     * celle dont le hachage vaut entry.expectedHash est retenue.
+     */
+    const locateRow = (entry, rows) => {
+        const headers = rows[0] || [];
+        const hashIndex = headers.indexOf(HASH_HEADER);
+        const matches = (row, i) => i > 0 && row[0] === entry.guid
+            && (entry.includeDeleted || !isDeletedRow(headers, row));
+        const exact = entry.expectedHash && hashIndex >= 0
+            ? rows.findIndex((row, i) => matches(row, i) && row[hashIndex] === entry.expectedHash)
+            : -1;
+        const offset = exact >= 0 ? exact : rows.findIndex(matches);
+
+        if (offset < 0) {
+            throw rowError(`Ligne ${entry.guid} introuvable dans ${entry.sheetName}`, { notFound: true });
+        }
+
+        const current = rows[offset];
+        if (entry.expectedHash && hashIndex >= 0) {
+            const storedHash = current[hashIndex] || '';
+            if (storedHash && storedHash !== entry.expectedHash) {
+                throw rowError(`Conflit sur ${entry.sheetName} : la ligne ${entry.guid} a été modifiée`, {
+                    conflict: true,
+                    rowIndex: offset + 1,
+                    currentValues: current
+                });
+            }
+        }
+
+        return offset + 1;
+    };
+
+    /**
+     * Envoie une écriture à l'API. Lève une erreur en cas d'échec.
+     * Retourne les modifications appliquées, pour le journal.
+     */
+    const sendWrite = async (entry) => {
+        if (entry.type === 'batch') return sendBatch(entry);
+
+        const { type, sheetName, range, values } = entry;
+        const target = type === 'append' ? null : await resolveTarget(entry);
+        const rowIndex = target?.rowIndex ?? null;
+
+        switch (type) {
+            case 'append':
+                await request('values.append', {
+                    spreadsheetId: config.spreadsheetId,
+                    range: window.sheetRanges.a1(sheetName, range),
+                    valueInputOption: 'RAW',
+                    insertDataOption: 'INSERT_ROWS',
+                    resource: { values: [values] }
+                });
+                logSuccess(`Ligne ajoutée à ${sheetName}`);
+                break;
+
+            case 'update': {
+                // Colonne de fin d'après la plage (ex : "A:K" -> K), sinon d'après les valeurs
+                const endColumn = window.sheetRanges.parseCells(range || '').endColumn ?? values.length - 1;
+                const updateRange = window.sheetRanges.rowRange(sheetName, rowIndex, endColumn);
+
+                await request('values.update', {
+                    spreadsheetId: config.spreadsheetId,
+                    range: updateRange,
+                    valueInputOption: 'RAW',
+                    resource: { values: [values] }
+                });
+                logSuccess(`Ligne ${rowIndex} de ${sheetName} mise à jour`);
+                break;
+            }
+
+            case 'delete': {
+                if (isSoftDeleteSheet(sheetName)) {
+                    const cells = softDeleteCells(target.headers, rowIndex, entry.audit?.at || new Date().toISOString());
+                    await request('values.batchUpdate', {
+                        spreadsheetId: config.spreadsheetId,
+                        resource: {
+                            valueInputOption: 'RAW',
+                            data: cells.map(cell => ({
+                                range: window.sheetRanges.a1(sheetName,
+                                    `${window.sheetRanges.columnLetter(cell.column)}${cell.rowIndex}`),
+                                values: [[cell.value]]
+                            }))
+                        }
+                    });
+                    logSuccess(`Ligne ${rowIndex} de ${sheetName} marquée supprimée`);
+                    break;
+                }
+
+                const spreadsheet = await request('get', {
+                    spreadsheetId: config.spreadsheetId
+                });
+
+                const sheet = spreadsheet.result.sheets.find(s =>
+                    s.properties.title === sheetName
+                );
+                if (!sheet) throw new Error(`Feuille ${sheetName} non trouvée`);
+
+                await request('batchUpdate', {
+                    spreadsheetId: config.spreadsheetId,
+                    resource: {
+                        requests: [{
+                            deleteDimension: {
+                                range: {
+                                    sheetId: sheet.properties.sheetId,
+                                    dimension: 'ROWS',
+                                    startIndex: rowIndex - 1,
+                                    endIndex: rowIndex
+                                }
+                            }
+                        }]
+                    }
+                });
+                logSuccess(`Ligne ${rowIndex} de ${sheetName} supprimée`);
+                break;
+            }
+
+            default:
+                throw new Error(`Type d'écriture inconnu : ${type}`);
+        }
+
+        return [journalChange(entry, target)];
+    };
+
+    /**
+     * Exécute une écriture, ou la met en attente si la connexion est indisponible
+     * ou si d'autres écritures attendent déjà (pour conserver l'ordre).
+     */
+    const write = async (entry) => {
+        // Auteur et date figés dès la demande, y compris pour une écriture mise en attente
+        entry.audit = { ...auditStamp(), ...entry.audit };
+        try {
+            await encryptEntry(entry);
+        } catch (error) {
+            logWarn(error.message, { sheetName: entry.sheetName });
+            return { success: false, locked: !!error.locked, error: error.message };
+        }
+        if (isOffline()) return enqueueWrite(entry);
+
+        try {
+            await ensureReady();
+            if (flushPromise) await flushPromise;
+            if (await getPendingWriteCount() > 0) return enqueueWrite(entry);
+
+            const changes = await sendWrite(entry);
+            await updateMirror(entry);
+            await appendJournal(entry, changes);
+            announceWrite(writtenSheets(entry));
+            return { success: true };
+        } catch (error) {
+            if (isNetworkError(error)) return enqueueWrite(entry);
+            if (error.conflict || error.notFound) {
+                logWarn(error.message, { guid: entry.guid, rowIndex: error.rowIndex });
+                return {
+                    success: false,
+                    conflict: !!error.conflict,
+                    notFound: !!error.notFound,
+                    rowIndex: error.rowIndex ?? null,
+                    currentValues: error.currentValues ?? null,
+                    failedIndex: error.operationIndex ?? null,
+                    error: error.message
+                };
+            }
+            logError(`Erreur ${entry.type} ${entry.sheetName ?? ''}`.trim(), { message: error.message || error });
+            return { success: false, failedIndex: error.operationIndex ?? null, error: error.message };
+        }
+    };
+
+    // =========================================================================
+    // ÉCRITURES GROUPÉES
+    // =========================================================================
+
+    const toCellData = (value) => ({
+        userEnteredValue: { stringValue: value == null ? '' : String(value) }
+    });
+
+    /**
+     * Résout en une seule lecture (values.batchGet) les lignes ciblées par GUID.
+     * Retourne la cible de chaque opération ({ rowIndex, headers, current } comme
+     * resolveTarget), null pour les ajouts. Les opérations sans GUID gardent leur
+     * numéro de ligne, sans valeurs actuelles.
+     */
+    const resolveBatchRows = async (operations) => {
+        const ranges = [...new Set(operations
+            .filter(op => op.type !== 'append' && op.guid)
+            .map(guidRange))];
+
+        const valuesByRange = new Map();
+        if (ranges.length) {
+            const response = await request('values.batchGet', {
+                spreadsheetId: config.spreadsheetId,
+                ranges
+            });
+            ranges.forEach((range, i) =>
+                valuesByRange.set(range, response.result.valueRanges?.[i]?.values || []));
+        }
+
+        return operations.map((op, index) => {
+            if (op.type === 'append') return null;
+            try {
+                if (op.guid) {
+                    const rows = valuesByRange.get(guidRange(op));
+                    const rowIndex = locateRow(op, rows);
+                    return { rowIndex, headers: rows[0] || [], current: rows[rowIndex - 1] };
+                }
+                if (!op.rowIndex) throw new Error(`Opération ${op.type} sans GUID ni numéro de ligne`);
+                return { rowIndex: op.rowIndex, headers: null, current: null };
+            } catch (error) {
+                error.operationIndex = index;
+                throw error;
+            }
+        });
+    };
+
+    /**
+     * Envoie un lot d'opérations en un seul spreadsheets.batchUpdate.
+     * L'API applique l'ensemble des requêtes ou aucune.
+     */
+    const sendBatch = async ({ operations, audit }) => {
+        const spreadsheet = await request('get', {
+            spreadsheetId: config.spreadsheetId
+        });
+        const sheetIds = new Map(spreadsheet.result.sheets.map(s =>
+            [s.properties.title, s.properties.sheetId]));
+
+        const targets = await resolveBatchRows(operations);
+        const updates = [];
+        const deletes = [];
+        const appends = [];
+
+        operations.forEach((op, index) => {
+            const sheetId = sheetIds.get(op.sheetName);
+            if (sheetId === undefined) {
+                throw rowError(`Feuille ${op.sheetName} non trouvée`, { operationIndex: index });
+            }
+            const rows = [{ values: (op.values || []).map(toCellData) }];
+            const rowIndex = targets[index]?.rowIndex ?? null;
+
+            switch (op.type) {
+                case 'append':
+                    appends.push({ appendCells: { sheetId, rows, fields: 'userEnteredValue' } });
+                    break;
+                case 'update':
+                    updates.push({
+                        updateCells: {
+                            start: { sheetId, rowIndex: rowIndex - 1, columnIndex: 0 },
+                            rows,
+                            fields: 'userEnteredValue'
+                        }
+                    });
+                    break;
+                case 'delete':
+                    if (isSoftDeleteSheet(op.sheetName)) {
+                        const headers = targets[index].headers || knownHeaders.get(op.sheetName);
+                        if (!headers) {
+                            throw rowError(`En-têtes de ${op.sheetName} inconnus`, { operationIndex: index });
+                        }
+                        const deletedAt = audit?.at || new Date().toISOString();
+                        softDeleteCells(headers, rowIndex, deletedAt).forEach(cell => updates.push({
+                            updateCells: {
+                                start: { sheetId, rowIndex: cell.rowIndex - 1, columnIndex: cell.column },
+                                rows: [{ values: [toCellData(cell.value)] }],
+                                fields: 'userEnteredValue'
+                            }
+                        }));
+                        break;
+                    }
+                    if (deletes.some(d => d.sheetId === sheetId && d.rowIndex === rowIndex)) {
+                        throw rowError(`Ligne ${rowIndex} de ${op.sheetName} supprimée deux fois`, { operationIndex: index });
+                    }
+                    deletes.push({ sheetId, rowIndex });
+                    break;
+                default:
+                    throw rowError(`Type d'écriture inconnu : ${op.type}`, { operationIndex: index });
+            }
+        });
+
+        // Les suppressions décalent les lignes suivantes : elles passent après les
+        // mises à jour, de bas en haut ; les ajouts se font en fin de feuille.
+        deletes.sort((a, b) => b.rowIndex - a.rowIndex);
+        const requests = [
+            ...updates,
+            ...deletes.map(({ sheetId, rowIndex }) => ({
+                deleteDimension: {
+                    range: { sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex }
+                }
+            })),
+            ...appends
+        ];
+
+        await request('batchUpdate', {
+            spreadsheetId: config.spreadsheetId,
+            resource: { requests }
+        });
+        logSuccess(`Lot de ${operations.length} écriture(s) appliqué`, {
+            sheets: [...new Set(operations.map(op => op.sheetName))]
+        });
+        return operations.map((op, index) => journalChange(op, targets[index]));
+    };
+
+    /**
+     * Applique des ajouts, mises à jour et suppressions sur plusieurs feuilles en un
+     * seul aller-retour. Chaque opération a la forme
+     * { type: 'append'|'update'|'delete', sheetName, range, values?, guid?, rowIndex?, expectedHash? }.
+     * Le lot est atomique : une erreur (conflit de hachage, ligne introuvable, refus de l'API)
+     * n'applique aucune opération. Le résultat liste les opérations appliquées (applied,
+     * indices dans operations) et, en cas d'échec, celle qui l'a provoqué (failedIndex).
+     */
+    const batchWrite = async (operations) => {
+        if (!Array.isArray(operations) || operations.length === 0) {
+            return { success: true, applied: [], failedIndex: null };
+        }
+
+        const result = await write({ type: 'batch', operations });
+        return {
+            ...result,
+            applied: result.success ? operations.map((_, i) => i) : [],
+            failedIndex: result.failedIndex ?? null
+        };
+    };
+
+    // =========================================================================
+    // JOURNAL DES MODIFICATIONS
+    // =========================================================================
+
+    // Feuille masquée : une ligne par ajout, modification ou suppression
+    const JOURNAL_SHEET = 'Journal';
+    const JOURNAL_HEADERS = Object.freeze([
+        'id', 'horodatage', 'utilisateur', 'email', 'feuille', 'guid', 'operation', 'avant', 'apres'
+    ]);
+
+    // En-têtes connus par feuille, pour nommer les valeurs journalisées
+    const knownHeaders = new Map();
+    let journalSpreadsheetId = null;
+
+    const auditStamp = () => {
+        const user = window.googleAuthApi?.getCurrentUser?.();
+        return {
+            at: new Date().toISOString(),
+            user: user?.name || '',
+            email: user?.email || ''
+        };
+    };
+
+    /**
+     * Modification appliquée par une opération : valeurs avant (update, delete)
+     * et après (append, update).
+     */
+    const journalChange = (op, target) => ({
+        sheetName: op.sheetName,
+        guid: op.guid || op.values?.[0] || target?.current?.[0] || '',
+        operation: op.type,
+        headers: target?.headers || null,
+        before: target?.current || null,
+        after: op.type === 'delete' ? null : (op.values || null)
+    });
+
+    const headersOf = async (sheetName) => {
+        if (knownHeaders.has(sheetName)) return knownHeaders.get(sheetName);
+        const response = await request('values.get', {
+            spreadsheetId: config.spreadsheetId,
+            range: window.sheetRanges.a1(sheetName, '1:1')
+        });
+        const headers = response.result.values?.[0] || [];
+        knownHeaders.set(sheetName, headers);
+        return headers;
+    };
+
+    /**
+     * Valeurs d'une ligne en JSON, indexées par en-tête (lettre de colonne à défaut).
+     */
+    const rowToJson = (headers, values) => {
+        if (!values) return '';
+        return JSON.stringify(Object.fromEntries(values.map((value, i) =>
+            [headers[i] || window.sheetRanges.columnLetter(i), value ?? ''])));
+    };
+
+    const ensureJournal = async () => {
+        if (journalSpreadsheetId === config.spreadsheetId) return;
+
+        if (!(await getSheetTitles()).includes(JOURNAL_SHEET)) {
+            try {
+                await request('batchUpdate', {
+                    spreadsheetId: config.spreadsheetId,
+                    resource: { requests: [{ addSheet: { properties: { title: JOURNAL_SHEET, hidden: true } } }] }
+                });
+                await request('values.update', {
+                    spreadsheetId: config.spreadsheetId,
+                    range: window.sheetRanges.a1(JOURNAL_SHEET, 'A1'),
+                    valueInputOption: 'RAW',
+                    resource: { values: [JOURNAL_HEADERS] }
+                });
+                logInfo("Feuille Journal créée");
+            } catch (error) {
+                // Un autre onglet ou appareil a pu la créer au même moment
+                if (!(await getSheetTitles()).includes(JOURNAL_SHEET)) throw error;
+            }
+        }
+        journalSpreadsheetId = config.spreadsheetId;
+    };
+
+    /**
+     * Ajoute au journal les modifications d'une écriture réussie.
+     * Un échec du journal est signalé sans remettre en cause l'écriture.
+     */
+    const appendJournal = async (entry, changes) => {
+        if (!changes?.length) return;
+        const audit = entry.audit || auditStamp();
+
+        try {
+            await ensureJournal();
+            const rows = [];
+            for (const change of changes) {
+                if (change.headers?.length) knownHeaders.set(change.sheetName, change.headers);
+                const headers = change.headers?.length ? change.headers : await headersOf(change.sheetName);
+                rows.push([
+                    crypto.randomUUID(),
+                    audit.at,
+                    audit.user,
+                    audit.email,
+                    change.sheetName,
+                    change.guid,
+                    audit.operation || change.operation,
+                    rowToJson(headers, change.before),
+                    rowToJson(headers, change.after)
+                ]);
+            }
+
+            await request('values.append', {
+                spreadsheetId: config.spreadsheetId,
+                range: window.sheetRanges.a1(JOURNAL_SHEET, window.sheetRanges.columnsForHeaders(JOURNAL_HEADERS)),
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: rows }
+            });
+        } catch (error) {
+            logWarn("Journal des modifications non mis à jour", {
+                sheets: changes.map(change => change.sheetName),
+                message: error.message || error
+            });
+        }
+    };
+
+    const parseJson = (text) => {
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Lit le journal, du plus récent au plus ancien. Filtres facultatifs :
+     * { sheetName, guid, operation }. Les valeurs avant/apres sont des objets
+     * indexés par en-tête (null si absentes).
+     */
+    const readJournal = async (filter = {}) => {
+        await ensureReady();
+        if (!(await getSheetTitles()).includes(JOURNAL_SHEET)) return [];
+
+        const response = await request('values.get', {
+            spreadsheetId: config.spreadsheetId,
+            range: window.sheetRanges.a1(JOURNAL_SHEET)
+        });
+        const [headers = [], ...rows] = response.result.values || [];
+
+        const items = rows
+            .map(row => Object.fromEntries(headers.map((header, i) => [header, row[i] ?? ''])))
+            .filter(item => (!filter?.sheetName || item.feuille === filter.sheetName)
+                && (!filter?.guid || item.guid === filter.guid)
+                && (!filter?.operation || item.operation === filter.operation));
+
+        const entries = [];
+        for (const item of items) {
+            entries.push({
+                ...item,
+                avant: await decryptObject(item.feuille, parseJson(item.avant)),
+                apres: await decryptObject(item.feuille, parseJson(item.apres))
             });
-            logSuccess(`Ligne ajoutée à ${sheetName}`);
-            return { success: true };
+        }
+        return entries.sort((a, b) => b.horodatage.localeCompare(a.horodatage));
+    };
+
+    /**
+     * Rétablit une ligne supprimée d'après l'entrée de journal de sa suppression.
+     * La ligne est ajoutée en fin de feuille avec ses valeurs d'origine (hachage compris) ;
+     * elle est refusée si son GUID est de nouveau présent.
+     */
+    const restoreRow = async (entryId) => {
+        if (isOffline()) return { success: false, error: "Connexion indisponible" };
+
+        try {
+            const item = (await readJournal({ operation: 'delete' })).find(e => e.id === entryId);
+            if (!item?.avant) {
+                return { success: false, notFound: true, error: "Entrée du journal introuvable" };
+            }
+
+            // Feuille entière pour une suppression logique (indicateur en fin de ligne), sinon la colonne A
+            const response = await request('values.batchGet', {
+                spreadsheetId: config.spreadsheetId,
+                ranges: [
+                    window.sheetRanges.a1(item.feuille, '1:1'),
+                    window.sheetRanges.a1(item.feuille, isSoftDeleteSheet(item.feuille) ? '' : 'A:A')
+                ]
+            });
+            const [headerRange, dataRange] = response.result.valueRanges || [];
+            const headers = headerRange?.values?.[0] || [];
+            if (!headers.length) throw new Error(`En-têtes de ${item.feuille} indisponibles`);
+            const existing = (dataRange?.values || []).slice(1).find(row => row[0] === item.guid);
+            if (existing && !isDeletedRow(headers, existing)) {
+                return { success: false, conflict: true, sheetName: item.feuille, error: "Cette ligne existe déjà" };
+            }
+
+            // Une ligne marquée supprimée est réécrite en place, indicateur effacé
+            const values = headers.map(header => item.avant[header] ?? '');
+            [DELETED_HEADER, DELETED_AT_HEADER].forEach(header => {
+                if (headers.includes(header)) values[headers.indexOf(header)] = '';
+            });
+            const result = await write({
+                type: existing ? 'update' : 'append',
+                sheetName: item.feuille,
+                guid: existing ? item.guid : undefined,
+                includeDeleted: true,
+                range: window.sheetRanges.columnsForHeaders(headers),
+                values,
+                audit: { operation: 'restore' }
+            });
+            if (result.success) logSuccess(`Ligne ${item.guid} rétablie dans ${item.feuille}`);
+            return { ...result, sheetName: item.feuille };
         } catch (error) {
-            logError(`Erreur append ${sheetName}`, { message: error.message || error });
+            logError("Erreur rétablissement de ligne", { entryId, message: error.message || error });
             return { success: false, error: error.message };
         }
     };
 
+    const updateMirror = async (entry) => {
+        if (hasOfflineStore()) await window.offlineStore.applyWrite(entry);
+    };
+
+    /**
+     * Ajoute une ligne à une feuille.
+     */
+    const appendRow = (sheetName, range, values) =>
+        write({ type: 'append', sheetName, range, values });
+
     /**
      * Met à jour une ligne existante.
      */
-    const updateRow = async (sheetName, rowIndex, range, values) => {
-        await ensureReady();
+    const updateRow = (sheetName, rowIndex, range, values) =>
+        write({ type: 'update', sheetName, rowIndex, range, values });
+
+    /**
+     * Supprime une ligne.
+     */
+    const deleteRow = (sheetName, rowIndex) =>
+        write({ type: 'delete', sheetName, rowIndex });
+
+    /**
+     * Met à jour la ligne identifiée par son GUID (colonne A).
+     * Si expectedHash est fourni, l'écriture est refusée lorsque le hachage
+     * d'intégrité stocké diffère : le résultat contient alors conflict=true.
+     */
+    const updateRowByGuid = (sheetName, guid, range, values, expectedHash = null) =>
+        write({ type: 'update', sheetName, guid, range, values, expectedHash });
+
+    /**
+     * Supprime la ligne identifiée par son GUID (colonne A), avec la même
+     * vérification du hachage d'intégrité que updateRowByGuid.
+     */
+    const deleteRowByGuid = (sheetName, guid, range = null, expectedHash = null) =>
+        write({ type: 'delete', sheetName, guid, range, expectedHash });
+
+    // =========================================================================
+    // SAUVEGARDE ET RESTAURATION
+    // =========================================================================
+
+    const BACKUP_FORMAT = 'managely-sauvegarde';
+    const BACKUP_FORMAT_VERSION = 1;
+
+    // Feuilles gérées par l'application, incluses dans les sauvegardes
+    const BACKUP_SHEETS = Object.freeze([
+        'Clients', 'Passages', 'Produits', 'MouvementsStock', 'CartesCadeaux', 'Prestations', 'Parametres',
+        'Effacements', 'Clotures', 'Factures'
+    ]);
+
+    // Feuilles d'archives produites par archiveRows ("Passages_Archive_2021")
+    const ARCHIVE_SHEET_PATTERN = /_Archive_\d{4}$/;
+
+    const isBackupSheet = (name) => BACKUP_SHEETS.includes(name) || ARCHIVE_SHEET_PATTERN.test(name);
+
+    /**
+     * Lit le contenu complet (en-tête compris) des feuilles demandées qui existent.
+     * Retourne une Map nom → lignes.
+     */
+    const readGrids = async (sheetNames, sheetTitles) => {
+        const existing = sheetNames.filter(name => sheetTitles.includes(name));
+        const grids = new Map();
+        if (existing.length === 0) return grids;
+
+        const response = await request('values.batchGet', {
+            spreadsheetId: config.spreadsheetId,
+            ranges: existing.map(name => window.sheetRanges.a1(name))
+        });
+        existing.forEach((name, i) => grids.set(name, response.result.valueRanges?.[i]?.values || []));
+        return grids;
+    };
+
+    const getSheetTitles = async () => {
+        const spreadsheet = await request('get', { spreadsheetId: config.spreadsheetId });
+        return spreadsheet.result.sheets.map(sheet => sheet.properties.title);
+    };
+
+    const downloadFile = (fileName, content, type) => {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Télécharge une archive JSON versionnée de toutes les feuilles gérées.
+     * Retourne { success, fileName, sheets: { nom: nombre de lignes }, pendingWrites }.
+     */
+    const exportAll = async () => {
         try {
-            // Calculer la lettre de fin depuis le range (ex: "A:K" -> K)
-            const endCol = range.split(':')[1] || 'Z';
-            const updateRange = `${sheetName}!A${rowIndex}:${endCol}${rowIndex}`;
-            
-            await gapi.client.sheets.spreadsheets.values.update({
+            if (isOffline()) throw new Error("Sauvegarde impossible hors-ligne");
+            await ensureReady();
+
+            const sheetTitles = await getSheetTitles();
+            const metadata = await readMetadata(sheetTitles);
+            const grids = await readGrids(sheetTitles.filter(isBackupSheet), sheetTitles);
+
+            const archive = {
+                format: BACKUP_FORMAT,
+                formatVersion: BACKUP_FORMAT_VERSION,
+                exportedAt: new Date().toISOString(),
                 spreadsheetId: config.spreadsheetId,
-                range: updateRange,
-                valueInputOption: 'RAW',
-                resource: { values: [values] }
+                schemaVersion: schemaVersionOf(metadata),
+                // Paramètres publics des clés (jamais les clés) : sans eux, les notes chiffrées
+                // de la sauvegarde seraient illisibles après une rotation ou une désactivation
+                encryption: {
+                    current: settingsFromMetadata(metadata),
+                    history: keyHistoryFromMetadata(metadata)
+                },
+                sheets: {}
+            };
+            const counts = {};
+            for (const [name, values] of grids) {
+                const [headers = [], ...rows] = values;
+                archive.sheets[name] = { headers: trimCells(headers), rows: rows.map(trimCells) };
+                counts[name] = rows.length;
+            }
+
+            const fileName = `managely-sauvegarde-${archive.exportedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+            downloadFile(fileName, JSON.stringify(archive), 'application/json');
+
+            const pendingWrites = await getPendingWriteCount();
+            logSuccess("Sauvegarde exportée", { fileName, sheets: counts, pendingWrites });
+            return { success: true, fileName, sheets: counts, pendingWrites };
+        } catch (error) {
+            logError("Erreur export de la sauvegarde", { message: error.message || error });
+            return { success: false, error: error.message || String(error) };
+        }
+    };
+
+    /**
+     * Vérifie la structure d'une archive et retourne la liste des erreurs.
+     * Chaque ligne est identifiée par sa colonne A (guid, ou cle pour Parametres),
+     * qui doit être renseignée et unique.
+     */
+    const validateArchive = (archive, latestVersion) => {
+        const errors = [];
+        if (archive?.format !== BACKUP_FORMAT) return ["Ce fichier n'est pas une sauvegarde Managely"];
+        if (!(archive.formatVersion <= BACKUP_FORMAT_VERSION)) {
+            errors.push(`Format de sauvegarde ${archive.formatVersion} non pris en charge`);
+        }
+        if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion > latestVersion) {
+            errors.push(`Version de schéma ${archive.schemaVersion} plus récente que l'application (${latestVersion})`);
+        }
+        if (!archive.sheets || typeof archive.sheets !== 'object') return [...errors, "Aucune feuille dans la sauvegarde"];
+
+        for (const [name, sheet] of Object.entries(archive.sheets)) {
+            if (!isBackupSheet(name)) {
+                errors.push(`${name} : feuille inconnue`);
+                continue;
+            }
+            const headers = sheet?.headers;
+            if (!Array.isArray(headers) || headers.length === 0 || !headers.every(h => typeof h === 'string' && h)) {
+                errors.push(`${name} : en-têtes manquants ou invalides`);
+                continue;
+            }
+            if (new Set(headers).size !== headers.length) errors.push(`${name} : en-têtes en double`);
+            if (!Array.isArray(sheet.rows) || !sheet.rows.every(Array.isArray)) {
+                errors.push(`${name} : lignes invalides`);
+                continue;
+            }
+
+            const seen = new Set();
+            sheet.rows.forEach((row, i) => {
+                const line = i + 2;
+                if (row.length > headers.length) errors.push(`${name} ligne ${line} : plus de cellules que d'en-têtes`);
+                const key = row[0];
+                if (!key) errors.push(`${name} ligne ${line} : ${headers[0]} vide`);
+                else if (seen.has(key)) errors.push(`${name} ligne ${line} : ${headers[0]} ${key} en double`);
+                else seen.add(key);
             });
-            logSuccess(`Ligne ${rowIndex} de ${sheetName} mise à jour`);
-            return { success: true };
+        }
+        return errors;
+    };
+
+    /**
+     * Compare une feuille de l'archive au contenu actuel, ligne à ligne par colonne A.
+     */
+    const diffSheet = (name, sheet, current) => {
+        const currentRows = new Map((current?.slice(1) || []).map(row => [row[0], trimCells(row).join('\u0000')]));
+        const diff = {
+            sheet: name,
+            rows: sheet.rows.length,
+            current: currentRows.size,
+            created: !current,
+            added: 0,
+            removed: 0,
+            modified: 0,
+            unchanged: 0
+        };
+        const keys = new Set();
+        for (const row of sheet.rows) {
+            keys.add(row[0]);
+            const existing = currentRows.get(row[0]);
+            if (existing === undefined) diff.added++;
+            else if (existing === trimCells(row).join('\u0000')) diff.unchanged++;
+            else diff.modified++;
+        }
+        diff.removed = [...currentRows.keys()].filter(key => !keys.has(key)).length;
+        return diff;
+    };
+
+    /**
+     * Clé des notes chiffrées de l'archive, si elle diffère de la clé courante : ses paramètres
+     * sont cherchés dans l'archive puis dans l'historique du classeur.
+     * Retourne { settings } (null si rien à changer) ou { error }.
+     */
+    const resolveArchiveKey = (archive, currentKey, history) => {
+        const keyIds = new Set();
+        for (const [name, sheet] of Object.entries(archive.sheets)) {
+            const indexes = encryptedColumns(name).map(h => sheet.headers.indexOf(h)).filter(i => i >= 0);
+            for (const row of sheet.rows) {
+                indexes.filter(i => isEncrypted(row[i])).forEach(i => keyIds.add(cipherKeyId(row[i])));
+            }
+        }
+        if (keyIds.size > 1) return { error: `Notes chiffrées avec plusieurs clés (${[...keyIds].join(', ')})` };
+
+        const [keyId] = keyIds;
+        if (!keyId || keyId === currentKey?.keyId) return { settings: null };
+
+        const known = [archive.encryption?.current, ...(archive.encryption?.history || []), ...history].filter(Boolean);
+        const found = known.find(k => k.keyId === keyId && k.salt && k.check);
+        if (!found) return { error: `Notes chiffrées avec une clé inconnue (${keyId}) : paramètres introuvables` };
+        const { salt, iterations, check } = found;
+        return { settings: { salt, keyId, iterations: parseInt(iterations, 10) || PBKDF2_ITERATIONS, check } };
+    };
+
+    /**
+     * Feuilles hors sauvegarde dont des valeurs sont chiffrées avec une autre clé que keyId :
+     * la restauration les laissera en l'état. Retourne [{ name, keyIds, count }].
+     */
+    const foreignKeySheets = (grids, keyId) => {
+        const sheets = [];
+        for (const [name, [headers = [], ...rows]] of grids) {
+            const indexes = encryptedColumns(name).map(h => headers.indexOf(h)).filter(i => i >= 0);
+            const keyIds = new Set();
+            let count = 0;
+            for (const row of rows) {
+                for (const i of indexes.filter(i => isEncrypted(row[i]) && cipherKeyId(row[i]) !== keyId)) {
+                    keyIds.add(cipherKeyId(row[i]));
+                    count++;
+                }
+            }
+            if (count) sheets.push({ name, keyIds: [...keyIds], count });
+        }
+        return sheets;
+    };
+
+    const readArchive = async (file) => {
+        const text = typeof file === 'string' ? file : await file.text();
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Restaure une archive produite par exportAll (File, Blob ou texte JSON).
+     * L'archive est d'abord validée puis comparée au classeur ; avec { dryRun: true },
+     * seul ce rapport est retourné. Sinon chaque feuille de l'archive remplace la feuille
+     * actuelle en une seule requête, puis les migrations éventuelles sont rejouées.
+     * Retourne { valid, restored, errors, warnings, exportedAt, schemaVersion, sheets: [diff] }.
+     */
+    const importAll = async (file, { dryRun = false } = {}) => {
+        const report = { valid: false, restored: false, errors: [], warnings: [], exportedAt: null, schemaVersion: null, sheets: [] };
+        try {
+            if (isOffline()) throw new Error("Restauration impossible hors-ligne");
+
+            const archive = await readArchive(file);
+            const latestVersion = Math.max(0, ...MIGRATIONS.map(m => m.version));
+            report.errors = validateArchive(archive, latestVersion);
+            if (report.errors.length) return report;
+
+            report.exportedAt = archive.exportedAt || null;
+            report.schemaVersion = archive.schemaVersion;
+
+            await ensureReady();
+            const sheetTitles = await getSheetTitles();
+            const metadata = await readMetadata(sheetTitles);
+            const names = Object.keys(archive.sheets);
+            const grids = await readGrids(names, sheetTitles);
+
+            report.sheets = names.map(name => diffSheet(name, archive.sheets[name], grids.get(name)));
+            BACKUP_SHEETS
+                .filter(name => !names.includes(name) && sheetTitles.includes(name))
+                .forEach(name => report.warnings.push(`${name} absente de la sauvegarde : feuille conservée en l'état`));
+            if (archive.spreadsheetId && archive.spreadsheetId !== config.spreadsheetId) {
+                report.warnings.push("Sauvegarde provenant d'un autre classeur");
+            }
+            if (archive.schemaVersion < schemaVersionOf(metadata)) {
+                report.warnings.push(`Schéma ${archive.schemaVersion} : les migrations seront rejouées après restauration`);
+            }
+
+            const currentKey = settingsFromMetadata(metadata);
+            const archiveKey = resolveArchiveKey(archive, currentKey, keyHistoryFromMetadata(metadata));
+            if (archiveKey.error) {
+                report.errors.push(archiveKey.error);
+                return report;
+            }
+            if (archiveKey.settings) {
+                report.warnings.push(`Notes chiffrées avec la clé ${archiveKey.settings.keyId} : la phrase secrète ` +
+                    "en vigueur lors de la sauvegarde sera demandée");
+            }
+
+            // Feuilles conservées (archives annuelles créées depuis la sauvegarde...) sous une autre clé
+            const keptGrids = await readGrids(
+                sheetTitles.filter(title => !names.includes(title) && encryptedColumns(title).length), sheetTitles);
+            const restoredKeyId = (archiveKey.settings || currentKey)?.keyId;
+            foreignKeySheets(keptGrids, restoredKeyId).forEach(({ name, keyIds, count }) => report.warnings.push(
+                `${name} absente de la sauvegarde : ${count} valeur(s) chiffrée(s) avec la clé ${keyIds.join(', ')} ` +
+                "resteront illisibles après restauration"));
+            report.valid = true;
+
+            if (dryRun) return report;
+
+            if (await getPendingWriteCount() > 0) {
+                throw new Error("Des écritures hors-ligne sont en attente : synchronisez-les avant de restaurer");
+            }
+
+            const missing = [...names.filter(name => !grids.has(name)), ...(metadata ? [] : [META_SHEET])];
+            if (missing.length) {
+                await request('batchUpdate', {
+                    spreadsheetId: config.spreadsheetId,
+                    resource: {
+                        requests: missing.map(title => ({
+                            addSheet: { properties: title === META_SHEET ? { title, hidden: true } : { title } }
+                        }))
+                    }
+                });
+            }
+
+            const data = names.map(name => {
+                const { headers, rows } = archive.sheets[name];
+                const current = grids.get(name) || [];
+                return {
+                    range: window.sheetRanges.a1(name, 'A1'),
+                    values: paddedGrid([headers, ...rows], current.length, Math.max(0, ...current.map(row => row.length)))
+                };
+            });
+            // Clé de la sauvegarde différente : elle redevient la clé courante, l'actuelle passe à l'historique
+            const meta = (archiveKey.settings
+                ? withEncryptionMeta(metadata, archiveKey.settings,
+                    retireKey(keyHistoryFromMetadata(metadata), currentKey).filter(k => k.keyId !== archiveKey.settings.keyId))
+                : metadata || [META_HEADERS]
+            ).filter(row => row[0] !== SCHEMA_VERSION_KEY);
+            meta.push([SCHEMA_VERSION_KEY, String(archive.schemaVersion)]);
+            data.push({
+                range: window.sheetRanges.a1(META_SHEET, 'A1'),
+                values: paddedGrid(meta, metadata?.length || 0, 2)
+            });
+
+            await request('values.batchUpdate', {
+                spreadsheetId: config.spreadsheetId,
+                resource: { valueInputOption: 'RAW', data }
+            });
+
+            for (const name of names) {
+                await saveToMirror(name, archive.sheets[name].rows, archive.sheets[name].headers);
+            }
+            report.restored = true;
+            knownHeaders.clear();
+            if (archiveKey.settings) await loadEncryption({ refresh: true });
+            logSuccess("Sauvegarde restaurée", { exportedAt: report.exportedAt, sheets: report.sheets });
+            announceWrite(names);
+
+            // Remettre le classeur au schéma courant si la sauvegarde est plus ancienne
+            migratedSpreadsheetId = null;
+            await ensureMigrated();
+            return report;
         } catch (error) {
-            logError(`Erreur update ${sheetName}`, { message: error.message || error });
-            return { success: false, error: error.message };
+            logError("Erreur restauration de la sauvegarde", { message: error.message || error });
+            report.errors.push(error.message || String(error));
+            return report;
         }
     };
 
+    // =========================================================================
+    // ARCHIVAGE
+    // =========================================================================
+
+    const lastArchiveKey = (sheetName) => `dernier_archivage_${sheetName}`;
+
     /**
-     * Supprime une ligne.
+     * Date d'une cellule au format "dd/MM/yyyy" ou ISO ("yyyy-MM-dd..."), null si illisible.
      */
-    const deleteRow = async (sheetName, rowIndex) => {
-        await ensureReady();
+    const parseSheetDate = (text) => {
+        const value = String(text ?? '').trim();
+        let match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(value);
+        if (match) return new Date(+match[3], +match[2] - 1, +match[1]);
+        match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+        if (match) return new Date(+match[1], +match[2] - 1, +match[3]);
+        return null;
+    };
+
+    /**
+     * Enregistre une valeur dans la feuille de métadonnées (créée si besoin).
+     */
+    const setMetadata = async (sheetTitles, key, value) => {
+        const metadata = await readMetadata(sheetTitles);
+        if (!metadata) {
+            await request('batchUpdate', {
+                spreadsheetId: config.spreadsheetId,
+                resource: { requests: [{ addSheet: { properties: { title: META_SHEET, hidden: true } } }] }
+            });
+        }
+        const meta = metadata ? metadata.map(row => [...row]) : [META_HEADERS];
+        const row = meta.find(r => r[0] === key);
+        if (row) row[1] = value;
+        else meta.push([key, value]);
+
+        await request('values.update', {
+            spreadsheetId: config.spreadsheetId,
+            range: window.sheetRanges.a1(META_SHEET, 'A1'),
+            valueInputOption: 'RAW',
+            resource: { values: meta }
+        });
+    };
+
+    /**
+     * Regroupe des numéros de ligne (base 1) en plages contiguës, de bas en haut.
+     */
+    const rowSpans = (rowIndexes) => {
+        const spans = [];
+        for (const rowIndex of [...rowIndexes].sort((a, b) => b - a)) {
+            const last = spans.at(-1);
+            if (last && last.start === rowIndex + 1) last.start = rowIndex;
+            else spans.push({ start: rowIndex, end: rowIndex });
+        }
+        return spans;
+    };
+
+    /**
+     * Déplace les lignes datées de plus de `years` ans vers des feuilles annuelles
+     * "<feuille>_Archive_<année>" (créées au besoin, avec l'en-tête de la feuille source).
+     * Ajouts dans les archives et suppressions dans la source partent en une seule requête.
+     * Avec { dryRun: true }, seul le rapport est calculé.
+     * Retourne { success, dryRun, cutoff, archived, skipped, sheets: [{ sheet, rows, created }], lastArchivedAt, error }.
+     */
+    const archiveRows = async (sheetName, { years = 3, dateHeader = 'date', dryRun = false } = {}) => {
+        const report = { success: false, dryRun, cutoff: null, archived: 0, skipped: 0, sheets: [], lastArchivedAt: null, error: null };
         try {
-            const spreadsheet = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: config.spreadsheetId
+            if (isOffline()) throw new Error("Archivage impossible hors-ligne");
+            if (!(years >= 1)) throw new Error("La durée de conservation doit être d'au moins un an");
+            await ensureReady();
+
+            const sheetTitles = await getSheetTitles();
+            const metadata = await readMetadata(sheetTitles);
+            report.lastArchivedAt = metadata?.find(row => row[0] === lastArchiveKey(sheetName))?.[1] || null;
+
+            const [headers = [], ...rows] = (await readGrids([sheetName], sheetTitles)).get(sheetName) || [];
+            const dateIndex = headers.indexOf(dateHeader);
+            if (dateIndex < 0) throw new Error(`Colonne ${dateHeader} absente de ${sheetName}`);
+
+            const today = new Date();
+            const cutoff = new Date(today.getFullYear() - years, today.getMonth(), today.getDate());
+            report.cutoff = cutoff.toISOString();
+
+            // Lignes à archiver, par feuille d'archive ; rowIndex en base 1 (en-tête = 1)
+            const byArchive = new Map();
+            rows.forEach((row, i) => {
+                const date = parseSheetDate(row[dateIndex]);
+                if (!date) {
+                    if (row[0]) report.skipped++;
+                    return;
+                }
+                if (date >= cutoff) return;
+                const archiveName = `${sheetName}_Archive_${date.getFullYear()}`;
+                if (!byArchive.has(archiveName)) byArchive.set(archiveName, []);
+                byArchive.get(archiveName).push({ rowIndex: i + 2, row });
             });
 
-            const sheet = spreadsheet.result.sheets.find(s =>
-                s.properties.title === sheetName
+            report.sheets = [...byArchive]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([sheet, items]) => ({ sheet, rows: items.length, created: !sheetTitles.includes(sheet) }));
+            report.archived = report.sheets.reduce((sum, sheet) => sum + sheet.rows, 0);
+            if (dryRun || report.archived === 0) {
+                report.success = true;
+                return report;
+            }
+
+            if (await getPendingWriteCount() > 0) {
+                throw new Error("Des écritures hors-ligne sont en attente : synchronisez-les avant d'archiver");
+            }
+
+            // Une archive existante doit avoir un en-tête compatible (éventuellement plus court)
+            const existing = report.sheets.filter(sheet => !sheet.created).map(sheet => sheet.sheet);
+            if (existing.length) {
+                const response = await request('values.batchGet', {
+                    spreadsheetId: config.spreadsheetId,
+                    ranges: existing.map(name => window.sheetRanges.a1(name, '1:1'))
+                });
+                existing.forEach((name, i) => {
+                    const archiveHeaders = response.result.valueRanges?.[i]?.values?.[0] || [];
+                    if (archiveHeaders.some((header, c) => header !== headers[c])) {
+                        throw new Error(`En-têtes de ${name} incompatibles avec ${sheetName}`);
+                    }
+                });
+            }
+
+            const created = report.sheets.filter(sheet => sheet.created).map(sheet => sheet.sheet);
+            if (created.length) {
+                await request('batchUpdate', {
+                    spreadsheetId: config.spreadsheetId,
+                    resource: { requests: created.map(title => ({ addSheet: { properties: { title } } })) }
+                });
+            }
+
+            const spreadsheet = await request('get', { spreadsheetId: config.spreadsheetId });
+            const sheetIds = new Map(spreadsheet.result.sheets.map(s =>
+                [s.properties.title, s.properties.sheetId]));
+            const toRowData = (row) => ({ values: row.map(toCellData) });
+
+            const requests = [];
+            for (const [archiveName, items] of byArchive) {
+                const sheetId = sheetIds.get(archiveName);
+                requests.push(
+                    {
+                        updateCells: {
+                            start: { sheetId, rowIndex: 0, columnIndex: 0 },
+                            rows: [toRowData(headers)],
+                            fields: 'userEnteredValue'
+                        }
+                    },
+                    { appendCells: { sheetId, rows: items.map(item => toRowData(item.row)), fields: 'userEnteredValue' } }
+                );
+            }
+            const sourceId = sheetIds.get(sheetName);
+            const archivedIndexes = [...byArchive.values()].flat().map(item => item.rowIndex);
+            rowSpans(archivedIndexes).forEach(({ start, end }) => requests.push({
+                deleteDimension: { range: { sheetId: sourceId, dimension: 'ROWS', startIndex: start - 1, endIndex: end } }
+            }));
+
+            await request('batchUpdate', {
+                spreadsheetId: config.spreadsheetId,
+                resource: { requests }
+            });
+
+            const archivedSet = new Set(archivedIndexes);
+            const remaining = rows.filter((_, i) => !archivedSet.has(i + 2));
+            await saveToMirror(sheetName, remaining, headers);
+            watchSheet(sheetName, remaining);
+
+            report.lastArchivedAt = new Date().toISOString();
+            await setMetadata(sheetTitles, lastArchiveKey(sheetName), report.lastArchivedAt);
+
+            const changes = [...byArchive.values()].flat().map(({ row }) => ({
+                sheetName, guid: row[0] || '', operation: 'archive', headers, before: row, after: null
+            }));
+            await appendJournal({ audit: { ...auditStamp(), operation: 'archive' } }, changes);
+            announceWrite([sheetName, ...byArchive.keys()]);
+
+            report.success = true;
+            logSuccess(`${report.archived} ligne(s) de ${sheetName} archivée(s)`, { sheets: report.sheets });
+            return report;
+        } catch (error) {
+            logError("Erreur archivage", { sheetName, message: error.message || error });
+            report.error = error.message || String(error);
+            return report;
+        }
+    };
+
+    /**
+     * Feuilles d'archive existantes d'une feuille, triées par année.
+     */
+    const listArchives = async (sheetName) => {
+        if (isOffline()) throw new Error("Liste des archives indisponible hors-ligne");
+        await ensureReady();
+        return (await getSheetTitles())
+            .filter(title => title.startsWith(`${sheetName}_Archive_`) && ARCHIVE_SHEET_PATTERN.test(title))
+            .sort();
+    };
+
+    // =========================================================================
+    // DONNÉES PERSONNELLES
+    // =========================================================================
+
+    /**
+     * Feuilles couvertes par une règle : la feuille elle-même et ses archives annuelles.
+     */
+    const ruleSheets = (rule, sheetTitles) => sheetTitles.filter(title => title === rule.sheetName
+        || (title.startsWith(`${rule.sheetName}_Archive_`) && ARCHIVE_SHEET_PATTERN.test(title)));
+
+    /**
+     * Lit, pour chaque règle { sheetName, column }, les lignes dont la colonne vaut `value`,
+     * archives et lignes supprimées logiquement comprises (lecture directe, sans miroir).
+     * Retourne { nom: { headers, rows: [ligne] } } pour chaque feuille existante.
+     */
+    const readMatchingRows = async (value, rules, sheetTitles) => {
+        const names = [...new Set(rules.flatMap(rule => ruleSheets(rule, sheetTitles)))];
+        const grids = await readGrids(names, sheetTitles);
+        const matches = {};
+        for (const rule of rules) {
+            for (const name of ruleSheets(rule, sheetTitles)) {
+                const [headers = [], ...rows] = grids.get(name) || [];
+                const column = headers.indexOf(rule.column);
+                if (column < 0) continue;
+                matches[name] = {
+                    rule,
+                    headers,
+                    rows: rows
+                        .map((row, i) => ({ rowIndex: i + 2, row }))
+                        .filter(item => item.row[column] === value)
+                };
+            }
+        }
+        return matches;
+    };
+
+    /**
+     * Rassemble les lignes qui concernent une personne (demande d'accès).
+     * Retourne { success, sheets: { nom: [{ en-tête: valeur }] }, error }.
+     */
+    const collectRows = async (value, rules) => {
+        try {
+            if (isOffline()) throw new Error("Export impossible hors-ligne");
+            await ensureReady();
+
+            const matches = await readMatchingRows(value, rules, await getSheetTitles());
+            const sheets = {};
+            for (const [name, { headers, rows }] of Object.entries(matches)) {
+                const decrypted = await decryptRows(name, headers, rows.map(({ row }) => row));
+                sheets[name] = decrypted.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? ''])));
+            }
+            return { success: true, sheets };
+        } catch (error) {
+            logError("Erreur collecte des données personnelles", { message: error.message || error });
+            return { success: false, sheets: {}, error: error.message || String(error) };
+        }
+    };
+
+    /**
+     * Expurge le journal : dans les entrées des GUID donnés, les champs listés par feuille
+     * reçoivent la valeur de remplacement, dans "avant" comme dans "apres".
+     * Retourne le nombre d'entrées réécrites.
+     */
+    const redactJournal = async (guids, valuesBySheet) => {
+        if (!(await getSheetTitles()).includes(JOURNAL_SHEET)) return 0;
+
+        const response = await request('values.get', {
+            spreadsheetId: config.spreadsheetId,
+            range: window.sheetRanges.a1(JOURNAL_SHEET)
+        });
+        const [headers = [], ...rows] = response.result.values || [];
+        const col = Object.fromEntries(JOURNAL_HEADERS.map(h => [h, headers.indexOf(h)]));
+
+        const redact = (json, values) => {
+            const data = parseJson(json);
+            if (!data) return json;
+            for (const [header, value] of Object.entries(values)) {
+                if (header in data) data[header] = value;
+            }
+            return JSON.stringify(data);
+        };
+
+        const data = [];
+        rows.forEach((row, i) => {
+            const sheet = (row[col.feuille] || '').replace(ARCHIVE_SHEET_PATTERN, '');
+            const values = valuesBySheet[sheet];
+            if (!values || !guids.has(row[col.guid])) return;
+
+            const before = redact(row[col.avant], values);
+            const after = redact(row[col.apres], values);
+            if (before === (row[col.avant] ?? '') && after === (row[col.apres] ?? '')) return;
+            const rowNumber = i + 2;
+            data.push(
+                { range: window.sheetRanges.a1(JOURNAL_SHEET, `${window.sheetRanges.columnLetter(col.avant)}${rowNumber}`), values: [[before ?? '']] },
+                { range: window.sheetRanges.a1(JOURNAL_SHEET, `${window.sheetRanges.columnLetter(col.apres)}${rowNumber}`), values: [[after ?? '']] }
             );
-            if (!sheet) throw new Error(`Feuille ${sheetName} non trouvée`);
+        });
 
-            await gapi.client.sheets.spreadsheets.batchUpdate({
+        if (data.length) {
+            await request('values.batchUpdate', {
                 spreadsheetId: config.spreadsheetId,
-                resource: {
-                    requests: [{
-                        deleteDimension: {
-                            range: {
-                                sheetId: sheet.properties.sheetId,
-                                dimension: 'ROWS',
-                                startIndex: rowIndex - 1,
-                                endIndex: rowIndex
-                            }
-                        }
-                    }]
-                }
+                resource: { valueInputOption: 'RAW', data }
             });
-            logSuccess(`Ligne ${rowIndex} de ${sheetName} supprimée`);
-            return { success: true };
+        }
+        return data.length / 2;
+    };
+
+    /**
+     * Efface les données personnelles d'une personne (droit à l'effacement) : pour chaque règle
+     * { sheetName, column, values: { en-tête: remplacement } }, les lignes dont la colonne vaut
+     * `value` (archives et lignes supprimées comprises) reçoivent les valeurs de remplacement,
+     * en une seule requête. Le journal est ensuite expurgé des mêmes champs ; l'effacement y est
+     * tracé sans les valeurs d'origine.
+     * Retourne { success, sheets: { nom: lignes modifiées }, journal, error }.
+     */
+    const redactRows = async (value, rules) => {
+        const report = { success: false, sheets: {}, journal: 0, error: null };
+        try {
+            if (isOffline()) throw new Error("Effacement impossible hors-ligne");
+            if (!value) throw new Error("Identifiant manquant");
+            await ensureReady();
+            if (await getPendingWriteCount() > 0) {
+                throw new Error("Des écritures hors-ligne sont en attente : synchronisez-les avant d'effacer");
+            }
+
+            const sheetTitles = await getSheetTitles();
+            const matches = await readMatchingRows(value, rules, sheetTitles);
+
+            const data = [];
+            const changes = [];
+            const guids = new Set([value]);
+            const updatedGrids = new Map();
+            for (const [name, { rule, headers, rows }] of Object.entries(matches)) {
+                report.sheets[name] = 0;
+                for (const { rowIndex, row } of rows) {
+                    const updated = headers.map((header, i) => header in rule.values ? rule.values[header] : (row[i] ?? ''));
+                    guids.add(row[0]);
+                    if (updated.every((cell, i) => cell === (row[i] ?? ''))) continue;
+
+                    data.push({
+                        range: window.sheetRanges.rowRange(name, rowIndex, headers.length - 1),
+                        values: [updated]
+                    });
+                    changes.push({ sheetName: name, guid: row[0] || '', operation: 'erase', headers, before: null, after: updated });
+                    report.sheets[name]++;
+                    if (!updatedGrids.has(name)) updatedGrids.set(name, new Map());
+                    updatedGrids.get(name).set(rowIndex, updated);
+                }
+            }
+
+            if (data.length) {
+                await request('values.batchUpdate', {
+                    spreadsheetId: config.spreadsheetId,
+                    resource: { valueInputOption: 'RAW', data }
+                });
+            }
+
+            // Le miroir local ne doit pas conserver les valeurs effacées
+            for (const [name, updates] of updatedGrids) {
+                if (ARCHIVE_SHEET_PATTERN.test(name)) continue;
+                const entry = hasOfflineStore() ? await window.offlineStore.getSheetEntry(name) : null;
+                if (!entry) continue;
+                const rows = entry.rows.map(row => [...updates.values()].find(u => u[0] === row[0]) || row);
+                await saveToMirror(name, rows, entry.headers);
+            }
+
+            const valuesBySheet = Object.fromEntries(rules.map(rule => [rule.sheetName, rule.values]));
+            report.journal = await redactJournal(guids, valuesBySheet);
+            await appendJournal({ audit: { ...auditStamp(), operation: 'erase' } }, changes);
+            if (changes.length) announceWrite([...updatedGrids.keys()]);
+
+            report.success = true;
+            logSuccess("Données personnelles effacées", { sheets: report.sheets, journal: report.journal });
+            return report;
         } catch (error) {
-            logError(`Erreur delete ${sheetName}`, { message: error.message || error });
-            return { success: false, error: error.message };
+            logError("Erreur effacement des données personnelles", { message: error.message || error });
+            report.error = error.message || String(error);
+            return report;
         }
     };
 
@@ -293,11 +3131,41 @@ const googleSheetsApi = (() => {
         initialize,
         isInitialized,
         ensureSheet,
+        migrate,
+        getSchemaVersion,
         readSheet,
+        readSheetAsObjects,
         batchRead,
         appendRow,
         updateRow,
-        deleteRow
+        deleteRow,
+        updateRowByGuid,
+        deleteRowByGuid,
+        batchWrite,
+        flushOutbox,
+        getPendingWriteCount,
+        getFailedWrites,
+        retryFailedWrite,
+        discardFailedWrite,
+        getRequestStats,
+        exportAll,
+        importAll,
+        archiveRows,
+        listArchives,
+        collectRows,
+        redactRows,
+        getEncryptionStatus,
+        valueFingerprint,
+        unlockEncryption,
+        lockEncryption,
+        rotateEncryptionKey,
+        disableEncryption,
+        readJournal,
+        restoreRow,
+        checkForChanges,
+        stopChangeWatch,
+        registerChangeCallback,
+        unregisterChangeCallback
     });
 })();
 
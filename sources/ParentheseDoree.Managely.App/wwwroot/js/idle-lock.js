@@ -0,0 +1,320 @@
+/**
+ * idle-lock.js - Verrouillage de l'écran après inactivité (poste d'accueil partagé)
+ * L'application est floutée et rendue inerte, et un code PIN local est demandé pour reprendre, sans
+ * révoquer le token Google. Après trop d'essais infructueux, la session est fermée.
+ * Le réglage est propre à l'appareil ; l'état verrouillé est partagé entre les onglets.
+ */
+const idleLock = (() => {
+    const SETTINGS_KEY = 'managely_verrouillage';
+    const STATE_KEY = 'managely_verrouillage_etat';
+    const ACTIVITY_KEY = 'managely_derniere_activite';
+
+    const DEFAULT_TIMEOUT_MINUTES = 5;
+    const MAX_ATTEMPTS = 5;
+    const PIN_ITERATIONS = 100000;
+    const PIN_PATTERN = /^\d{4,8}$/;
+
+    // L'activité n'est enregistrée qu'une fois par intervalle, et l'inactivité vérifiée à ce rythme
+    const ACTIVITY_THROTTLE_MS = 5000;
+    const CHECK_INTERVAL_MS = 10000;
+    const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    const LOCKED_CLASS = 'app-verrouillee';
+    const APP_SELECTOR = '.app-layout';
+    const PIN_SELECTOR = '.ecran-verrouille input';
+    // L'écran de verrouillage est rendu par Blazor après le callback : le champ est attendu quelques images
+    const FOCUS_MAX_FRAMES = 30;
+
+    let blazorCallback = null;
+    let checkTimer = null;
+    let lastRecorded = 0;
+    let started = false;
+
+    const log = (level, msg, data) => {
+        if (window.browserLogger) {
+            window.browserLogger[level]("AUTH", msg, data);
+        } else {
+            const fn = level === 'error' ? console.error :
+                       level === 'warn' ? console.warn : console.info;
+            fn(`[LOCK] ${msg}`, data);
+        }
+    };
+
+    // =========================================================================
+    // RÉGLAGES ET ÉTAT
+    // =========================================================================
+
+    const readJson = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || null;
+        } catch {
+            return null;
+        }
+    };
+
+    const writeJson = (key, value) => {
+        try {
+            if (value === null) localStorage.removeItem(key);
+            else localStorage.setItem(key, JSON.stringify(value));
+        } catch {
+            // Sans localStorage, le verrouillage reste propre à l'onglet
+        }
+    };
+
+    const readSettings = () => ({
+        pinHash: null,
+        pinSalt: null,
+        timeoutMinutes: DEFAULT_TIMEOUT_MINUTES,
+        lockOnHide: false,
+        ...readJson(SETTINGS_KEY)
+    });
+
+    const readState = () => ({ locked: false, failures: 0, ...readJson(STATE_KEY) });
+
+    const isConfigured = () => !!readSettings().pinHash;
+
+    const isSignedIn = () => !!window.googleAuthApi?.isSignedIn();
+
+    const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+    const hashPin = async (pin, salt) => {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations: PIN_ITERATIONS, hash: 'SHA-256' },
+            material,
+            256);
+        return toBase64(bits);
+    };
+
+    /**
+     * Réglages exposés à l'application (jamais le hachage du PIN).
+     */
+    const getSettings = () => {
+        const settings = readSettings();
+        return {
+            pinDefined: !!settings.pinHash,
+            timeoutMinutes: settings.timeoutMinutes,
+            lockOnHide: settings.lockOnHide
+        };
+    };
+
+    /**
+     * Enregistre le délai, l'option de verrouillage au masquage de l'onglet et,
+     * si pin est fourni, un nouveau code PIN. Retourne { success, error }.
+     */
+    const saveSettings = async ({ pin = null, timeoutMinutes, lockOnHide } = {}) => {
+        const settings = readSettings();
+        const minutes = parseInt(timeoutMinutes, 10);
+        if (!(minutes >= 1 && minutes <= 240)) {
+            return { success: false, error: "Le délai doit être compris entre 1 et 240 minutes" };
+        }
+        if (pin !== null && !PIN_PATTERN.test(pin)) {
+            return { success: false, error: "Le code PIN doit comporter de 4 à 8 chiffres" };
+        }
+        if (pin === null && !settings.pinHash) {
+            return { success: false, error: "Définissez d'abord un code PIN" };
+        }
+
+        if (pin !== null) {
+            settings.pinSalt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+            settings.pinHash = await hashPin(pin, settings.pinSalt);
+        }
+        settings.timeoutMinutes = minutes;
+        settings.lockOnHide = !!lockOnHide;
+        writeJson(SETTINGS_KEY, settings);
+        recordActivity(true);
+        log('info', "Verrouillage automatique configuré", { timeoutMinutes: minutes, lockOnHide: settings.lockOnHide });
+        return { success: true };
+    };
+
+    /**
+     * Supprime le code PIN : le verrouillage automatique est désactivé sur cet appareil.
+     */
+    const clearPin = () => {
+        writeJson(SETTINGS_KEY, null);
+        setLocked(false);
+        log('info', "Verrouillage automatique désactivé");
+    };
+
+    // =========================================================================
+    // VERROUILLAGE
+    // =========================================================================
+
+    const focusPin = (frames = FOCUS_MAX_FRAMES) => {
+        if (!readState().locked) return;
+        const input = document.querySelector(PIN_SELECTOR);
+        if (input && !input.disabled) input.focus();
+        else if (frames > 0) requestAnimationFrame(() => focusPin(frames - 1));
+    };
+
+    /**
+     * Le flou ne suffit pas : l'application est rendue inerte (ni focus clavier, ni activation,
+     * ni lecteur d'écran) tant que l'écran est verrouillé, et le focus passe au code PIN.
+     */
+    const applyLockedDom = (locked) => {
+        document.body?.classList.toggle(LOCKED_CLASS, locked);
+        document.querySelectorAll(APP_SELECTOR).forEach(element => {
+            element.toggleAttribute('inert', locked);
+            if (locked) element.setAttribute('aria-hidden', 'true');
+            else element.removeAttribute('aria-hidden');
+        });
+        if (locked) {
+            if (document.activeElement instanceof HTMLElement) document.activeElement.blur();
+            focusPin();
+        }
+    };
+
+    const applyLocked = (locked) => {
+        applyLockedDom(locked);
+        if (blazorCallback) {
+            blazorCallback.dotNetRef.invokeMethodAsync(blazorCallback.methodName, locked)
+                .catch(error => log('error', "Erreur callback verrouillage", { message: error.message }));
+        }
+    };
+
+    const setLocked = (locked, { broadcast = true } = {}) => {
+        const wasLocked = readState().locked;
+        writeJson(STATE_KEY, locked ? { locked: true, failures: readState().failures } : null);
+        if (broadcast && wasLocked !== locked) window.tabSync?.publish('idle-lock', { locked });
+        applyLocked(locked);
+    };
+
+    const isLocked = () => isConfigured() && readState().locked;
+
+    /**
+     * Verrouille immédiatement (sans effet si aucun PIN n'est défini).
+     */
+    const lock = (reason = 'manuel') => {
+        if (!isConfigured() || !isSignedIn() || readState().locked) return false;
+        setLocked(true);
+        log('info', "Écran verrouillé", { reason });
+        return true;
+    };
+
+    /**
+     * Déverrouille avec le code PIN. Après MAX_ATTEMPTS échecs, la session Google est fermée.
+     * Retourne { success, attemptsLeft, signedOut }.
+     */
+    const unlock = async (pin) => {
+        const settings = readSettings();
+        const state = readState();
+        if (!settings.pinHash || !state.locked) {
+            setLocked(false);
+            return { success: true, attemptsLeft: MAX_ATTEMPTS, signedOut: false };
+        }
+
+        if (await hashPin(String(pin ?? ''), settings.pinSalt) === settings.pinHash) {
+            setLocked(false);
+            recordActivity(true);
+            log('info', "Écran déverrouillé");
+            return { success: true, attemptsLeft: MAX_ATTEMPTS, signedOut: false };
+        }
+
+        const failures = state.failures + 1;
+        if (failures >= MAX_ATTEMPTS) {
+            log('warn', "Trop d'essais de code PIN, déconnexion", { failures });
+            setLocked(false);
+            window.googleAuthApi?.signOut();
+            return { success: false, attemptsLeft: 0, signedOut: true };
+        }
+        writeJson(STATE_KEY, { locked: true, failures });
+        log('warn', "Code PIN incorrect", { failures });
+        return { success: false, attemptsLeft: MAX_ATTEMPTS - failures, signedOut: false };
+    };
+
+    /**
+     * Oublie l'état verrouillé (nouvelle connexion Google ou déconnexion).
+     */
+    const reset = () => {
+        writeJson(STATE_KEY, null);
+        recordActivity(true);
+        applyLocked(false);
+    };
+
+    // =========================================================================
+    // SURVEILLANCE DE L'ACTIVITÉ
+    // =========================================================================
+
+    // La dernière activité est partagée : un onglet inactif ne verrouille pas celui qu'on utilise
+    const recordActivity = (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastRecorded < ACTIVITY_THROTTLE_MS) return;
+        lastRecorded = now;
+        try {
+            localStorage.setItem(ACTIVITY_KEY, String(now));
+        } catch {
+            // L'activité locale (lastRecorded) suffit
+        }
+    };
+
+    const lastActivity = () => {
+        try {
+            return Math.max(lastRecorded, parseInt(localStorage.getItem(ACTIVITY_KEY), 10) || 0);
+        } catch {
+            return lastRecorded;
+        }
+    };
+
+    const checkIdle = () => {
+        if (!isConfigured() || !isSignedIn() || readState().locked) return;
+        const idleMs = Date.now() - lastActivity();
+        if (idleMs >= readSettings().timeoutMinutes * 60 * 1000) lock('inactivité');
+    };
+
+    const onActivity = () => {
+        if (!readState().locked) recordActivity();
+    };
+
+    const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            if (readSettings().lockOnHide) lock('onglet masqué');
+        } else {
+            checkIdle();
+        }
+    };
+
+    const start = () => {
+        if (started) return;
+        started = true;
+        recordActivity(true);
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, onActivity, { passive: true, capture: true }));
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        checkTimer = setInterval(checkIdle, CHECK_INTERVAL_MS);
+        window.tabSync?.subscribe('idle-lock', ({ locked }) => applyLocked(locked));
+    };
+
+    /**
+     * Enregistre le callback Blazor appelé à chaque verrouillage / déverrouillage
+     * et retourne l'état courant.
+     */
+    const registerCallback = (dotNetRef, methodName) => {
+        blazorCallback = { dotNetRef, methodName };
+        const locked = isLocked();
+        applyLockedDom(locked);
+        return { ...getSettings(), locked, maxAttempts: MAX_ATTEMPTS, attemptsLeft: MAX_ATTEMPTS - readState().failures };
+    };
+
+    const unregisterCallback = () => {
+        blazorCallback = null;
+    };
+
+    if (typeof window !== 'undefined') start();
+
+    return Object.freeze({
+        getSettings,
+        saveSettings,
+        clearPin,
+        lock,
+        unlock,
+        isLocked,
+        reset,
+        registerCallback,
+        unregisterCallback
+    });
+})();
+
+Object.defineProperty(window, 'idleLock', {
+    value: idleLock,
+    configurable: false,
+    writable: false
+});
@@ -0,0 +1,339 @@
+/**
+ * local-sheets-backend.js - Backend local de remplacement pour googleSheetsApi
+ * Émule les méthodes de l'API Sheets v4 utilisées par l'application sur un classeur
+ * conservé dans le localStorage, initialisé depuis une fixture JSON.
+ * Activation : window.MANAGELY_CONFIG.STORAGE_BACKEND = 'local'
+ */
+const localSheetsBackend = (() => {
+    const STORAGE_KEY = 'managely_local_spreadsheet';
+    const DEFAULT_FIXTURE_URL = 'data/demo-fixture.json';
+
+    // Classeur en mémoire : { nextSheetId, sheets: [{ sheetId, title, rows }] }
+    let workbook = null;
+    let loadPromise = null;
+
+    const log = (level, msg, data) => {
+        if (window.browserLogger) {
+            window.browserLogger[level]("API", msg, data);
+        } else {
+            const fn = level === 'error' ? console.error :
+                       level === 'warn' ? console.warn : console.info;
+            fn(`[LOCAL] ${msg}`, data);
+        }
+    };
+
+    /**
+     * Erreur au format des réponses gapi.
+     */
+    const apiError = (status, message) => Object.assign(new Error(message), {
+        status,
+        result: { error: { code: status, message } }
+    });
+
+    // =========================================================================
+    // CHARGEMENT ET PERSISTANCE
+    // =========================================================================
+
+    const fromFixture = (fixture) => {
+        const sheets = Object.entries(fixture?.sheets || {}).map(([title, rows], index) => ({
+            sheetId: index + 1,
+            title,
+            rows: (rows || []).map(row => row.map(cell => cell == null ? '' : String(cell)))
+        }));
+        return { nextSheetId: sheets.length + 1, sheets };
+    };
+
+    const persist = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(workbook));
+        } catch (error) {
+            log('error', "Sauvegarde du classeur local impossible", { message: error.message });
+        }
+    };
+
+    const seed = async () => {
+        const url = window.MANAGELY_CONFIG?.LOCAL_FIXTURE_URL || DEFAULT_FIXTURE_URL;
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            workbook = fromFixture(await response.json());
+            log('info', "Classeur local initialisé depuis la fixture", { url, sheets: workbook.sheets.length });
+        } catch (error) {
+            log('warn', "Fixture introuvable, classeur local vide", { url, message: error.message });
+            workbook = fromFixture(null);
+        }
+        persist();
+    };
+
+    const load = () => {
+        if (workbook) return Promise.resolve();
+        if (loadPromise) return loadPromise;
+
+        loadPromise = (async () => {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                try {
+                    workbook = JSON.parse(saved);
+                    return;
+                } catch {
+                    log('warn', "Classeur local illisible, réinitialisation");
+                }
+            }
+            await seed();
+        })().finally(() => {
+            loadPromise = null;
+        });
+
+        return loadPromise;
+    };
+
+    /**
+     * Efface le classeur local et le réinitialise depuis la fixture.
+     */
+    const reset = async () => {
+        localStorage.removeItem(STORAGE_KEY);
+        workbook = null;
+        await seed();
+        return true;
+    };
+
+    /**
+     * Oublie le classeur en mémoire : il sera relu depuis le localStorage, où un autre
+     * onglet a pu écrire.
+     */
+    const reload = () => {
+        if (!loadPromise) workbook = null;
+    };
+
+    // =========================================================================
+    // PLAGES A1 (voir sheet-ranges.js)
+    // =========================================================================
+
+    /**
+     * Découpe "Feuille!A2:M10" en bornes 0-based (null = non bornée).
+     */
+    const parseRange = (range) => {
+        try {
+            const bounds = window.sheetRanges.parse(range);
+            return {
+                title: bounds.sheetName,
+                startRow: bounds.startRow ?? 0,
+                endRow: bounds.endRow,
+                startCol: bounds.startColumn ?? 0,
+                endCol: bounds.endColumn
+            };
+        } catch (error) {
+            throw apiError(400, error.message);
+        }
+    };
+
+    const rangeOf = (sheet, startCol, startRow, endCol, endRow) =>
+        window.sheetRanges.a1(sheet.title,
+            `${window.sheetRanges.columnLetter(startCol)}${startRow + 1}:${window.sheetRanges.columnLetter(endCol)}${endRow + 1}`);
+
+    const getSheet = (title) => {
+        const sheet = workbook.sheets.find(s => s.title === title);
+        if (!sheet) throw apiError(400, `Unable to parse range: ${title}`);
+        return sheet;
+    };
+
+    /**
+     * Dernière ligne non vide (index 0-based), -1 si la feuille est vide.
+     */
+    const lastDataRow = (rows) => {
+        for (let i = rows.length - 1; i >= 0; i--) {
+            if ((rows[i] || []).some(cell => cell !== '')) return i;
+        }
+        return -1;
+    };
+
+    const trimRow = (row) => {
+        const copy = [...row];
+        while (copy.length && copy[copy.length - 1] === '') copy.pop();
+        return copy;
+    };
+
+    const writeValues = (sheet, startRow, startCol, values) => {
+        values.forEach((row, r) => {
+            const target = sheet.rows[startRow + r] || (sheet.rows[startRow + r] = []);
+            row.forEach((cell, c) => {
+                for (let i = target.length; i < startCol + c; i++) target[i] = '';
+                target[startCol + c] = cell == null ? '' : String(cell);
+            });
+        });
+        for (let i = 0; i < sheet.rows.length; i++) {
+            if (!sheet.rows[i]) sheet.rows[i] = [];
+        }
+        persist();
+
+        const width = Math.max(1, ...values.map(row => row.length));
+        return rangeOf(sheet, startCol, startRow, startCol + width - 1, startRow + values.length - 1);
+    };
+
+    // =========================================================================
+    // MÉTHODES DE L'API SHEETS ÉMULÉES
+    // =========================================================================
+
+    const readValues = (range) => {
+        const bounds = parseRange(range);
+        const sheet = getSheet(bounds.title);
+        const last = Math.min(lastDataRow(sheet.rows), bounds.endRow ?? Infinity);
+
+        const values = [];
+        for (let r = bounds.startRow; r <= last; r++) {
+            const row = sheet.rows[r] || [];
+            values.push(trimRow(row.slice(bounds.startCol, bounds.endCol === null ? undefined : bounds.endCol + 1)));
+        }
+        while (values.length && values[values.length - 1].length === 0) values.pop();
+
+        const endCol = bounds.endCol ?? Math.max(bounds.startCol, ...values.map(v => bounds.startCol + v.length - 1));
+        const result = {
+            range: rangeOf(sheet, bounds.startCol, bounds.startRow, endCol, Math.max(bounds.startRow, last)),
+            majorDimension: 'ROWS'
+        };
+        if (values.length) result.values = values;
+        return result;
+    };
+
+    const sheetById = (sheetId) => {
+        const sheet = workbook.sheets.find(s => s.sheetId === sheetId);
+        if (!sheet) throw apiError(400, `No grid with id: ${sheetId}`);
+        return sheet;
+    };
+
+    const cellValues = (row) => (row.values || []).map(cell => cell.userEnteredValue?.stringValue ?? '');
+
+    /**
+     * Exécute action de façon atomique comme l'API : en cas d'erreur, le classeur est restauré.
+     */
+    const atomically = (action) => {
+        const snapshot = JSON.stringify(workbook);
+        try {
+            const result = action();
+            persist();
+            return result;
+        } catch (error) {
+            workbook = JSON.parse(snapshot);
+            persist();
+            throw error;
+        }
+    };
+
+    const batchUpdateRequests = {
+        addSheet: ({ properties }) => {
+            if (workbook.sheets.some(s => s.title === properties.title)) {
+                throw apiError(400, `A sheet with the name "${properties.title}" already exists.`);
+            }
+            const sheet = { sheetId: workbook.nextSheetId++, title: properties.title, rows: [] };
+            workbook.sheets.push(sheet);
+            return { addSheet: { properties: { sheetId: sheet.sheetId, title: sheet.title, index: workbook.sheets.length - 1 } } };
+        },
+
+        appendCells: ({ sheetId, rows }) => {
+            const sheet = sheetById(sheetId);
+            writeValues(sheet, lastDataRow(sheet.rows) + 1, 0, rows.map(cellValues));
+            return {};
+        },
+
+        updateCells: ({ start, rows }) => {
+            const sheet = sheetById(start.sheetId);
+            writeValues(sheet, start.rowIndex || 0, start.columnIndex || 0, rows.map(cellValues));
+            return {};
+        },
+
+        deleteDimension: ({ range }) => {
+            const sheet = sheetById(range.sheetId);
+            if (range.dimension !== 'ROWS') throw apiError(400, "Seule la suppression de lignes est émulée");
+            sheet.rows.splice(range.startIndex, range.endIndex - range.startIndex);
+            return {};
+        }
+    };
+
+    const methods = {
+        'get': () => ({
+            spreadsheetId: 'local',
+            sheets: workbook.sheets.map((sheet, index) => ({
+                properties: { sheetId: sheet.sheetId, title: sheet.title, index }
+            }))
+        }),
+
+        'batchUpdate': ({ resource }) => atomically(() => ({
+            spreadsheetId: 'local',
+            replies: (resource?.requests || []).map(request => {
+                const [type, body] = Object.entries(request)[0];
+                const handler = batchUpdateRequests[type];
+                if (!handler) throw apiError(400, `Requête ${type} non supportée par le backend local`);
+                return handler(body);
+            })
+        })),
+
+        'values.get': ({ range }) => readValues(range),
+
+        'values.batchGet': ({ ranges }) => ({
+            spreadsheetId: 'local',
+            valueRanges: ranges.map(readValues)
+        }),
+
+        'values.update': ({ range, resource }) => {
+            const bounds = parseRange(range);
+            const sheet = getSheet(bounds.title);
+            const updatedRange = writeValues(sheet, bounds.startRow, bounds.startCol, resource.values);
+            return { updatedRange, updatedRows: resource.values.length };
+        },
+
+        'values.batchUpdate': ({ resource }) => atomically(() => ({
+            spreadsheetId: 'local',
+            responses: (resource?.data || []).map(({ range, values }) => {
+                const bounds = parseRange(range);
+                const sheet = getSheet(bounds.title);
+                return { updatedRange: writeValues(sheet, bounds.startRow, bounds.startCol, values) };
+            })
+        })),
+
+        'values.append': ({ range, resource }) => {
+            const bounds = parseRange(range);
+            const sheet = getSheet(bounds.title);
+            const startRow = Math.max(lastDataRow(sheet.rows) + 1, bounds.startRow);
+            const updatedRange = writeValues(sheet, startRow, bounds.startCol, resource.values);
+            return { updates: { updatedRange, updatedRows: resource.values.length } };
+        }
+    };
+
+    // =========================================================================
+    // INTERFACE BACKEND
+    // =========================================================================
+
+    const initialize = async () => {
+        await load();
+        log('success', "Backend local prêt", { sheets: workbook.sheets.map(s => s.title) });
+        return true;
+    };
+
+    const prepare = () => load();
+
+    /**
+     * Exécute une méthode de l'API Sheets (ex : 'values.get') sur le classeur local.
+     * Résout avec une réponse au format gapi ({ status, result }).
+     */
+    const request = async (method, params) => {
+        await load();
+        const handler = methods[method];
+        if (!handler) throw apiError(400, `Méthode ${method} non supportée par le backend local`);
+        return { status: 200, result: handler(params || {}) };
+    };
+
+    return Object.freeze({
+        remote: false,
+        initialize,
+        prepare,
+        request,
+        reset,
+        reload
+    });
+})();
+
+Object.defineProperty(window, 'localSheetsBackend', {
+    value: localSheetsBackend,
+    configurable: false,
+    writable: false
+});
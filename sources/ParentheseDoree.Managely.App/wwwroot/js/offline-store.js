@@ -0,0 +1,197 @@
+/**
+ * offline-store.js - Stockage local IndexedDB pour le mode hors-ligne
+ * Conserve un miroir des feuilles lues et une file d'attente des écritures.
+ */
+const offlineStore = (() => {
+    const DB_NAME = 'managely_offline';
+    const DB_VERSION = 1;
+
+    // Magasins d'objets
+    const STORES = Object.freeze({
+        MIRROR: 'mirror',
+        OUTBOX: 'outbox'
+    });
+
+    let dbPromise = null;
+
+    const log = (level, msg, data) => {
+        if (window.browserLogger) {
+            window.browserLogger[level]("API", msg, data);
+        } else {
+            const fn = level === 'error' ? console.error :
+                       level === 'warn' ? console.warn : console.info;
+            fn(`[OFFLINE] ${msg}`, data);
+        }
+    };
+
+    const isAvailable = () => typeof indexedDB !== 'undefined';
+
+    const openDb = () => {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!isAvailable()) {
+                reject(new Error("IndexedDB non disponible"));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.MIRROR)) {
+                    db.createObjectStore(STORES.MIRROR, { keyPath: 'sheetName' });
+                }
+                if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+                    db.createObjectStore(STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    };
+
+    /**
+     * Exécute une requête sur un magasin et résout avec son résultat.
+     */
+    const withStore = async (storeName, mode, action) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    // =========================================================================
+    // MIROIR DES FEUILLES
+    // =========================================================================
+
+    /**
+     * Retourne le miroir d'une feuille ({ rows, headers }), ou null.
+     */
+    const getSheetEntry = async (sheetName) => {
+        try {
+            return await withStore(STORES.MIRROR, 'readonly', store => store.get(sheetName)) || null;
+        } catch (error) {
+            log('warn', `Miroir ${sheetName} illisible`, { message: error?.message });
+            return null;
+        }
+    };
+
+    /**
+     * Retourne les lignes (sans en-tête) mémorisées pour une feuille, ou null.
+     */
+    const getSheet = async (sheetName) => (await getSheetEntry(sheetName))?.rows ?? null;
+
+    /**
+     * Remplace les lignes mémorisées d'une feuille. Les en-têtes déjà connus
+     * sont conservés lorsqu'ils ne sont pas fournis.
+     */
+    const putSheet = async (sheetName, rows, headers = null) => {
+        try {
+            const known = headers ? null : await getSheetEntry(sheetName);
+            await withStore(STORES.MIRROR, 'readwrite', store =>
+                store.put({ sheetName, rows, headers: headers || known?.headers || null, updatedAt: Date.now() }));
+        } catch (error) {
+            log('warn', `Miroir ${sheetName} non enregistré`, { message: error?.message });
+        }
+    };
+
+    /**
+     * Applique localement une écriture pour que le miroir reste cohérent.
+     */
+    const applyWrite = async (entry) => {
+        if (entry.type === 'batch') {
+            for (const operation of entry.operations) await applyWrite(operation);
+            return;
+        }
+
+        const rows = await getSheet(entry.sheetName);
+        if (!rows) return;
+
+        const offset = entry.guid
+            ? rows.findIndex(row => row[0] === entry.guid)
+            : entry.rowIndex - 2;
+        switch (entry.type) {
+            case 'append':
+                rows.push(entry.values);
+                break;
+            case 'update':
+                if (offset >= 0 && offset < rows.length) rows[offset] = entry.values;
+                break;
+            case 'delete':
+                if (offset >= 0 && offset < rows.length) rows.splice(offset, 1);
+                break;
+        }
+
+        await putSheet(entry.sheetName, rows);
+    };
+
+    // =========================================================================
+    // FILE D'ATTENTE DES ÉCRITURES
+    // =========================================================================
+
+    /**
+     * Ajoute une écriture à la file d'attente. Retourne son identifiant.
+     */
+    const enqueue = async (entry) => {
+        const id = await withStore(STORES.OUTBOX, 'readwrite', store =>
+            store.add({ ...entry, queuedAt: Date.now() }));
+        await applyWrite(entry);
+        return id;
+    };
+
+    /**
+     * Retourne les écritures en attente, dans leur ordre d'arrivée.
+     */
+    const getQueue = async () => {
+        try {
+            return await withStore(STORES.OUTBOX, 'readonly', store => store.getAll()) || [];
+        } catch {
+            return [];
+        }
+    };
+
+    const dequeue = (id) => withStore(STORES.OUTBOX, 'readwrite', store => store.delete(id));
+
+    /**
+     * Réenregistre une écriture de la file (marque d'échec, hachage attendu retiré...).
+     */
+    const updateEntry = (entry) => withStore(STORES.OUTBOX, 'readwrite', store => store.put(entry));
+
+    const countQueue = async () => {
+        try {
+            return await withStore(STORES.OUTBOX, 'readonly', store => store.count()) || 0;
+        } catch {
+            return 0;
+        }
+    };
+
+    return Object.freeze({
+        isAvailable,
+        getSheetEntry,
+        getSheet,
+        putSheet,
+        applyWrite,
+        enqueue,
+        getQueue,
+        dequeue,
+        updateEntry,
+        countQueue
+    });
+})();
+
+Object.defineProperty(window, 'offlineStore', {
+    value: offlineStore,
+    configurable: false,
+    writable: false
+});
@@ -0,0 +1,174 @@
+/**
+ * print-document.js - Documents imprimables et téléchargements de fichiers
+ * Un document est décrit par des sections (champs, tableaux, texte) puis mis en page
+ * dans un cadre masqué et imprimé : le navigateur propose l'enregistrement en PDF.
+ * Les bons cadeaux ont leur propre mise en page A6 (QR code via qr-code.js).
+ */
+const printDocument = (() => {
+    const log = (level, msg, data) => {
+        if (window.browserLogger) {
+            window.browserLogger[level]("APP", msg, data);
+        } else {
+            const fn = level === 'error' ? console.error :
+                       level === 'warn' ? console.warn : console.info;
+            fn(`[PRINT] ${msg}`, data);
+        }
+    };
+
+    const STYLES = `
+        @page { margin: 15mm; }
+        body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; color: #222; }
+        h1 { font-size: 16pt; margin: 0 0 2mm; }
+        h2 { font-size: 12pt; margin: 6mm 0 2mm; border-bottom: 1px solid #b8860b; padding-bottom: 1mm; }
+        .subtitle { color: #666; margin-bottom: 4mm; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 2mm; }
+        th, td { text-align: left; vertical-align: top; padding: 1mm 2mm; border-bottom: 1px solid #ddd; word-break: break-word; }
+        th { background: #f5f0e1; }
+        .fields th { width: 35%; background: none; color: #666; font-weight: normal; }
+        .empty { color: #999; font-style: italic; }
+        .issuer { float: right; text-align: right; font-size: 9pt; color: #444; margin-left: 6mm; }
+        .stamp { display: inline-block; border: 2px solid #a00; color: #a00; font-weight: bold;
+                 letter-spacing: 2pt; padding: 1mm 3mm; margin-bottom: 4mm; }
+        footer { margin-top: 8mm; color: #666; font-size: 8pt; }
+    `;
+
+    const escapeHtml = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const renderSection = (section) => {
+        const parts = [`<h2>${escapeHtml(section.title)}</h2>`];
+        if (section.text) parts.push(`<p>${escapeHtml(section.text)}</p>`);
+        if (section.fields?.length) {
+            parts.push(`<table class="fields">${section.fields
+                .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+                .join('')}</table>`);
+        }
+        if (section.table) {
+            const { headers = [], rows = [], align = [] } = section.table;
+            const style = (i) => align[i] && align[i] !== 'left' ? ` style="text-align:${escapeHtml(align[i])}"` : '';
+            parts.push(rows.length
+                ? `<table><thead><tr>${headers.map((h, i) => `<th${style(i)}>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+                  `<tbody>${rows.map(row => `<tr>${row.map((cell, i) => `<td${style(i)}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+                : `<p class="empty">${escapeHtml(section.table.emptyText || 'Aucune donnée')}</p>`);
+        }
+        return parts.join('');
+    };
+
+    const renderHtml = (doc) => `<!DOCTYPE html>
+<html lang="fr"><head><meta charset="utf-8"><title>${escapeHtml(doc.title)}</title><style>${STYLES}</style></head>
+<body>
+${doc.issuer?.length ? `<div class="issuer">${doc.issuer.map(escapeHtml).join('<br>')}</div>` : ''}
+<h1>${escapeHtml(doc.title)}</h1>
+${doc.subtitle ? `<div class="subtitle">${escapeHtml(doc.subtitle)}</div>` : ''}
+${doc.stamp ? `<div class="stamp">${escapeHtml(doc.stamp)}</div>` : ''}
+${(doc.sections || []).map(renderSection).join('\n')}
+${doc.footer ? `<footer>${escapeHtml(doc.footer)}</footer>` : ''}
+</body></html>`;
+
+    // Bon cadeau au format A6 : marque du salon, montant, QR code du code de la carte
+    const VOUCHER_STYLES = `
+        @page { size: A6 portrait; margin: 0; }
+        html, body { margin: 0; }
+        body { font-family: Georgia, 'Times New Roman', serif; color: #222; }
+        .voucher { box-sizing: border-box; width: 105mm; height: 148mm; padding: 8mm; border: 2mm solid #b8860b;
+                   display: flex; flex-direction: column; align-items: center; text-align: center; }
+        .brand { font-size: 13pt; letter-spacing: 0.5pt; color: #8a6508; }
+        .tagline { font-size: 8pt; color: #666; margin-top: 1mm; }
+        .kind { font-size: 18pt; margin: 6mm 0 2mm; text-transform: uppercase; letter-spacing: 2pt; }
+        .amount { font-size: 30pt; font-weight: bold; color: #b8860b; }
+        .beneficiary { font-size: 10pt; margin-top: 2mm; }
+        .message { font-size: 9pt; font-style: italic; color: #555; margin-top: 1mm; }
+        .qr { width: 32mm; height: 32mm; margin-top: auto; }
+        .qr svg { width: 100%; height: 100%; }
+        .code { font-family: 'Courier New', monospace; font-size: 14pt; font-weight: bold; letter-spacing: 1pt; margin-top: 1mm; }
+        .expiry { font-size: 9pt; margin-top: 2mm; }
+        .conditions { font-size: 7pt; color: #777; margin-top: 2mm; }
+    `;
+
+    const renderVoucher = (voucher) => `<!DOCTYPE html>
+<html lang="fr"><head><meta charset="utf-8"><title>${escapeHtml(voucher.title)} ${escapeHtml(voucher.code)}</title><style>${VOUCHER_STYLES}</style></head>
+<body><div class="voucher">
+<div class="brand">${escapeHtml(voucher.brand)}</div>
+${voucher.tagline ? `<div class="tagline">${escapeHtml(voucher.tagline)}</div>` : ''}
+<div class="kind">${escapeHtml(voucher.title)}</div>
+<div class="amount">${escapeHtml(voucher.amount)}</div>
+${voucher.beneficiary ? `<div class="beneficiary">${escapeHtml(voucher.beneficiary)}</div>` : ''}
+${voucher.message ? `<div class="message">${escapeHtml(voucher.message)}</div>` : ''}
+<div class="qr">${window.qrCode.toSvg(voucher.code)}</div>
+<div class="code">${escapeHtml(voucher.code)}</div>
+${voucher.expiry ? `<div class="expiry">${escapeHtml(voucher.expiry)}</div>` : ''}
+${voucher.conditions ? `<div class="conditions">${escapeHtml(voucher.conditions)}</div>` : ''}
+</div></body></html>`;
+
+    const printHtml = (html, title) => new Promise((resolve) => {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden';
+        frame.srcdoc = html;
+        frame.onload = () => {
+            try {
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+                resolve(true);
+            } catch (error) {
+                log('error', "Impression impossible", { title, message: error.message });
+                resolve(false);
+            } finally {
+                // Laisser la boîte de dialogue d'impression se fermer avant de retirer le cadre
+                setTimeout(() => frame.remove(), 1000);
+            }
+        };
+        document.body.appendChild(frame);
+    });
+
+    /**
+     * Imprime un document { title, subtitle?, issuer?: [lignes], stamp?, sections: [{ title, text?,
+     * fields?: [[libellé, valeur]], table?: { headers, rows, align?: ['left' | 'right'], emptyText? } }], footer? }.
+     * `issuer` (coordonnées de l'émetteur) s'affiche en haut à droite, `stamp` (ex. "DUPLICATA") sous le titre.
+     */
+    const print = (doc) => printHtml(renderHtml(doc), doc.title);
+
+    /**
+     * Imprime un bon cadeau A6 { brand, tagline?, title, amount, beneficiary?, message?,
+     * code, expiry?, conditions? } ; le code est aussi imprimé en QR code.
+     */
+    const printVoucher = async (voucher) => {
+        let html;
+        try {
+            html = renderVoucher(voucher);
+        } catch (error) {
+            log('error', "Bon cadeau non généré", { code: voucher.code, message: error.message });
+            return false;
+        }
+        return printHtml(html, voucher.title);
+    };
+
+    /**
+     * Télécharge un contenu texte sous forme de fichier.
+     */
+    const download = (fileName, content, type = 'application/json') => {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return true;
+    };
+
+    return Object.freeze({
+        print,
+        printVoucher,
+        download
+    });
+})();
+
+Object.defineProperty(window, 'printDocument', {
+    value: printDocument,
+    configurable: false,
+    writable: false
+});
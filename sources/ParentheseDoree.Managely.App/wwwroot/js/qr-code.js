@@ -0,0 +1,335 @@
+/**
+ * qr-code.js - Génération de QR codes dans le navigateur (bons des cartes cadeaux)
+ * Encodage octet (UTF-8), correction d'erreur M, versions 1 à 6 (jusqu'à 106 octets) :
+ * largement suffisant pour un code de carte, sans dépendance externe.
+ */
+const qrCode = (() => {
+    // =========================================================================
+    // CONSTANTES
+    // =========================================================================
+
+    // Par version (indice = version) : [codewords totaux, codewords de correction par bloc, nombre de blocs]
+    const BLOCKS_M = Object.freeze([
+        null,
+        [26, 10, 1],
+        [44, 16, 1],
+        [70, 26, 1],
+        [100, 18, 2],
+        [134, 24, 2],
+        [172, 16, 4]
+    ]);
+
+    // Centre de l'unique motif d'alignement (versions 2 à 6)
+    const ALIGNMENT = Object.freeze([null, null, 18, 22, 26, 30, 34]);
+
+    const MAX_VERSION = BLOCKS_M.length - 1;
+    const QUIET_ZONE = 4;
+
+    // =========================================================================
+    // CORRECTION D'ERREUR (Reed-Solomon sur GF(256))
+    // =========================================================================
+
+    const EXP = new Uint8Array(512);
+    const LOG = new Uint8Array(256);
+    (() => {
+        let x = 1;
+        for (let i = 0; i < 255; i++) {
+            EXP[i] = x;
+            LOG[x] = i;
+            x <<= 1;
+            if (x & 0x100) x ^= 0x11d;
+        }
+        for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+    })();
+
+    const multiply = (a, b) => (a === 0 || b === 0) ? 0 : EXP[LOG[a] + LOG[b]];
+
+    /** Polynôme générateur de degré n, coefficients du degré n-1 au degré 0. */
+    const generator = (n) => {
+        let poly = [1];
+        for (let i = 0; i < n; i++) {
+            const next = new Array(poly.length + 1).fill(0);
+            poly.forEach((coef, j) => {
+                next[j] ^= coef;
+                next[j + 1] ^= multiply(coef, EXP[i]);
+            });
+            poly = next;
+        }
+        return poly.slice(1);
+    };
+
+    const remainder = (data, gen) => {
+        const result = new Array(gen.length).fill(0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            gen.forEach((coef, i) => { result[i] ^= multiply(coef, factor); });
+        }
+        return result;
+    };
+
+    // =========================================================================
+    // CODEWORDS
+    // =========================================================================
+
+    const dataCapacity = (version) => {
+        const [total, ecPerBlock, blocks] = BLOCKS_M[version];
+        return total - ecPerBlock * blocks;
+    };
+
+    const encodeData = (bytes, version) => {
+        const capacity = dataCapacity(version);
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0b0100, 4); // mode octet
+        push(bytes.length, 8);
+        bytes.forEach(b => push(b, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        while (bits.length % 8) bits.push(0);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+        for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) codewords.push(pad);
+        return codewords;
+    };
+
+    /** Découpe en blocs, ajoute la correction d'erreur puis entrelace. */
+    const interleave = (data, version) => {
+        const [, ecPerBlock, blockCount] = BLOCKS_M[version];
+        const shortLength = Math.floor(data.length / blockCount);
+        const longBlocks = data.length % blockCount;
+        const gen = generator(ecPerBlock);
+
+        const blocks = [];
+        for (let b = 0, offset = 0; b < blockCount; b++) {
+            const length = shortLength + (b >= blockCount - longBlocks ? 1 : 0);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: block, ec: remainder(block, gen) });
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortLength; i++) {
+            blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+        }
+        for (let i = 0; i < ecPerBlock; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    };
+
+    // =========================================================================
+    // MATRICE
+    // =========================================================================
+
+    const MASKS = Object.freeze([
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ]);
+
+    const createGrid = (size) => ({
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+    });
+
+    const setFunction = (grid, x, y, dark) => {
+        grid.modules[y][x] = dark;
+        grid.reserved[y][x] = true;
+    };
+
+    const drawFinder = (grid, cx, cy) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= grid.size || y >= grid.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(grid, x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    };
+
+    const drawAlignment = (grid, cx, cy) => {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    };
+
+    /** Informations de format : niveau M (00) et masque, code BCH(15,5). */
+    const drawFormat = (grid, mask) => {
+        const data = mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        const size = grid.size;
+
+        for (let i = 0; i <= 5; i++) setFunction(grid, 8, i, bit(i));
+        setFunction(grid, 8, 7, bit(6));
+        setFunction(grid, 8, 8, bit(7));
+        setFunction(grid, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(grid, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) setFunction(grid, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(grid, 8, size - 15 + i, bit(i));
+        setFunction(grid, 8, size - 8, true); // module sombre
+    };
+
+    const drawFunctionPatterns = (grid, version) => {
+        const size = grid.size;
+        for (let i = 0; i < size; i++) {
+            setFunction(grid, 6, i, i % 2 === 0);
+            setFunction(grid, i, 6, i % 2 === 0);
+        }
+        drawFinder(grid, 3, 3);
+        drawFinder(grid, size - 4, 3);
+        drawFinder(grid, 3, size - 4);
+        if (ALIGNMENT[version]) drawAlignment(grid, ALIGNMENT[version], ALIGNMENT[version]);
+        drawFormat(grid, 0); // réserve les emplacements, réécrits avec le masque retenu
+    };
+
+    /** Place les codewords en zigzag par paires de colonnes, de bas en haut puis de haut en bas. */
+    const drawCodewords = (grid, codewords) => {
+        const size = grid.size;
+        const totalBits = codewords.length * 8;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (grid.reserved[y][x] || i >= totalBits) continue;
+                    grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    };
+
+    const applyMask = (grid, mask) => {
+        const test = MASKS[mask];
+        for (let y = 0; y < grid.size; y++) {
+            for (let x = 0; x < grid.size; x++) {
+                if (!grid.reserved[y][x] && test(x, y)) grid.modules[y][x] = !grid.modules[y][x];
+            }
+        }
+    };
+
+    /** Pénalité de lisibilité d'un masque (règles N1 à N4 de la norme). */
+    const penalty = (modules) => {
+        const size = modules.length;
+        let score = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        const finderLike = [true, false, true, true, true, false, true];
+        for (const line of lines) {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+                if (lightBefore) score += 40;
+                if (lightAfter) score += 40;
+            }
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        return score;
+    };
+
+    // =========================================================================
+    // API PUBLIQUE
+    // =========================================================================
+
+    /**
+     * Matrice du QR code d'un texte : tableau de lignes de booléens (true = module sombre).
+     * `mask` (0 à 7) force le masque, sinon celui de moindre pénalité est retenu.
+     */
+    const matrix = (text, mask = null) => {
+        const bytes = Array.from(new TextEncoder().encode(String(text ?? '')));
+        let version = 1;
+        // 12 bits d'en-tête (mode + longueur) avant les données
+        while (version <= MAX_VERSION && dataCapacity(version) * 8 < 12 + bytes.length * 8) version++;
+        if (version > MAX_VERSION) throw new Error(`Texte trop long pour un QR code (${bytes.length} octets)`);
+
+        const codewords = interleave(encodeData(bytes, version), version);
+        const masks = mask === null ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask];
+        let best = null;
+        for (const m of masks) {
+            const grid = createGrid(17 + 4 * version);
+            drawFunctionPatterns(grid, version);
+            drawCodewords(grid, codewords);
+            applyMask(grid, m);
+            drawFormat(grid, m);
+            const score = masks.length > 1 ? penalty(grid.modules) : 0;
+            if (!best || score < best.score) best = { score, modules: grid.modules };
+        }
+        return best.modules;
+    };
+
+    /**
+     * QR code d'un texte au format SVG (marge blanche réglementaire de 4 modules incluse).
+     * La taille d'affichage est laissée au CSS (attribut viewBox).
+     */
+    const toSvg = (text) => {
+        const modules = matrix(text);
+        const size = modules.length + QUIET_ZONE * 2;
+        const path = [];
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+        }));
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+            `<rect width="${size}" height="${size}" fill="#fff"/><path fill="#000" d="${path.join('')}"/></svg>`;
+    };
+
+    return Object.freeze({
+        matrix,
+        toSvg
+    });
+})();
+
+Object.defineProperty(window, 'qrCode', {
+    value: qrCode,
+    configurable: false,
+    writable: false
+});
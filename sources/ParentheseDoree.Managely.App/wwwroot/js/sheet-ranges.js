@@ -0,0 +1,134 @@
+/**
+ * sheet-ranges.js - Construction et analyse des plages A1 de Google Sheets
+ * Colonnes au-delà de Z (AA, AB…), noms de feuilles à guillemets, plages par en-têtes.
+ */
+const sheetRanges = (() => {
+    // Noms utilisables sans guillemets : lettres ASCII, chiffres et _, sans ressembler à une cellule
+    const PLAIN_SHEET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    const CELL_LIKE = /^[A-Za-z]{1,3}\d+$/;
+
+    /**
+     * Lettre de colonne d'un index (base 0) : 0 → A, 25 → Z, 26 → AA.
+     */
+    const columnLetter = (index) => {
+        if (!Number.isInteger(index) || index < 0) throw new Error(`Index de colonne invalide : ${index}`);
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return letters;
+    };
+
+    /**
+     * Index (base 0) d'une lettre de colonne : A → 0, AA → 26.
+     */
+    const columnIndex = (letters) => {
+        if (!/^[A-Za-z]+$/.test(letters || '')) throw new Error(`Colonne invalide : ${letters}`);
+        return letters.toUpperCase().split('')
+            .reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+    };
+
+    /**
+     * Nom de feuille tel qu'il doit apparaître dans une plage A1.
+     * Les noms contenant espaces, accents ou ponctuation sont entourés de guillemets simples.
+     */
+    const quoteSheetName = (sheetName) =>
+        PLAIN_SHEET_NAME.test(sheetName) && !CELL_LIKE.test(sheetName)
+            ? sheetName
+            : `'${sheetName.replace(/'/g, "''")}'`;
+
+    const unquoteSheetName = (name) =>
+        /^'.*'$/.test(name) ? name.slice(1, -1).replace(/''/g, "'") : name;
+
+    /**
+     * Plage A1 complète : a1('Cartes cadeaux', 'A:I') → "'Cartes cadeaux'!A:I".
+     * Sans cellules, la plage couvre toute la feuille.
+     */
+    const a1 = (sheetName, cells = '') =>
+        cells ? `${quoteSheetName(sheetName)}!${cells}` : quoteSheetName(sheetName);
+
+    /**
+     * Analyse la partie cellules d'une plage ("A2:M10", "A:M", "1:1").
+     * Retourne des bornes en base 0, null lorsqu'elles ne sont pas précisées.
+     */
+    const parseCells = (cells) => {
+        const parseCell = (cell) => {
+            const match = /^([A-Za-z]*)(\d*)$/.exec(cell || '');
+            if (!match) throw new Error(`Plage invalide : ${cells}`);
+            return {
+                column: match[1] ? columnIndex(match[1]) : null,
+                row: match[2] ? parseInt(match[2], 10) - 1 : null
+            };
+        };
+
+        const [startCell, endCell] = cells ? cells.split(':') : ['', ''];
+        const start = parseCell(startCell);
+        const end = endCell === undefined ? start : parseCell(endCell);
+
+        return {
+            startColumn: start.column,
+            startRow: start.row,
+            endColumn: end.column,
+            endRow: end.row
+        };
+    };
+
+    /**
+     * Analyse une plage complète ("'Ma feuille'!A2:M10").
+     */
+    const parse = (range) => {
+        const bang = range.lastIndexOf('!');
+        const sheetName = unquoteSheetName(bang >= 0 ? range.slice(0, bang) : range);
+        const cells = bang >= 0 ? range.slice(bang + 1) : '';
+        return { sheetName, ...parseCells(cells) };
+    };
+
+    /**
+     * Nom (sans guillemets) de la feuille d'une plage.
+     */
+    const sheetNameOf = (range) => parse(range).sheetName;
+
+    /**
+     * Ligne entière de la colonne A à la colonne lastColumn (index base 0) : "Clients!A5:J5".
+     */
+    const rowRange = (sheetName, rowNumber, lastColumn) =>
+        a1(sheetName, `A${rowNumber}:${columnLetter(lastColumn)}${rowNumber}`);
+
+    /**
+     * Colonnes couvertes par une liste d'en-têtes : ['guid', 'nom', 'prenom'] → "A:C".
+     */
+    const columnsForHeaders = (headers) => `A:${columnLetter(Math.max(0, headers.length - 1))}`;
+
+    /**
+     * Plage couvrant les colonnes nommées, d'après la ligne d'en-tête de la feuille.
+     * rangeFromHeaders('Clients', headers, ['nom', 'email']) → "Clients!B:F".
+     */
+    const rangeFromHeaders = (sheetName, headerRow, names) => {
+        const indexes = names.map(name => {
+            const index = headerRow.indexOf(name);
+            if (index < 0) throw new Error(`Colonne ${name} absente de ${sheetName}`);
+            return index;
+        });
+        return a1(sheetName, `${columnLetter(Math.min(...indexes))}:${columnLetter(Math.max(...indexes))}`);
+    };
+
+    return Object.freeze({
+        columnLetter,
+        columnIndex,
+        quoteSheetName,
+        unquoteSheetName,
+        a1,
+        parse,
+        parseCells,
+        sheetNameOf,
+        rowRange,
+        columnsForHeaders,
+        rangeFromHeaders
+    });
+})();
+
+Object.defineProperty(window, 'sheetRanges', {
+    value: sheetRanges,
+    configurable: false,
+    writable: false
+});
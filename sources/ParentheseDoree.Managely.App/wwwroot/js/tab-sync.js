@@ -0,0 +1,187 @@
+/**
+ * tab-sync.js - Coordination entre les onglets ouverts de l'application
+ * Diffuse des messages par BroadcastChannel (repli : événement storage du localStorage)
+ * et désigne un onglet leader, par un bail renouvelé dans le localStorage.
+ */
+const tabSync = (() => {
+    const CHANNEL_NAME = 'managely_tabs';
+    const MESSAGE_KEY = 'managely_tab_message';
+    const LEADER_KEY = 'managely_tab_leader';
+
+    // Le leader renouvelle son bail régulièrement ; un bail expiré peut être repris
+    const HEARTBEAT_MS = 4000;
+    const LEASE_MS = 10000;
+
+    const tabId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+    const handlers = new Map();
+    const leaderHandlers = new Set();
+    let channel = null;
+    let leader = false;
+    let heartbeatTimer = null;
+
+    const log = (level, msg, data) => {
+        if (window.browserLogger) {
+            window.browserLogger[level]("APP", msg, data);
+        } else {
+            const fn = level === 'error' ? console.error :
+                       level === 'warn' ? console.warn : console.info;
+            fn(`[TABS] ${msg}`, data);
+        }
+    };
+
+    // =========================================================================
+    // MESSAGES
+    // =========================================================================
+
+    const dispatch = (message) => {
+        if (!message?.type || message.from === tabId) return;
+        for (const handler of handlers.get(message.type) || []) {
+            try {
+                handler(message.payload, message);
+            } catch (error) {
+                log('error', `Erreur traitement message ${message.type}`, { message: error.message });
+            }
+        }
+    };
+
+    /**
+     * Envoie un message aux autres onglets (l'onglet émetteur ne le reçoit pas).
+     */
+    const publish = (type, payload = null) => {
+        const message = { type, payload, from: tabId, at: Date.now() };
+        if (channel) {
+            channel.postMessage(message);
+            return;
+        }
+        try {
+            // Écrire puis effacer suffit à déclencher l'événement storage des autres onglets
+            localStorage.setItem(MESSAGE_KEY, JSON.stringify(message));
+            localStorage.removeItem(MESSAGE_KEY);
+        } catch (error) {
+            log('warn', "Message inter-onglets non transmis", { type, message: error.message });
+        }
+    };
+
+    /**
+     * Abonne handler(payload, message) aux messages d'un type. Retourne la fonction de désabonnement.
+     */
+    const subscribe = (type, handler) => {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+        return () => handlers.get(type)?.delete(handler);
+    };
+
+    // =========================================================================
+    // ONGLET LEADER
+    // =========================================================================
+
+    const readLease = () => {
+        try {
+            return JSON.parse(localStorage.getItem(LEADER_KEY));
+        } catch {
+            return null;
+        }
+    };
+
+    const setLeader = (value) => {
+        if (leader === value) return;
+        leader = value;
+        log('info', value ? "Cet onglet devient leader" : "Cet onglet n'est plus leader", { tabId });
+        for (const handler of leaderHandlers) {
+            try {
+                handler(value);
+            } catch (error) {
+                log('error', "Erreur changement de leader", { message: error.message });
+            }
+        }
+    };
+
+    /**
+     * Prend ou renouvelle le bail s'il est libre, expiré ou déjà détenu.
+     * Deux onglets peuvent le prendre au même instant : la relecture désigne le dernier
+     * écrit, et l'autre renonce au battement suivant au plus tard.
+     */
+    const heartbeat = () => {
+        try {
+            const lease = readLease();
+            const now = Date.now();
+            if (!lease || lease.tabId === tabId || lease.expiresAt < now) {
+                localStorage.setItem(LEADER_KEY, JSON.stringify({ tabId, expiresAt: now + LEASE_MS }));
+                setLeader(readLease()?.tabId === tabId);
+            } else {
+                setLeader(false);
+            }
+        } catch {
+            // Sans localStorage, chaque onglet reste autonome
+            setLeader(true);
+        }
+    };
+
+    const release = () => {
+        if (!leader) return;
+        try {
+            if (readLease()?.tabId === tabId) localStorage.removeItem(LEADER_KEY);
+        } catch {
+            // Le bail expirera de lui-même
+        }
+        leader = false;
+        publish('leader-released');
+    };
+
+    const isLeader = () => leader;
+
+    /**
+     * Abonne handler(estLeader) aux changements de leadership de cet onglet.
+     */
+    const onLeaderChange = (handler) => {
+        leaderHandlers.add(handler);
+        return () => leaderHandlers.delete(handler);
+    };
+
+    // =========================================================================
+    // DÉMARRAGE
+    // =========================================================================
+
+    const start = () => {
+        if (typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = (event) => dispatch(event.data);
+        } else {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== MESSAGE_KEY || !event.newValue) return;
+                try {
+                    dispatch(JSON.parse(event.newValue));
+                } catch {
+                    // Message illisible ignoré
+                }
+            });
+        }
+
+        subscribe('leader-released', heartbeat);
+        heartbeat();
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+        window.addEventListener('pagehide', () => {
+            clearInterval(heartbeatTimer);
+            release();
+        });
+    };
+
+    if (typeof window !== 'undefined') start();
+
+    return Object.freeze({
+        tabId,
+        publish,
+        subscribe,
+        isLeader,
+        onLeaderChange
+    });
+})();
+
+Object.defineProperty(window, 'tabSync', {
+    value: tabSync,
+    configurable: false,
+    writable: false
+});